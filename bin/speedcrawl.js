@@ -5,6 +5,7 @@
  * - Default formats: json (JSONL is opt-in)
  * - Expanded blocked-extensions to skip assets by default
  * - Compatible with per-request http-requests/each and top-level http.raw
+ * - `speedcrawl diff <old> <new>` compares two output directories (see output/ScanDiff)
  */
 
 const { Command } = require('commander');
@@ -15,6 +16,12 @@ const { URL } = require('url');
 
 // Core
 const { CrawlEngine } = require('../src/core/CrawlEngine');
+const { CheckpointManager } = require('../src/core/CheckpointManager');
+const { LoginManager } = require('../src/session/LoginManager');
+const { OTPManager } = require('../src/forms/OTPManager');
+const { ScopeManager } = require('../src/core/ScopeManager');
+const { LinkExtractor } = require('../src/discovery/LinkExtractor');
+const { ScanDiff } = require('../src/output/ScanDiff');
 const { ConfigManager } = require('../src/utils/ConfigManager');
 const { Logger } = require('../src/utils/Logger');
 
@@ -24,11 +31,13 @@ const program = new Command();
 program
   .name('speedcrawl')
   .description('SpeedCrawl Pro - Professional web security crawler')
-  .version('22.2.0');
+  .version('22.2.0')
+  // Crawl options only before a subcommand, so `diff ... -o` reaches the diff command
+  .enablePositionalOptions();
 
 // CLI Options
 program
-  .requiredOption('-u, --url <url>', 'Target URL to crawl')
+  .option('-u, --url <url>', 'Target URL to crawl (required unless resuming from a checkpoint file)')
   .option('-d, --depth <n>', 'Maximum crawl depth (1-10)', '3')
   .option('-p, --pages <n>', 'Maximum pages to crawl (1-10000)', '100')
   .option('-o, --output <dir>', 'Output directory', './speedcrawl-output')
@@ -37,15 +46,26 @@ program
 
   // Output formats
   // Default is json only (jsonl is opt-in; http batch is opt-in)
-  .option('--formats <list>', 'Output formats: json,jsonl,har,http', 'json')
+  .option('--formats <list>', 'Output formats: json,jsonl,har,http,openapi,burp,postman,nuclei', 'json')
+  .option('--max-body-size <bytes>', 'Max response body size captured for HAR/JSONL', '1048576')
+  .option('--body-mime-types <list>', 'Response MIME types whose bodies are captured (wildcards allowed)')
 
   // Form options
   .option('--submit-forms', 'Submit forms automatically', false)
   .option('--use-faker', 'Use Faker for realistic data', true)
   .option('--form-delay <ms>', 'Delay before filling forms', '1000')
+  .option('--form-retries <n>', 'Refill and resubmit a form after validation errors, up to n times', '2')
+  .option('--otp <file>', 'OTP provider config (YAML/JSON), chosen per workflow type')
+  .option('--multi-form', 'Follow wizard forms step by step (Next → ... → Submit)', false)
+  .option('--max-form-steps <n>', 'Max steps per wizard or workflow form', '5')
 
   // Analysis options
   .option('--deep-js-analysis', 'Enable JavaScript AST parsing', false)
+  .option('--max-lazy-chunks <n>', 'Max lazily loaded JS chunks (webpack/Vite/Next) analyzed per crawl', '200')
+  .option('--graphql-introspection', 'Introspect GraphQL endpoints (field-suggestion probing when disabled)', false)
+  .option('--explore', 'Click buttons, tabs and menus to discover SPA views', false)
+  .option('--explore-max-clicks <n>', 'Max elements clicked per page when exploring', '15')
+  .option('--explore-skip <list>', 'Keywords never clicked (default: delete,logout,pay,...)')
   .option('--extract-secrets', 'Scan for API keys and secrets', true)
   .option('--include-subdomains <pattern>', 'Include subdomain pattern (e.g., *.example.com)')
 
@@ -54,6 +74,7 @@ program
   .option('--user-agent <ua>', 'Custom User-Agent')
   .option('--proxy <url>', 'HTTP/HTTPS proxy URL')
   .option('--no-ssl-check', 'Ignore SSL certificate errors', false)
+  .option('--login <file>', 'Login recipe (YAML/JSON) to authenticate before crawling')
 
   // Performance
   .option('--request-delay <ms>', 'Delay between requests', '1000')
@@ -63,15 +84,44 @@ program
   // Filtering
   .option('--blocked-extensions <list>', 'Skip file extensions', 'jpg,png,gif,css,woff,woff2,svg,ico,js,map')
   .option('--same-origin', 'Only crawl same origin', false)
+  .option('--scope <file>', 'Scope file (YAML/JSON) with include/exclude rules')
+  .option('--link-strategies <list>', 'Link extractors: anchor,data-attribute,js-bundle,inline-state,onclick (default: all)')
+
+  // Resume
+  .option('--resume [path]', 'Resume an interrupted crawl from its checkpoint (file or output dir)')
 
   // Advanced
   .option('--evasion-mode', 'Enable bot evasion techniques', false)
+  .option('--seed <n>', 'Seed every random choice (form data, user agent, queue order) for repeatable runs')
   .option('--debug', 'Enable debug logging', false);
 
-// Parse and run
-program.parse();
+// Compare two runs
+program
+  .command('diff <old> <new>')
+  .description('Compare two output directories: URLs, endpoints, parameters, technologies, secrets, forms, status codes')
+  .option('-o, --output <dir>', 'Directory for diff.json and diff.md (default: the <new> directory)')
+  .action((oldDir, newDir, opts) => {
+    const logger = new Logger({ level: 2, enableColors: true });
+    const differ = new ScanDiff(null, logger);
+    try {
+      const diff = differ.compare(differ.load(oldDir), differ.load(newDir));
+      const files = differ.write(diff, opts.output || newDir);
+      for (const [k, s] of Object.entries(diff.summary)) {
+        logger.info(`   • ${k}: +${s.added} -${s.removed} ~${s.changed}`);
+      }
+      if (diff.highlights.newEndpoints.length) logger.warn(`🆕 New endpoints: ${diff.highlights.newEndpoints.length}`);
+      if (diff.highlights.newSecrets.length) logger.warn(`🔐 New secrets: ${diff.highlights.newSecrets.length}`);
+      logger.info(`📄 ${files.markdown}`);
+      logger.info(`📄 ${files.json}`);
+      process.exit(0);
+    } catch (error) {
+      logger.error(`❌ Diff failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
 
-(async () => {
+// Crawl (default command)
+program.action(async () => {
   const options = program.opts();
 
   // Initialize logger
@@ -90,6 +140,25 @@ program.parse();
     logger.info('╚════════════════════════════════════════════════════════════════════╝');
     logger.info('');
 
+    // Resolve checkpoint: an explicit path also supplies the URL and output directory
+    let checkpointFile = null;
+    if (typeof options.resume === 'string') {
+      checkpointFile = CheckpointManager.locate(options.resume);
+      try {
+        const saved = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+        if (!options.url) options.url = saved.url;
+        if (options.output === './speedcrawl-output') options.output = path.dirname(checkpointFile);
+      } catch (error) {
+        logger.error(`❌ Cannot read checkpoint ${checkpointFile}: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
+    if (!options.url) {
+      logger.error('❌ Missing target URL (-u, --url)');
+      process.exit(1);
+    }
+
     // Validate URL
     try {
       new URL(options.url);
@@ -98,6 +167,20 @@ program.parse();
       process.exit(1);
     }
 
+    if (options.seed != null && !/^-?\d+$/.test(String(options.seed))) {
+      logger.error(`❌ --seed must be an integer, got "${options.seed}"`);
+      process.exit(1);
+    }
+
+    if (options.linkStrategies) {
+      try {
+        LinkExtractor.parseStrategies(options.linkStrategies);
+      } catch (error) {
+        logger.error(`❌ --link-strategies: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
     // Check Faker availability
     let fakerAvailable = false;
     try {
@@ -127,6 +210,42 @@ program.parse();
       }
     }
 
+    // Load login recipe if provided
+    let loginRecipe = null;
+    if (options.login) {
+      try {
+        loginRecipe = LoginManager.loadRecipe(options.login);
+        logger.info(`🔑 Loaded login recipe from: ${options.login} (${loginRecipe.steps.length} steps)`);
+      } catch (error) {
+        logger.error(`❌ Failed to load login recipe: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
+    // Load scope rules if provided
+    let scopeRules = null;
+    if (options.scope) {
+      try {
+        scopeRules = ScopeManager.loadRules(options.scope);
+        logger.info(`🎯 Loaded scope from: ${options.scope}`);
+      } catch (error) {
+        logger.error(`❌ Failed to load scope file: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
+    // Load OTP provider config if provided
+    let otpSettings = null;
+    if (options.otp) {
+      try {
+        otpSettings = OTPManager.loadConfig(options.otp);
+        logger.info(`🔐 Loaded OTP providers from: ${options.otp}`);
+      } catch (error) {
+        logger.error(`❌ Failed to load OTP config: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
     // Determine output directory
     let outputDir = options.output;
     if (outputDir === './speedcrawl-output') {
@@ -158,6 +277,8 @@ program.parse();
 
       // Outputs
       formats: options.formats.split(',').map(f => f.trim()).filter(Boolean),
+      maxBodySize: parseInt(options.maxBodySize),
+      bodyMimeTypes: options.bodyMimeTypes,
 
       // Input data
       customInputData: inputData,
@@ -169,22 +290,38 @@ program.parse();
       // Crawling behavior
       sameOrigin: options.sameOrigin,
       includeSubdomains: options.includeSubdomains || false,
+      scope: scopeRules,
+      linkStrategies: options.linkStrategies,
       blockedExtensions: options.blockedExtensions.split(',').map(e => e.trim()).filter(Boolean),
       noSSLCheck: options.noSslCheck,
 
       // Features
       submitForms: options.submitForms,
       useFaker: options.useFaker && fakerAvailable,
+      formRetries: parseInt(options.formRetries),
+      otp: otpSettings,
+      multiForm: options.multiForm,
+      seed: options.seed != null ? parseInt(options.seed, 10) : null,
+      maxFormSteps: parseInt(options.maxFormSteps),
       deepJSAnalysis: options.deepJsAnalysis,
+      maxLazyChunks: parseInt(options.maxLazyChunks),
+      graphqlIntrospection: options.graphqlIntrospection,
+      explore: options.explore,
+      exploreMaxClicks: parseInt(options.exploreMaxClicks),
+      exploreSkip: options.exploreSkip,
       extractSecrets: options.extractSecrets,
 
       // Browser
       headless: !options.headful,
       evasionMode: options.evasionMode,
       proxy: options.proxy,
+      login: loginRecipe,
 
       // Performance
-      threads: parseInt(options.threads || 1)
+      threads: parseInt(options.threads || 1),
+
+      // Resume
+      resume: !!options.resume
     });
 
     // Summary
@@ -195,12 +332,19 @@ program.parse();
     logger.info(` 📄 Formats: ${options.formats}`);
     logger.info(` 🔧 Features:`);
     logger.info(`   • Form Submission: ${options.submitForms ? 'ENABLED' : 'disabled'}`);
+    if (options.multiForm) logger.info(`   • Wizard Forms: ENABLED (max ${options.maxFormSteps} steps)`);
     logger.info(`   • Faker Data: ${fakerAvailable && options.useFaker ? 'ENABLED' : 'disabled'}`);
     logger.info(`   • JS Analysis: ${options.deepJsAnalysis ? 'ENABLED' : 'disabled'}`);
+    logger.info(`   • SPA Exploration: ${options.explore ? 'ENABLED' : 'disabled'}`);
     logger.info(`   • Secret Detection: ${options.extractSecrets ? 'ENABLED' : 'disabled'}`);
     if (inputData) logger.info(`   • Custom Input: LOADED (${Object.keys(inputData).length} fields)`);
+    if (options.seed != null) logger.info(`   • Seed: ${options.seed} (deterministic order and file names)`);
     if (options.proxy) logger.info(`   • Proxy: ${options.proxy}`);
+    if (loginRecipe) logger.info(`   • Login Recipe: ${options.login}`);
+    if (otpSettings) logger.info(`   • OTP Providers: ${new OTPManager(config, logger).describe()}`);
     if (options.includeSubdomains) logger.info(`   • Subdomains: ${options.includeSubdomains}`);
+    if (scopeRules) logger.info(`   • Scope: ${new ScopeManager(config, logger).describe()}`);
+    if (options.resume) logger.info(`   • Resume: ${checkpointFile || 'checkpoint in output directory'}`);
     logger.info('');
 
     // Initialize and start
@@ -214,6 +358,11 @@ program.parse();
     const results = await crawler.crawl(options.url);
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
+    if (results.interrupted) {
+      logger.warn(`⏹️  Crawl interrupted (${results.interrupted}) after ${results.pages.length} pages - continue with --resume`);
+      process.exit(130);
+    }
+
     // Summary
     logger.info('');
     logger.info('═══════════════════════════════════════════════════════════════════');
@@ -247,4 +396,6 @@ program.parse();
     logger.error('');
     process.exit(1);
   }
-})();
+});
+
+program.parse();
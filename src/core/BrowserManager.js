@@ -8,6 +8,7 @@
 
 const { EventEmitter } = require('events');
 const { chromium } = require('playwright');
+const { SeededRandom } = require('../utils/SeededRandom');
 
 class BrowserManager extends EventEmitter {
   constructor(config, logger) {
@@ -16,6 +17,7 @@ class BrowserManager extends EventEmitter {
     this.logger = logger;
     this.browser = null;
     this.isInitialized = false;
+    this.random = SeededRandom.for(config, 'ua');
     
     // Simple UA pool (preserved idea, minimal)
     this.userAgents = [
@@ -195,8 +197,7 @@ class BrowserManager extends EventEmitter {
 
   pickUserAgent() {
     try {
-      const idx = Math.floor(Math.random() * this.userAgents.length);
-      return this.userAgents[idx];
+      return this.random.pick(this.userAgents);
     } catch {
       return this.userAgents[0];
     }
@@ -0,0 +1,82 @@
+// src/core/CheckpointManager.js
+/**
+ * SpeedCrawl Pro v22.2 - CheckpointManager (resumable crawls)
+ * - Persists crawl state to <outputDir>/crawl-checkpoint.json
+ * - Writes are synchronous and atomic (tmp + rename) so they are safe from signal handlers
+ * - saveEvery() is the crawl-loop save: every CHECKPOINT_EVERY_PAGES pages or CHECKPOINT_INTERVAL_MS,
+ *   whichever comes first, so large frontiers are not rewritten after every page
+ * - Status: running | interrupted | completed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECKPOINT_FILE = 'crawl-checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_EVERY_PAGES = 10;
+const CHECKPOINT_INTERVAL_MS = 30000;
+
+class CheckpointManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.file = path.join(config.get('outputDir') || './speedcrawl-output', CHECKPOINT_FILE);
+    this.pending = 0;
+    this.lastSave = Date.now();
+  }
+
+  // Accepts a checkpoint file or the output directory that holds one
+  static locate(target) {
+    if (!target) return null;
+    const resolved = path.resolve(String(target));
+    try {
+      if (fs.statSync(resolved).isDirectory()) return path.join(resolved, CHECKPOINT_FILE);
+    } catch {}
+    return resolved;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  load() {
+    try {
+      if (!this.exists()) return null;
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!data || data.version !== CHECKPOINT_VERSION || !data.frontier) {
+        this.logger.warn(`⚠️ Ignoring incompatible checkpoint: ${this.file}`);
+        return null;
+      }
+      return data;
+    } catch (e) {
+      this.logger.warn(`⚠️ Failed to read checkpoint: ${e.message}`);
+      return null;
+    }
+  }
+
+  // build() is only called when a save is due; the snapshot itself grows with the crawl
+  saveEvery(build) {
+    this.pending++;
+    if (this.pending < CHECKPOINT_EVERY_PAGES && Date.now() - this.lastSave < CHECKPOINT_INTERVAL_MS) return null;
+    return this.save(build());
+  }
+
+  save(snapshot) {
+    this.pending = 0;
+    this.lastSave = Date.now();
+    try {
+      const dir = path.dirname(this.file);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const data = { version: CHECKPOINT_VERSION, savedAt: new Date().toISOString(), ...snapshot };
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+      fs.renameSync(tmp, this.file);
+      return this.file;
+    } catch (e) {
+      this.logger.debug(`Checkpoint write error: ${e.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = { CheckpointManager, CHECKPOINT_FILE };
@@ -4,15 +4,26 @@ const path = require('path');
 const fs = require('fs');
 
 const { BrowserManager } = require('./BrowserManager');
+const { CrawlFrontier } = require('./CrawlFrontier');
+const { CheckpointManager } = require('./CheckpointManager');
+const { ScopeManager } = require('./ScopeManager');
 const { FormProcessor } = require('../forms/FormProcessor');
 const { CAPTCHAHandler } = require('../evasion/CAPTCHAHandler');
 const { ModernTechDetector } = require('../discovery/ModernTechDetector');
 const { JSChunkAnalyzer } = require('../discovery/JSChunkAnalyzer');
 const { EndpointAnalyzer } = require('../discovery/EndpointAnalyzer');
+const { GraphQLAnalyzer } = require('../discovery/GraphQLAnalyzer');
+const { LinkExtractor } = require('../discovery/LinkExtractor');
+const { InteractionExplorer } = require('../discovery/InteractionExplorer');
 const { SecretDetector } = require('../security/SecretDetector');
+const { SessionManager } = require('../session/SessionManager');
+const { LoginManager } = require('../session/LoginManager');
 
 const { StreamWriter } = require('../output/StreamWriter');
 const { HTTPFormatter } = require('../output/HTTPFormatter');
+const { OpenAPIGenerator } = require('../output/OpenAPIGenerator');
+const { NucleiExporter } = require('../output/NucleiExporter');
+const { ParameterInventory } = require('../output/ParameterInventory');
 const { NetworkCapture } = require('../network/NetworkCapture');
 
 class CrawlEngine extends EventEmitter {
@@ -25,17 +36,31 @@ class CrawlEngine extends EventEmitter {
     this.formProcessor = new FormProcessor(config, logger);
     this.captchaHandler = new CAPTCHAHandler(config, logger);
     this.techDetector = new ModernTechDetector(config, logger);
-    this.jsAnalyzer = new JSChunkAnalyzer(config, logger);
-    this.endpointAnalyzer = new EndpointAnalyzer(config, logger);
     this.secretDetector = new SecretDetector(config, logger);
+    this.jsAnalyzer = new JSChunkAnalyzer(config, logger, this.secretDetector);
+    this.endpointAnalyzer = new EndpointAnalyzer(config, logger);
+    this.graphql = new GraphQLAnalyzer(config, logger);
+    this.jsAnalyzer.on('chunk', ({ url, code }) => this.graphql.scanCode(code, url));
+    this.linkExtractor = new LinkExtractor(config, logger);
+    this.interactionExplorer = new InteractionExplorer(config, logger);
+    this.sessionManager = new SessionManager(config, logger);
+    this.loginManager = new LoginManager(config, logger, this.sessionManager);
 
     this.streamWriter = new StreamWriter(config, logger);
     this.httpFormatter = new HTTPFormatter(config, logger);
+    this.openApiGenerator = new OpenAPIGenerator(config, logger);
+    this.nucleiExporter = new NucleiExporter(config, logger);
+    this.parameterInventory = new ParameterInventory(config, logger);
     this.capture = null;
 
     this.requests = [];
     this.totalRequestCount = 0;
     this.processedUrls = new Set();
+    this.stopRequested = null;
+    this.linkIndex = new Map();
+    this.frontier = new CrawlFrontier(config, logger);
+    this.checkpoint = new CheckpointManager(config, logger);
+    this.scope = new ScopeManager(config, logger);
 
     this.results = {
       startTime: null,
@@ -43,11 +68,15 @@ class CrawlEngine extends EventEmitter {
       duration: 0,
       pages: [],
       forms: 0,
+      formResults: [],
       fieldsProcessed: 0,
       requests: [],
       requestCount: 0,
       technologies: [],
       endpoints: [],
+      jsEndpoints: [],
+      links: [],
+      interactions: [],
       secrets: [],
       jsChunks: 0
     };
@@ -61,6 +90,7 @@ class CrawlEngine extends EventEmitter {
 
   setupMonitor(context) {
     this.capture = new NetworkCapture(this.config, this.logger, this.streamWriter, this.httpFormatter);
+    this.capture.onEntry((entry) => this.parameterInventory.observe(entry));
     this.capture.attach(context);
 
     context.on('request', (req) => {
@@ -71,6 +101,8 @@ class CrawlEngine extends EventEmitter {
         postData: req.postData(),
         timestamp: Date.now()
       };
+      if (!this.scope.filterRecord(data)) return;
+      this.graphql.observeRequest(data);
       this.totalRequestCount++;
       this.requests.push(data);
       if (this.requests.length > 200) this.requests.shift();
@@ -82,6 +114,18 @@ class CrawlEngine extends EventEmitter {
     const startUrl = this.config.get('url');
     if (!startUrl) throw new Error('No URL provided');
 
+    // Ctrl-C / SIGTERM: persist the frontier, let in-flight pages finish, then return through
+    // cleanup (browser, upload temp dir, OTP listeners) with results.interrupted set to the signal;
+    // the caller picks the exit code. A second signal kills the process
+    const onSignal = (signal) => {
+      this.logger.warn(`⚠️ ${signal} received - saving checkpoint and stopping after the current pages`);
+      this.stopRequested = signal;
+      const file = this.checkpoint.save(this.snapshot('interrupted'));
+      if (file) this.logger.info(`💾 Checkpoint: ${file}`);
+    };
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+
     try {
       await this.initialize();
       const context = await this.browserManager.newStealthContext({
@@ -89,7 +133,16 @@ class CrawlEngine extends EventEmitter {
         bypassCSP: true
       });
       this.setupMonitor(context);
+      await this.scope.attach(context);
+      if (this.loginManager.enabled && !(await this.loginManager.login(context))) {
+        this.logger.warn('⚠️ Continuing without an authenticated session');
+      }
       await this.crawlPages(context, startUrl);
+      if (this.stopRequested) {
+        this.results.interrupted = this.stopRequested;
+        return this.results;
+      }
+      await this.graphql.probe(context);
       this.results.endTime = Date.now();
       this.results.duration = this.results.endTime - this.results.startTime;
       this.results.requests = this.requests.slice(-200);
@@ -99,6 +152,8 @@ class CrawlEngine extends EventEmitter {
       this.printSummary();
       return this.results;
     } finally {
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
       await this.cleanup();
     }
   }
@@ -109,120 +164,325 @@ class CrawlEngine extends EventEmitter {
   }
 
   async crawlPages(context, startUrl) {
-    const queue = [{ url: startUrl, depth: 0 }];
-    const maxPages = Number(this.config.get('maxPages'));
-    const maxDepth = Number(this.config.get('maxDepth'));
-    const origin = new URL(startUrl).origin;
-    const baseHost = new URL(startUrl).hostname;
-    let fails = 0;
+    const state = {
+      maxPages: Number(this.config.get('maxPages')),
+      maxDepth: Number(this.config.get('maxDepth')),
+      origin: new URL(startUrl).origin,
+      baseHost: new URL(startUrl).hostname,
+      active: 0,
+      fails: 0
+    };
+    if (this.config.get('resume')) this.restoreCheckpoint();
+    this.frontier.push({ url: startUrl, depth: 0 });
+
+    const threads = Math.max(1, Number(this.config.get('threads', 1)) || 1);
+    if (threads > 1) this.logger.info(`🧵 Crawling with ${threads} concurrent pages`);
+    await Promise.all(Array.from({ length: threads }, () => this._runWorker(context, state)));
+
+    // Anything left in the queue (five-failure exit, maxPages or a signal) stays resumable
+    this.checkpoint.save(this.snapshot(this.frontier.size > 0 || this.stopRequested ? 'interrupted' : 'completed'));
+  }
+
+  snapshot(status = 'running') {
+    return {
+      status,
+      url: this.config.get('url'),
+      outputDir: this.config.get('outputDir'),
+      startTime: this.results.startTime,
+      frontier: this.frontier.toJSON(),
+      processedUrls: Array.from(this.processedUrls),
+      analyzedChunks: Array.from(this.jsAnalyzer.analyzedChunks || []),
+      lazyChunks: Array.from(this.jsAnalyzer.lazyChunks || []),
+      graphql: this.graphql.toJSON(),
+      realtime: this.capture ? this.capture.realtime.toJSON() : [],
+      exploredStates: this.interactionExplorer.knownStates,
+      totalRequestCount: this.totalRequestCount,
+      results: {
+        pages: this.results.pages,
+        forms: this.results.forms,
+        formResults: this.results.formResults,
+        fieldsProcessed: this.results.fieldsProcessed,
+        technologies: this.results.technologies,
+        endpoints: this.results.endpoints,
+        jsEndpoints: this.results.jsEndpoints,
+        links: this.results.links,
+        interactions: this.results.interactions,
+        secrets: this.secretDetector.getAllSecrets(),
+        jsChunks: this.results.jsChunks
+      }
+    };
+  }
+
+  restoreCheckpoint() {
+    const data = this.checkpoint.load();
+    if (!data) {
+      this.logger.warn('⚠️ No checkpoint to resume from - starting a fresh crawl');
+      return false;
+    }
+
+    this.frontier.restore(data.frontier);
+    this.processedUrls = new Set(data.processedUrls || []);
+    (data.analyzedChunks || []).forEach(u => this.jsAnalyzer.analyzedChunks.add(u));
+    (data.lazyChunks || []).forEach(u => this.jsAnalyzer.queueLazyChunk(u));
+    this.graphql.restore(data.graphql);
+    if (this.capture) this.capture.realtime.restore(data.realtime);
+    this.totalRequestCount = Number(data.totalRequestCount || 0);
+
+    const r = data.results || {};
+    (data.exploredStates || []).forEach(h => this.interactionExplorer.remember(h));
+    for (const k of ['pages', 'technologies', 'endpoints', 'jsEndpoints', 'links', 'interactions', 'formResults']) {
+      if (Array.isArray(r[k])) this.results[k] = r[k];
+    }
+    this.linkIndex = new Map(this.results.links.map(l => [l.url, l]));
+    for (const k of ['forms', 'fieldsProcessed', 'jsChunks']) {
+      this.results[k] = Number(r[k] || 0);
+    }
+    (r.secrets || []).forEach(sec => this.secretDetector.remember(sec));
+    this.results.secrets = this.secretDetector.getAllSecrets();
+
+    this.logger.info(`♻️  Resuming crawl: ${this.results.pages.length} pages done, ${this.frontier.size} queued (${data.status}, saved ${data.savedAt})`);
+    return true;
+  }
 
-    while (queue.length && this.results.pages.length < maxPages) {
-      const { url, depth } = queue.shift();
-      if (this.processedUrls.has(url) || depth > maxDepth) continue;
-      if (fails >= 5) break;
+  async _runWorker(context, state) {
+    while (state.fails < 5 && !this.stopRequested) {
+      // Pages in flight count against maxPages so workers never overshoot it
+      if (this.results.pages.length + state.active >= state.maxPages) {
+        if (state.active === 0) return;
+        await this._wait(100);
+        continue;
+      }
 
-      this.logger.info(`Processing: ${url}`);
-      const page = await context.newPage();
+      const item = this.frontier.next();
+      if (!item) {
+        // Queue drained: finish only once no other worker can still add links
+        if (state.active === 0) return;
+        await this._wait(100);
+        continue;
+      }
+      const key = item.key || item.url;
+      if (this.processedUrls.has(key) || item.depth > state.maxDepth) {
+        this.frontier.complete(key);
+        continue;
+      }
 
+      state.active++;
       try {
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.get('timeout') });
-        if (this.config.get('headless')) {
+        await this.processPage(context, item, state);
+      } finally {
+        state.active--;
+        this.frontier.complete(key);
+        this.checkpoint.saveEvery(() => this.snapshot('running'));
+      }
+    }
+  }
+
+  async processPage(context, { url, key, depth, via, actions }, state) {
+    await this.frontier.waitForHost(url, this.config.get('requestDelay'));
+
+    this.logger.info(`Processing: ${url}`);
+    const page = await context.newPage();
+
+    try {
+      let response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.get('timeout') });
+      if (this.config.get('headless')) {
+        try { await page.waitForLoadState('networkidle', { timeout: 10000 }); } catch {}
+        await page.waitForTimeout(2500);
+      } else {
+        await page.waitForTimeout(1500);
+      }
+
+      // Session expired mid-crawl: log in again and reload this page once
+      if (await this.loginManager.isLoggedOut(page, response)) {
+        this.logger.warn(`🔒 Logged out at ${url} - re-running login recipe`);
+        if (await this.loginManager.login(context)) {
+          response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.get('timeout') });
           try { await page.waitForLoadState('networkidle', { timeout: 10000 }); } catch {}
-          await page.waitForTimeout(2500);
-        } else {
-          await page.waitForTimeout(1500);
         }
+      }
+
+      // SPA state reached by clicks: replay them before analysing the page
+      if (actions?.length && !(await this.interactionExplorer.replay(page, actions))) {
+        this.logger.warn(`⚠️ Could not replay ${actions.length} click(s) for ${key}`);
+      }
 
-        try { await this.captchaHandler.handleCaptcha(page); } catch {}
+      try { await this.captchaHandler.handleCaptcha(page); } catch {}
+
+      try {
+        const tech = await this.techDetector.detectTechnologies(page);
+        if (tech) {
+          for (const k of ['frameworks', 'libraries', 'cms']) {
+            if (Array.isArray(tech[k])) tech[k].forEach(t => t && this.results.technologies.push(t));
+          }
+        }
+      } catch {}
 
+      if (this.config.get('deepJSAnalysis')) {
         try {
-          const tech = await this.techDetector.detectTechnologies(page);
-          if (tech) {
-            for (const k of ['frameworks', 'libraries', 'cms']) {
-              if (Array.isArray(tech[k])) tech[k].forEach(t => t && this.results.technologies.push(t));
-            }
+          const js = await this.jsAnalyzer.analyzeChunks(page);
+          this.results.jsChunks += js?.chunksAnalyzed || 0;
+          if (Array.isArray(js?.endpoints)) {
+            js.endpoints.forEach(ep => {
+              const scoped = ep?.endpoint && this._scopeEndpoint(ep.endpoint, ep.method, url);
+              if (!scoped) return;
+              this.results.endpoints.push(ep.endpoint);
+              this.results.jsEndpoints.push({
+                endpoint: ep.endpoint, method: ep.method, params: ep.params || [], source: ep.source,
+                ...(ep.query?.length ? { query: ep.query } : {}), ...(ep.body?.length ? { body: ep.body } : {}),
+                ...(ep.sourceMap ? { sourceMap: ep.sourceMap } : {}), ...scoped
+              });
+            });
           }
+          this.results.secrets = this.secretDetector.getAllSecrets();
         } catch {}
+      }
+
+      try {
+        // Forms run one at a time from this page's original state (URL + replayed clicks)
+        const restore = async (p) => {
+          await p.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.get('timeout') });
+          try { await p.waitForLoadState('networkidle', { timeout: 5000 }); } catch {}
+          return !actions?.length || this.interactionExplorer.replay(p, actions);
+        };
+        const r = await this.formProcessor.processForm(page, { restore });
+        this.results.fieldsProcessed += r?.fieldsProcessed || 0;
+        const forms = r?.forms || [];
+        this.results.forms += forms.filter(f => f.submitted).length;
+        this.results.formResults.push(...forms);
+        if (r?.submitted) await restore(page);
+      } catch {}
 
-        if (this.config.get('deepJSAnalysis')) {
+      try {
+        const eps = await this.endpointAnalyzer.analyzeEndpoints(page);
+        if (Array.isArray(eps?.endpoints)) {
+          eps.endpoints.forEach(ep => ep?.endpoint && this._scopeEndpoint(ep.endpoint, ep.method, url) && this.results.endpoints.push(ep.endpoint));
+        }
+      } catch {}
+
+      try {
+        const html = await page.content();
+        await this.secretDetector.scanContent(html, url);
+        this.graphql.scanCode(html, url);
+        const scripts = await page.$$eval('script[src]', s => s.map(x => x.src).filter(y => y && /\.js(\?|$)/.test(y)));
+        for (const sc of scripts.slice(0, 20)) {
           try {
-            const js = await this.jsAnalyzer.analyzeChunks(page);
-            this.results.jsChunks += js?.chunksAnalyzed || 0;
-            if (Array.isArray(js?.endpoints)) js.endpoints.forEach(ep => ep?.endpoint && this.results.endpoints.push(ep.endpoint));
+            const code = await page.evaluate(async u => { try { return await (await fetch(u)).text(); } catch { return null; } }, sc);
+            if (!code) continue;
+            await this.secretDetector.scanContent(code, sc);
+            this.graphql.scanCode(code, sc);
           } catch {}
         }
+        this.results.secrets = this.secretDetector.getAllSecrets();
+      } catch {}
 
-        try {
-          const r = await this.formProcessor.processForm(page);
-          this.results.fieldsProcessed += r?.fieldsProcessed || 0;
-          if (r?.submitted) this.results.forms += 1;
-        } catch {}
+      let links = [];
+      try {
+        links = await this.linkExtractor.discover(page, { url, depth });
+      } catch {}
 
+      for (const { url: link, via: found } of links) {
         try {
-          const eps = await this.endpointAnalyzer.analyzeEndpoints(page);
-          if (Array.isArray(eps?.endpoints)) eps.endpoints.forEach(ep => ep?.endpoint && this.results.endpoints.push(ep.endpoint));
+          if (!this._followable(link, state)) continue;
+          this.recordLink(link, found, url, depth + 1);
+          if (this.processedUrls.has(link)) continue;
+          this.frontier.push({ url: link, depth: depth + 1, via: found, from: url });
         } catch {}
+      }
 
-        try {
-          const html = await page.content();
-          await this.secretDetector.scanContent(html, url);
-          const scripts = await page.$$eval('script[src]', s => s.map(x => x.src).filter(y => y && /\.js(\?|$)/.test(y)));
-          for (const sc of scripts.slice(0, 20)) {
-            try {
-              const code = await page.evaluate(async u => { try { return await (await fetch(u)).text(); } catch { return null; } }, sc);
-              if (code) await this.secretDetector.scanContent(code, sc);
-            } catch {}
-          }
-          this.results.secrets = this.secretDetector.getAllSecrets();
-        } catch {}
+      if (this.config.get('explore') && depth < state.maxDepth) {
+        await this.exploreInteractions(context, { url, depth, actions }, state);
+      }
 
-        let links = [];
-        try {
-          links = await page.evaluate(() => {
-            const out = new Set();
-            document.querySelectorAll('a[href]').forEach(a => {
-              const h = a.getAttribute('href') || '';
-              if (!h || h.startsWith('javascript:') || h.startsWith('#') || h.startsWith('mailto:') || h.startsWith('tel:')) return;
-              try { out.add(new URL(a.href).href.split('#')[0]); } catch {}
-            });
-            return Array.from(out);
-          });
-        } catch {}
+      const title = await page.title().catch(() => 'Untitled');
+      this.results.pages.push({
+        url, depth, via: via || ['seed'], title, linksFound: links.length, timestamp: Date.now(),
+        ...(actions?.length ? { state: key, actions } : {})
+      });
+      this.processedUrls.add(key || url);
 
-        for (const link of links) {
-          try {
-            const u = new URL(link);
-            if (this.config.get('sameOrigin') && u.origin !== origin) {
-              const allowSubs = this.config.get('includeSubdomains');
-              const endsWithBase = u.hostname === baseHost || u.hostname.endsWith(`.${baseHost}`);
-              if (!(allowSubs && endsWithBase)) continue;
-            }
-            if (this.processedUrls.has(link)) continue;
-            const ext = (link.split('.').pop() || '').toLowerCase().split('?')[0];
-            if ((this.config.get('blockedExtensions') || []).includes(ext)) continue;
-            queue.push({ url: link, depth: depth + 1 });
-          } catch {}
-        }
+      this.emit('page-processed', {
+        pagesProcessed: this.results.pages.length,
+        currentUrl: url,
+        duration: ((Date.now() - this.results.startTime) / 1000).toFixed(1)
+      });
 
-        const title = await page.title().catch(() => 'Untitled');
-        this.results.pages.push({ url, depth, title, linksFound: links.length, timestamp: Date.now() });
-        this.processedUrls.add(url);
+      state.fails = 0;
+    } catch (err) {
+      state.fails++;
+      this.logger.warn(`Failed: ${url} - ${err.message}`);
+    }
 
-        this.emit('page-processed', {
-          pagesProcessed: this.results.pages.length,
-          currentUrl: url,
-          duration: ((Date.now() - this.results.startTime) / 1000).toFixed(1)
-        });
+    try { await page.close(); } catch {}
+  }
+
+  // Clicked states become queue entries: new URLs as links, same-URL DOM states with their click path
+  async exploreInteractions(context, { url, depth, actions = [] }, state) {
+    const throttle = (target) => this.frontier.waitForHost(target, this.config.get('requestDelay'));
+    const states = await this.interactionExplorer.explore(context, { url, actions, throttle });
+    for (const st of states) {
+      this.results.interactions.push({
+        from: url,
+        actions: [...actions, st.action],
+        kind: st.kind,
+        url: st.url,
+        hash: st.hash || null,
+        requests: st.requests.length
+      });
 
-        fails = 0;
-      } catch (err) {
-        fails++;
-        this.logger.warn(`Failed: ${url} - ${err.message}`);
+      if (st.kind === 'url') {
+        if (!this._followable(st.url, state)) continue;
+        this.recordLink(st.url, ['interaction'], url, depth + 1);
+        if (!this.processedUrls.has(st.url)) {
+          this.frontier.push({ url: st.url, depth: depth + 1, via: ['interaction'], from: url });
+        }
+      } else {
+        this.frontier.push({
+          url,
+          key: `${url.split('#')[0]}#state-${st.hash}`,
+          depth: depth + 1,
+          via: ['interaction'],
+          from: url,
+          actions: [...actions, st.action]
+        });
       }
+    }
+  }
+
+  // Scope, same-origin, logout and extension checks shared by every link source
+  _followable(link, state) {
+    let u;
+    try { u = new URL(link); } catch { return false; }
+    if (this.scope.hasRules) {
+      if (!this.scope.allows(link, 'GET')) return false;
+    } else if (this.config.get('sameOrigin') && u.origin !== state.origin) {
+      const allowSubs = this.config.get('includeSubdomains');
+      const endsWithBase = u.hostname === state.baseHost || u.hostname.endsWith(`.${state.baseHost}`);
+      if (!(allowSubs && endsWithBase)) return false;
+    }
+    if (this.loginManager.shouldAvoid(link)) return false;
+    const ext = (link.split('.').pop() || '').toLowerCase().split('?')[0];
+    return !(this.config.get('blockedExtensions') || []).includes(ext);
+  }
 
-      try { await page.close(); } catch {}
-      await this._wait(this.config.get('requestDelay'));
+  // Link inventory: first page a URL was seen on, plus every strategy that found it
+  recordLink(url, via, from, depth) {
+    const known = this.linkIndex.get(url);
+    if (known) {
+      via.forEach(v => { if (!known.via.includes(v)) known.via.push(v); });
+      return;
     }
+    const link = { url, via: via.slice(), foundOn: from, depth };
+    this.linkIndex.set(url, link);
+    this.results.links.push(link);
+  }
+
+  // Scope check for discovered endpoints, resolved against the page they were found on:
+  // null when dropped, extra fields to record otherwise ({ url, outOfScope? })
+  _scopeEndpoint(endpoint, method, pageUrl) {
+    let record;
+    try { record = { url: new URL(endpoint, pageUrl).href, method: method || 'GET' }; } catch { return null; }
+    if (!this.scope.filterRecord(record)) return null;
+    return { url: record.url, ...(record.outOfScope ? { outOfScope: true } : {}) };
   }
 
   async generateOutputs() {
@@ -239,18 +499,46 @@ class CrawlEngine extends EventEmitter {
       allRequests = this.requests;
     }
 
-    const uniqueEndpoints = [...new Set(this.results.endpoints)].filter(Boolean);
+    allRequests = this._stable(allRequests, r => `${r.method} ${r.url} ${r.postData || ''}`);
+
+    const uniqueEndpoints = this._stable([...new Set(this.results.endpoints)].filter(Boolean));
     fs.writeFileSync(path.join(outputDir, 'endpoints.txt'), uniqueEndpoints.join('\n') || 'No endpoints');
 
-    const uniqueTech = [...new Set(this.results.technologies)].filter(Boolean);
+    const uniqueTech = this._stable([...new Set(this.results.technologies)].filter(Boolean));
     fs.writeFileSync(path.join(outputDir, 'technologies.txt'), uniqueTech.join('\n') || 'None');
 
-    fs.writeFileSync(path.join(outputDir, 'all-urls.txt'), Array.from(this.processedUrls).join('\n'));
+    // Clicked SPA states are processed as url#state-<hash>; list each URL once
+    const crawledUrls = new Set(Array.from(this.processedUrls).map(u => u.split('#')[0]));
+    fs.writeFileSync(path.join(outputDir, 'all-urls.txt'), this._stable(Array.from(crawledUrls)).join('\n'));
+    const formResults = this._stable(this.results.formResults, f => `${f.page} ${f.type} ${String(f.index).padStart(6, '0')}`);
+    fs.writeFileSync(path.join(outputDir, 'forms.json'), JSON.stringify(formResults, null, 2));
+
+    if (this.config.get('explore')) {
+      const interactions = this._stable(this.results.interactions, i => `${i.from} ${i.url} ${i.hash || ''} ${JSON.stringify(i.actions)}`);
+      fs.writeFileSync(path.join(outputDir, 'interactions.json'), JSON.stringify(interactions, null, 2));
+    }
+
+    const links = this._stable(this.results.links, l => l.url).map(l => ({ ...l, crawled: this.processedUrls.has(l.url) }));
+    fs.writeFileSync(path.join(outputDir, 'discovered-links.json'), JSON.stringify(links, null, 2));
+    const linkSources = {};
+    links.forEach(l => l.via.forEach(v => { linkSources[v] = (linkSources[v] || 0) + 1; }));
 
-    const secretsContent = (this.results.secrets || []).length > 0
-      ? this.results.secrets.map(s => `[${s.type}] ${s.value}\n  Source: ${s.source}`).join('\n\n')
+    const secrets = this._stable(this.results.secrets || [], s => `${s.type} ${s.value} ${s.source}`);
+    const secretsContent = secrets.length > 0
+      ? secrets.map(s => `[${s.type}] ${s.value}\n  Source: ${s.source}${s.line ? `:${s.line}` : ''}`).join('\n\n')
       : 'No secrets found';
     fs.writeFileSync(path.join(outputDir, 'secrets.txt'), secretsContent);
+    const graphql = this.graphql.write(outputDir);
+    const realtime = this.capture ? this.capture.realtime.getStats() : { websockets: 0, eventSources: 0, realtimeMessages: 0 };
+
+    const captured = this.capture ? this.capture.getEntries() : [];
+    const parameters = this.parameterInventory.write({
+      entries: captured,
+      requests: allRequests,
+      jsEndpoints: this.results.jsEndpoints,
+      forms: formResults,
+      baseUrl: this.config.get('url')
+    });
 
     const summary = {
       crawl: {
@@ -262,11 +550,19 @@ class CrawlEngine extends EventEmitter {
       },
       findings: {
         forms: this.results.forms,
+        formsFound: this.results.formResults.length,
+        workflows: this.results.formResults.filter(f => f.workflow).length,
         fieldsProcessed: this.results.fieldsProcessed,
         secrets: (this.results.secrets || []).length,
         endpoints: uniqueEndpoints.length,
+        parameters: parameters ? parameters.parameters : 0,
         technologies: uniqueTech.length,
-        jsChunks: this.results.jsChunks
+        jsChunks: this.results.jsChunks,
+        ...this.jsAnalyzer.sourceMaps.getStats(),
+        ...this.graphql.getStats(),
+        ...realtime,
+        links: links.length,
+        linkSources
       }
     };
     fs.writeFileSync(path.join(outputDir, 'summary.json'), JSON.stringify(summary, null, 2));
@@ -279,18 +575,47 @@ class CrawlEngine extends EventEmitter {
       `- Fields: ${this.results.fieldsProcessed}`,
       `- Requests: ${allRequests.length}`,
       `- Endpoints: ${uniqueEndpoints.length}`,
+      `- Parameters: ${parameters ? parameters.parameters : 0}`,
       `- Secrets: ${(this.results.secrets || []).length}`,
       `- JS Chunks: ${this.results.jsChunks}`,
+      `- Source Maps: ${this.jsAnalyzer.sourceMaps.maps.length}`,
+      ...(graphql ? [`- GraphQL: ${graphql.endpoints} endpoints, ${graphql.operations} operations, ${graphql.schemas} schemas`] : []),
+      ...(realtime.websockets + realtime.eventSources ? [`- Real-time: ${realtime.websockets} WebSocket, ${realtime.eventSources} EventSource (${realtime.realtimeMessages} messages)`] : []),
       `- Duration: ${(this.results.duration / 1000).toFixed(2)}s`
     ].join('\n');
     fs.writeFileSync(path.join(outputDir, 'summary.md'), md);
 
     const formats = this.config.get('formats') || [];
+    // Linked request/response pairs from this run; fall back to the request stream
+    const entries = captured.length
+      ? this._stable(captured, e => `${e.request.method} ${e.request.url} ${e.request.postData || ''} ${e.response?.status ?? ''}`)
+      : allRequests;
+
     if (formats.includes('jsonl')) await this.streamWriter.writeJSONL({ requests: allRequests });
-    if (formats.includes('har')) await this.streamWriter.writeHAR({ requests: allRequests });
+    if (formats.includes('har')) await this.streamWriter.writeHAR({ entries: this.capture ? this.capture.harEntries(entries) : entries });
+    if (formats.includes('burp')) await this.streamWriter.writeBurp({ entries });
+    if (formats.includes('postman')) await this.streamWriter.writePostman({ entries });
+    if (formats.includes('nuclei')) await this.nucleiExporter.write({ entries });
+    if (formats.includes('openapi')) {
+      await this.openApiGenerator.writeSpec({
+        entries,
+        jsEndpoints: this.results.jsEndpoints,
+        baseUrl: this.config.get('url')
+      });
+    }
     // HTTP is flushed in capture.flush()
   }
 
+  // --seed: outputs sorted by content so two runs compare line by line; otherwise discovery order
+  _stable(list, key = (x) => x) {
+    if (this.config.get('seed') == null) return list;
+    return list.slice().sort((a, b) => {
+      const ka = key(a);
+      const kb = key(b);
+      return ka < kb ? -1 : ka > kb ? 1 : 0;
+    });
+  }
+
   printSummary() {
     this.logger.info('');
     this.logger.info('Summary ready.');
@@ -302,6 +627,7 @@ class CrawlEngine extends EventEmitter {
   async cleanup() {
     try {
       if (this.streamWriter?.cleanup) this.streamWriter.cleanup();
+      await this.formProcessor.cleanup();
       if (this.browserManager) await this.browserManager.close();
     } catch {}
   }
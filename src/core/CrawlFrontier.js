@@ -0,0 +1,108 @@
+// src/core/CrawlFrontier.js
+/**
+ * SpeedCrawl Pro v22.2 - CrawlFrontier (shared queue for crawl workers)
+ * - FIFO queue of { url, depth } entries shared by every worker
+ * - Dedupes URLs across workers: a URL is only ever enqueued once
+ * - Per-host slot reservation so requestDelay is honoured per host, not globally
+ * - Tracks in-flight entries so a checkpoint never loses a page mid-crawl
+ * - Entries may carry a `key` (e.g. url#state-<hash> for SPA states reached by clicks);
+ *   dedupe and in-flight tracking use the key, navigation uses the url
+ * - With --seed, next() takes the shallowest entry and breaks ties by a per-seed rank of its key,
+ *   so the crawl order does not depend on which page finished first
+ */
+const { SeededRandom } = require('../utils/SeededRandom');
+
+class CrawlFrontier {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.queue = [];
+    this.seen = new Set();
+    this.inFlight = new Map();
+    this.hostSlots = new Map();
+    this.random = SeededRandom.for(config, 'frontier');
+    this.ranks = new WeakMap();
+  }
+
+  push(entry) {
+    if (!entry || !entry.url) return false;
+    const url = this.normalize(entry.url);
+    if (!url) return false;
+    const key = entry.key || url;
+    if (this.seen.has(key)) return false;
+    this.seen.add(key);
+    this.queue.push({ ...entry, url });
+    return true;
+  }
+
+  next() {
+    let at = 0;
+    if (this.random.seeded) {
+      for (let i = 1; i < this.queue.length; i++) if (this._before(this.queue[i], this.queue[at])) at = i;
+    }
+    const entry = this.queue.splice(at, 1)[0] || null;
+    if (entry) this.inFlight.set(entry.key || entry.url, entry);
+    return entry;
+  }
+
+  complete(key) {
+    this.inFlight.delete(key);
+  }
+
+  has(url) {
+    return this.seen.has(this.normalize(url));
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+
+  // In-flight entries go back to the front so a resumed crawl retries them
+  toJSON() {
+    return {
+      queue: [...this.inFlight.values(), ...this.queue],
+      seen: Array.from(this.seen)
+    };
+  }
+
+  restore(data) {
+    this.queue = Array.isArray(data?.queue) ? data.queue.filter(e => e && e.url) : [];
+    this.seen = new Set(Array.isArray(data?.seen) ? data.seen : []);
+    this.queue.forEach(e => this.seen.add(e.key || e.url));
+    this.inFlight.clear();
+  }
+
+  _before(a, b) {
+    if ((a.depth || 0) !== (b.depth || 0)) return (a.depth || 0) < (b.depth || 0);
+    return this._rank(a) < this._rank(b);
+  }
+
+  _rank(entry) {
+    if (!this.ranks.has(entry)) this.ranks.set(entry, this.random.rank(entry.key || entry.url));
+    return this.ranks.get(entry);
+  }
+
+  normalize(url) {
+    try {
+      const u = new URL(url);
+      u.hash = '';
+      return u.href;
+    } catch {
+      return null;
+    }
+  }
+
+  // Reserve the next navigation slot for a host and wait until it is due
+  async waitForHost(url, delayMs) {
+    const delay = Number(delayMs || 0);
+    if (delay <= 0) return;
+    let host = '';
+    try { host = new URL(url).host; } catch { return; }
+    const now = Date.now();
+    const due = Math.max(now, this.hostSlots.get(host) || 0);
+    this.hostSlots.set(host, due + delay);
+    if (due > now) await new Promise(r => setTimeout(r, due - now));
+  }
+}
+
+module.exports = { CrawlFrontier };
@@ -2,6 +2,8 @@
  * SpeedCrawl Pro v14 - NetworkCapture (COMPLETE & WORKING)
  */
 
+const { RealtimeCapture } = require('../network/RealtimeCapture');
+
 class NetworkCapture {
   constructor(config, logger) {
     this.config = config;
@@ -9,12 +11,14 @@ class NetworkCapture {
     this.requests = new Map();
     this.responses = new Map();
     this.requestCounter = 0;
+    this.realtime = new RealtimeCapture(config, logger);
   }
 
   async setupContext(context) {
     try {
       context.on('request', req => this.captureRequest(req));
       context.on('response', resp => this.captureResponse(resp));
+      this.realtime.attach(context);
       this.logger.debug('📡 NetworkCapture: Monitoring enabled');
     } catch (error) {
       this.logger.debug(`NetworkCapture setup error: ${error.message}`);
@@ -22,7 +26,8 @@ class NetworkCapture {
   }
 
   async setupPage(page) {
-    // Optional page-level hooks
+    // WebSocket / EventSource hooks; a no-op for pages already seen through the context
+    await this.realtime.attachPage(page);
   }
 
   captureRequest(request) {
@@ -94,7 +99,7 @@ class NetworkCapture {
     return {
       requests: this.requests,
       responses: this.responses,
-      websockets: []
+      websockets: this.realtime.getSessions()
     };
   }
 }
@@ -0,0 +1,167 @@
+// src/core/ScopeManager.js
+/**
+ * SpeedCrawl Pro v22.2 - ScopeManager (Burp-style include/exclude scope)
+ * - Scope file (YAML or JSON) passed with --scope <file>
+ * - Rule fields (all optional, every given field must match):
+ *   - protocol: http | https (or list)
+ *   - host: glob, e.g. *.example.com (or list)
+ *   - port: 443 | [80, 443] | "8000-8100"
+ *   - path: regex tested against the URL path
+ *   - method: GET | [GET, POST]
+ *   A bare string rule is shorthand for { host: <glob> }
+ * - In scope = matches any include rule and no exclude rule
+ * - outOfScope: drop (default) removes traffic from every output, tag keeps it marked out_of_scope
+ * - block: true aborts out-of-scope browser requests so they never leave the machine
+ * - Without a scope file the target's site (registrable domain, via the public suffix list) is in scope, and
+ *   crawling keeps the legacy --same-origin / --include-subdomains behaviour
+ *
+ * Example:
+ *   include:
+ *     - host: '*.example.com'
+ *       protocol: https
+ *   exclude:
+ *     - host: payments.example.com
+ *     - path: /(logout|admin/delete)
+ *     - method: DELETE
+ *   outOfScope: drop
+ *   block: false
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parse: parseDomain } = require('tldts');
+
+const RULE_KEYS = ['protocol', 'host', 'port', 'path', 'method'];
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+class ScopeManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+
+    const rules = config.get('scope') || null;
+    this.hasRules = !!rules;
+    this.include = (rules?.include || []).map(r => this.compileRule(r));
+    this.exclude = (rules?.exclude || []).map(r => this.compileRule(r));
+    this.mode = rules?.outOfScope === 'tag' ? 'tag' : 'drop';
+    this.block = !!rules?.block;
+    this.site = this._site(config.get('url'));
+  }
+
+  // Parse and validate a scope file; throws with a readable message on bad input
+  static loadRules(file) {
+    const raw = fs.readFileSync(path.resolve(file), 'utf8');
+    const rules = /\.json$/i.test(file) ? JSON.parse(raw) : YAML.parse(raw);
+    if (!rules || typeof rules !== 'object') throw new Error('scope file is empty');
+
+    for (const list of ['include', 'exclude']) {
+      if (rules[list] == null) continue;
+      if (!Array.isArray(rules[list])) throw new Error(`scope "${list}" must be a list of rules`);
+      rules[list].forEach((rule, i) => {
+        if (typeof rule === 'string') return;
+        const unknown = Object.keys(rule || {}).filter(k => !RULE_KEYS.includes(k));
+        if (unknown.length) throw new Error(`scope ${list}[${i}]: unknown field(s) ${unknown.join(', ')}`);
+        if (rule.path) {
+          try { new RegExp(rule.path); } catch (e) { throw new Error(`scope ${list}[${i}]: bad path regex (${e.message})`); }
+        }
+      });
+    }
+    if (!Array.isArray(rules.include) || rules.include.length === 0) {
+      throw new Error('scope file needs at least one include rule');
+    }
+    if (rules.outOfScope && !['drop', 'tag'].includes(rules.outOfScope)) {
+      throw new Error('scope outOfScope must be "drop" or "tag"');
+    }
+    return rules;
+  }
+
+  compileRule(rule) {
+    const r = typeof rule === 'string' ? { host: rule } : rule || {};
+    const list = v => (v == null ? null : [].concat(v).map(x => String(x).trim()).filter(Boolean));
+    return {
+      protocols: list(r.protocol)?.map(p => p.toLowerCase().replace(/:$/, '')),
+      hosts: list(r.host)?.map(h => this._glob(h)),
+      ports: list(r.port)?.map(p => {
+        const [lo, hi] = p.split('-').map(Number);
+        return [lo, Number.isFinite(hi) ? hi : lo];
+      }),
+      path: r.path ? new RegExp(r.path) : null,
+      methods: list(r.method)?.map(m => m.toUpperCase())
+    };
+  }
+
+  // Rule evaluation; without a scope file the target's site is the scope
+  matches(url, method = 'GET') {
+    let u;
+    try { u = new URL(url); } catch { return false; }
+    if (!this.hasRules) return !!this.site && this._site(u.href) === this.site;
+
+    const m = String(method || 'GET').toUpperCase();
+    const hit = rule => this._ruleMatches(rule, u, m);
+    return this.include.some(hit) && !this.exclude.some(hit);
+  }
+
+  // Gate for active actions (enqueue, submit, probe): permissive unless a scope file is loaded
+  allows(url, method = 'GET') {
+    return !this.hasRules || this.matches(url, method);
+  }
+
+  // Returns false when a captured record must be dropped; tags it otherwise
+  filterRecord(record) {
+    if (!this.hasRules || !record) return true;
+    if (this.matches(record.url, record.method)) return true;
+    if (this.mode === 'drop') return false;
+    record.outOfScope = true;
+    return true;
+  }
+
+  // block: true - abort out-of-scope requests at the browser
+  async attach(context) {
+    if (!this.hasRules || !this.block) return;
+    await context.route('**/*', (route) => {
+      const req = route.request();
+      if (this.matches(req.url(), req.method())) return route.continue();
+      this.logger.debug(`⛔ Out of scope, blocked: ${req.method()} ${req.url()}`);
+      return route.abort('blockedbyclient');
+    });
+    this.logger.info('⛔ Blocking out-of-scope requests');
+  }
+
+  describe() {
+    if (!this.hasRules) return `site ${this.site || '-'}`;
+    return `${this.include.length} include / ${this.exclude.length} exclude rules (${this.mode}${this.block ? ', block' : ''})`;
+  }
+
+  _ruleMatches(rule, u, method) {
+    if (rule.protocols && !rule.protocols.includes(u.protocol.replace(/:$/, ''))) return false;
+    if (rule.hosts && !rule.hosts.some(rx => rx.test(u.hostname))) return false;
+    if (rule.ports) {
+      const port = Number(u.port || DEFAULT_PORTS[u.protocol]);
+      if (!rule.ports.some(([lo, hi]) => port >= lo && port <= hi)) return false;
+    }
+    if (rule.path && !rule.path.test(u.pathname)) return false;
+    if (rule.methods && !rule.methods.includes(method)) return false;
+    return true;
+  }
+
+  _glob(pattern) {
+    const esc = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${esc}$`, 'i');
+  }
+
+  // Registrable domain from the public suffix list (shop.example.co.uk -> example.co.uk,
+  // a.user.github.io -> user.github.io); IP addresses, localhost and other hosts without
+  // one only match themselves
+  _site(url) {
+    try {
+      const { hostname } = new URL(url);
+      const parsed = parseDomain(hostname, { allowPrivateDomains: true });
+      return (!parsed.isIp && parsed.domain) || hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { ScopeManager };
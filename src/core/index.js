@@ -1,7 +1,13 @@
 const { BrowserManager } = require('./BrowserManager');
+const { CheckpointManager } = require('./CheckpointManager');
 const { CrawlEngine } = require('./CrawlEngine');
+const { CrawlFrontier } = require('./CrawlFrontier');
+const { ScopeManager } = require('./ScopeManager');
 
 module.exports = {
   BrowserManager,
-  CrawlEngine
+  CheckpointManager,
+  CrawlEngine,
+  CrawlFrontier,
+  ScopeManager
 };
@@ -0,0 +1,621 @@
+// src/discovery/ASTEndpointExtractor.js
+/**
+ * SpeedCrawl Pro v22.2 - ASTEndpointExtractor (call-site endpoint extraction for --deep-js-analysis)
+ * - Parses with acorn; TypeScript/JSX (recovered source maps) falls back to @babel/parser with estree output
+ * - Resolves fetch / new Request, axios (axios(), axios.get/post/..., axios.request and
+ *   axios.create({ baseURL }) instances), $.ajax / $.get / $.post / $.getJSON, XMLHttpRequest.open,
+ *   and .get/.post/.put/.patch/.delete on any other client when the URL is clearly a path
+ * - Constant propagation through lexical scopes: string consts, object literal properties, +, template
+ *   literals and "".concat(); parts it cannot resolve become {name} placeholders, so
+ *   `${API}/users/${id}` with const API = '/api' reads /api/users/{id}
+ * - Reports method, query keys and body keys (object literals, JSON.stringify, FormData/URLSearchParams
+ *   including .append() calls, axios data/params, $.ajax data, xhr.send)
+ */
+
+// Bigger bundles stay on the regex patterns
+const MAX_CODE_SIZE = 5 * 1024 * 1024;
+// Constant chains deeper than this are treated as unknown (also breaks reference cycles)
+const MAX_DEPTH = 12;
+
+const HTTP_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']);
+const WITH_DATA = new Set(['post', 'put', 'patch']);
+const CLIENT_METHODS = new Set(['get', 'delete', 'head', 'options', 'post', 'put', 'patch']);
+const JQUERY_METHODS = { get: 'GET', getJSON: 'GET', post: 'POST' };
+// Receivers of .get()/.post() treated as HTTP clients: this.http, apiClient, request, userService, ...
+const CLIENT_NAMES = /(http|api|client|request|rest|agent|ky|service)$/i;
+const WRAPPERS = new Set([
+  'ParenthesizedExpression', 'ChainExpression', 'TSAsExpression', 'TSNonNullExpression',
+  'TSSatisfiesExpression', 'TSTypeAssertion'
+]);
+const SKIP_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'extra', 'comments', 'leadingComments', 'trailingComments']);
+
+function unwrap(node) {
+  while (node) {
+    if (WRAPPERS.has(node.type)) node = node.expression;
+    // Minified interop calls: (0, r.default)(...)
+    else if (node.type === 'SequenceExpression') node = node.expressions[node.expressions.length - 1];
+    else break;
+  }
+  return node;
+}
+
+function propName(member) {
+  if (!member || member.type !== 'MemberExpression') return null;
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.property.type === 'Literal' && typeof member.property.value === 'string') return member.property.value;
+  return null;
+}
+
+function keyName(prop) {
+  if (!prop || prop.type !== 'Property') return null;
+  if (prop.key.type === 'Identifier' && !prop.computed) return prop.key.name;
+  if (prop.key.type === 'Literal') return String(prop.key.value);
+  return null;
+}
+
+class Scope {
+  constructor(parent, isFunction) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.vars = new Map();
+  }
+
+  functionScope() {
+    let s = this;
+    while (!s.isFunction && s.parent) s = s.parent;
+    return s;
+  }
+
+  lookup(name) {
+    for (let s = this; s; s = s.parent) {
+      if (s.vars.has(name)) return s.vars.get(name);
+    }
+    return null;
+  }
+}
+
+class ASTEndpointExtractor {
+  constructor(config, logger, acorn) {
+    this.config = config;
+    this.logger = logger;
+    this.acorn = acorn;
+    try {
+      this.babel = require('@babel/parser');
+    } catch (e) {
+      this.babel = null;
+    }
+  }
+
+  /**
+   * @param {string} code
+   * @returns {Array<{ endpoint: string, method: string, type: 'ast', params: string[], query: string[], body: string[], line: number|null, priority: 0, partial?: true }>}
+   */
+  extract(code) {
+    if (!code || code.length > MAX_CODE_SIZE) return [];
+    const ast = this.parse(code);
+    if (!ast) return [];
+
+    try {
+      const state = { calls: [], assigns: [], memberCalls: new Map() };
+      const root = new Scope(null, true);
+      this.visit(ast, root, state);
+      state.assigns.forEach(({ name, node, scope, compound }) => {
+        let binding = scope.lookup(name);
+        if (!binding) {
+          binding = this.bind(root, name, null, root);
+        }
+        if (compound) binding.unknown = true;
+        else binding.values.push({ node, scope });
+      });
+      this.state = state;
+
+      const found = new Map();
+      for (const { node, scope } of state.calls) {
+        const hit = this.resolveCall(node, scope);
+        if (hit) this.record(found, hit, node);
+      }
+      return Array.from(found.values());
+    } catch (error) {
+      this.logger.debug(`AST endpoint extraction error: ${error.message}`);
+      return [];
+    } finally {
+      this.state = null;
+    }
+  }
+
+  parse(code) {
+    const options = {
+      ecmaVersion: 'latest', locations: true, allowHashBang: true,
+      allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true, allowImportExportEverywhere: true
+    };
+    for (const sourceType of ['module', 'script']) {
+      try {
+        return this.acorn.parse(code, { ...options, sourceType });
+      } catch (e) {}
+    }
+    if (!this.babel) return null;
+    try {
+      return this.babel.parse(code, {
+        sourceType: 'unambiguous', errorRecovery: true, plugins: ['estree', 'jsx', 'typescript']
+      }).program;
+    } catch (e) {
+      this.logger.debug(`AST parse failed: ${e.message}`);
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------- pass 1: scopes, bindings, call sites
+
+  bind(scope, name, init, initScope) {
+    let binding = scope.vars.get(name);
+    if (!binding) {
+      binding = { values: [], unknown: false, axios: false };
+      scope.vars.set(name, binding);
+    }
+    if (init) binding.values.push({ node: init, scope: initScope });
+    return binding;
+  }
+
+  // Destructuring, params, functions, classes: bound but never resolved
+  bindPattern(scope, pattern) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier': this.bind(scope, pattern.name).unknown = true; break;
+      case 'AssignmentPattern': this.bindPattern(scope, pattern.left); break;
+      case 'RestElement': this.bindPattern(scope, pattern.argument); break;
+      case 'ArrayPattern': pattern.elements.forEach(e => this.bindPattern(scope, e)); break;
+      case 'ObjectPattern': pattern.properties.forEach(p => this.bindPattern(scope, p.type === 'RestElement' ? p : p.value)); break;
+      case 'TSParameterProperty': this.bindPattern(scope, pattern.parameter); break;
+    }
+  }
+
+  visit(node, scope, state) {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression': {
+        if (node.type === 'FunctionDeclaration' && node.id) this.bindPattern(scope.functionScope(), node.id);
+        const inner = new Scope(scope, true);
+        if (node.type === 'FunctionExpression' && node.id) this.bindPattern(inner, node.id);
+        node.params.forEach(p => { this.bindPattern(inner, p); this.visit(p, inner, state); });
+        this.visit(node.body, inner, state);
+        return;
+      }
+      case 'ClassDeclaration':
+        if (node.id) this.bindPattern(scope, node.id);
+        break;
+      case 'VariableDeclaration': {
+        const target = node.kind === 'var' ? scope.functionScope() : scope;
+        for (const decl of node.declarations) {
+          if (decl.id.type === 'Identifier') this.bind(target, decl.id.name, decl.init, scope);
+          else this.bindPattern(target, decl.id);
+          this.visit(decl.init, scope, state);
+        }
+        return;
+      }
+      case 'ImportDeclaration':
+        node.specifiers.forEach(s => {
+          const binding = this.bind(scope, s.local.name);
+          binding.unknown = true;
+          binding.axios = node.source.value === 'axios';
+        });
+        return;
+      case 'BlockStatement':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'SwitchStatement': {
+        const inner = new Scope(scope, false);
+        this.visitChildren(node, inner, state);
+        return;
+      }
+      case 'CatchClause': {
+        const inner = new Scope(scope, false);
+        this.bindPattern(inner, node.param);
+        this.visit(node.body, inner, state);
+        return;
+      }
+      case 'AssignmentExpression':
+        if (node.left.type === 'Identifier') {
+          state.assigns.push({ name: node.left.name, node: node.right, scope, compound: node.operator !== '=' });
+        }
+        break;
+      case 'CallExpression':
+      case 'NewExpression': {
+        state.calls.push({ node, scope });
+        const callee = unwrap(node.callee);
+        if (callee?.type === 'MemberExpression' && unwrap(callee.object)?.type === 'Identifier') {
+          const name = unwrap(callee.object).name;
+          const owner = scope.lookup(name) || name;
+          if (!state.memberCalls.has(owner)) state.memberCalls.set(owner, []);
+          state.memberCalls.get(owner).push({ method: propName(callee), node, scope });
+        }
+        break;
+      }
+    }
+    this.visitChildren(node, scope, state);
+  }
+
+  visitChildren(node, scope, state) {
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(c => c && typeof c.type === 'string' && this.visit(c, scope, state));
+      else if (child && typeof child.type === 'string') this.visit(child, scope, state);
+    }
+  }
+
+  // ---------------------------------------------------------------- constant propagation
+
+  // The single value a name can hold here, or null (unknown, reassigned to something else, or a global)
+  valueOf(name, scope, depth = 0) {
+    const binding = scope.lookup(name);
+    if (!binding || binding.unknown || binding.values.length === 0 || depth > MAX_DEPTH) return null;
+    const first = binding.values[0];
+    if (binding.values.length > 1) {
+      const text = this.evaluate(first.node, first.scope, depth + 1);
+      const same = text != null && binding.values.every(v => this.evaluate(v.node, v.scope, depth + 1) === text);
+      if (!same) return null;
+    }
+    return first;
+  }
+
+  /** String value of an expression with {name} placeholders for unknown parts; null when nothing is known */
+  evaluate(node, scope, depth = 0) {
+    node = unwrap(node);
+    if (!node || depth > MAX_DEPTH) return null;
+
+    switch (node.type) {
+      case 'Literal':
+        return typeof node.value === 'string' || typeof node.value === 'number' ? String(node.value) : null;
+      case 'TemplateLiteral': {
+        const parts = [];
+        node.quasis.forEach((q, i) => {
+          parts.push({ text: q.value.cooked ?? q.value.raw });
+          if (i < node.expressions.length) parts.push({ node: node.expressions[i] });
+        });
+        return this.join(parts, scope, depth);
+      }
+      case 'BinaryExpression':
+        return node.operator === '+' ? this.join([{ node: node.left }, { node: node.right }], scope, depth) : null;
+      case 'Identifier': {
+        const value = this.valueOf(node.name, scope, depth + 1);
+        return value ? this.evaluate(value.node, value.scope, depth + 1) : null;
+      }
+      case 'MemberExpression': {
+        const prop = propName(node);
+        // Same-origin base URL
+        if (prop === 'origin' && /(^|\.)location$/.test(this.memberPath(node.object))) return '';
+        const obj = this.resolveObject(node.object, scope, depth + 1);
+        const value = obj && prop != null && this.property(obj.node, prop);
+        return value ? this.evaluate(value, obj.scope, depth + 1) : null;
+      }
+      case 'CallExpression': {
+        const callee = unwrap(node.callee);
+        if (propName(callee) === 'concat') {
+          return this.join([{ node: callee.object }, ...node.arguments.map(a => ({ node: a }))], scope, depth);
+        }
+        return null;
+      }
+      case 'ConditionalExpression':
+        return this.evaluate(node.consequent, scope, depth + 1) ?? this.evaluate(node.alternate, scope, depth + 1);
+      // `a || '/fallback'` is only known when `a` is; the fallback is not the value
+      case 'LogicalExpression':
+        return node.operator === '&&' ? null : this.evaluate(node.left, scope, depth + 1);
+    }
+    return null;
+  }
+
+  join(parts, scope, depth) {
+    let known = false;
+    const text = parts.map(p => {
+      if (p.text != null) {
+        if (p.text) known = true;
+        return p.text;
+      }
+      const value = this.evaluate(p.node, scope, depth + 1);
+      if (value == null) return `{${this.hole(p.node)}}`;
+      known = true;
+      return value;
+    }).join('');
+    return known ? text : null;
+  }
+
+  // Placeholder name for an unresolved part: `${user.id}` -> {id}, `${encodeURIComponent(q)}` -> {q}
+  hole(node) {
+    node = unwrap(node);
+    if (!node) return 'param';
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') return propName(node) || 'param';
+    if (node.type === 'CallExpression' && node.arguments.length) return this.hole(node.arguments[0]);
+    if (node.type === 'LogicalExpression') return this.hole(node.left);
+    return 'param';
+  }
+
+  memberPath(node) {
+    node = unwrap(node);
+    if (node?.type === 'Identifier') return node.name;
+    if (node?.type === 'MemberExpression') return `${this.memberPath(node.object)}.${propName(node)}`;
+    return '';
+  }
+
+  // Object literal an expression points at: { node: ObjectExpression, scope } or null
+  resolveObject(node, scope, depth = 0) {
+    node = unwrap(node);
+    if (!node || depth > MAX_DEPTH) return null;
+    if (node.type === 'ObjectExpression') return { node, scope };
+    if (node.type === 'Identifier') {
+      const value = this.valueOf(node.name, scope, depth + 1);
+      return value ? this.resolveObject(value.node, value.scope, depth + 1) : null;
+    }
+    if (node.type === 'MemberExpression') {
+      const obj = this.resolveObject(node.object, scope, depth + 1);
+      const prop = propName(node);
+      const value = obj && prop != null && this.property(obj.node, prop);
+      return value ? this.resolveObject(value, obj.scope, depth + 1) : null;
+    }
+    return null;
+  }
+
+  property(obj, name) {
+    let found = null;
+    for (const p of obj.properties || []) {
+      if (keyName(p) === name) found = p.value;
+    }
+    return found;
+  }
+
+  // Keys of a request body / params value
+  keysOf(node, scope, depth = 0) {
+    node = unwrap(node);
+    if (!node || depth > MAX_DEPTH) return [];
+
+    const obj = this.resolveObject(node, scope, depth);
+    if (obj) {
+      return obj.node.properties.flatMap(p => p.type === 'SpreadElement'
+        ? this.keysOf(p.argument, obj.scope, depth + 1)
+        : [keyName(p)].filter(Boolean));
+    }
+    if (node.type === 'CallExpression' && this.memberPath(node.callee) === 'JSON.stringify') {
+      return this.keysOf(node.arguments[0], scope, depth + 1);
+    }
+    if (node.type === 'NewExpression' && ['FormData', 'URLSearchParams'].includes(this.memberPath(node.callee))) {
+      return node.arguments[0] && node.callee.name === 'URLSearchParams' ? this.keysOf(node.arguments[0], scope, depth + 1) : [];
+    }
+    if (node.type === 'Identifier') {
+      // const fd = new FormData(); fd.append('email', ...)
+      const value = this.valueOf(node.name, scope, depth + 1);
+      const appended = this.memberCallsOf(node, scope)
+        .filter(c => c.method === 'append' || c.method === 'set')
+        .map(c => this.evaluate(c.node.arguments[0], c.scope))
+        .filter(k => k && !k.includes('{'));
+      const own = value ? this.keysOf(value.node, value.scope, depth + 1) : [];
+      return own.concat(appended);
+    }
+    const text = this.evaluate(node, scope, depth + 1);
+    return text ? this.queryKeys(text) : [];
+  }
+
+  memberCallsOf(identifier, scope) {
+    const owner = scope.lookup(identifier.name) || identifier.name;
+    return this.state.memberCalls.get(owner) || [];
+  }
+
+  queryKeys(text) {
+    return String(text).replace(/^[^?]*\?/, '').split('&')
+      .map(kv => kv.split('=')[0])
+      .filter(k => /^[\w.\[\]-]+$/.test(k));
+  }
+
+  method(node, scope, fallback) {
+    if (!node) return fallback;
+    const value = this.evaluate(node, scope);
+    const upper = value && value.toUpperCase();
+    return upper && HTTP_METHODS.has(upper) ? upper : 'ANY';
+  }
+
+  // ---------------------------------------------------------------- call sites
+
+  isAxios(node, scope) {
+    node = unwrap(node);
+    if (!node) return false;
+    if (node.type === 'MemberExpression') return propName(node) === 'default' && this.isAxios(node.object, scope);
+    if (node.type !== 'Identifier') return false;
+    const binding = scope.lookup(node.name);
+    if (binding?.axios) return true;
+    const value = this.valueOf(node.name, scope);
+    if (value) {
+      const init = unwrap(value.node);
+      return init?.type === 'CallExpression' && init.callee.name === 'require' && init.arguments[0]?.value === 'axios';
+    }
+    return node.name === 'axios';
+  }
+
+  // axios.create({ baseURL }) result -> { base } (base may be '')
+  axiosInstance(node, scope, depth = 0) {
+    node = unwrap(node);
+    if (node?.type !== 'Identifier' || depth > MAX_DEPTH) return null;
+    const value = this.valueOf(node.name, scope, depth + 1);
+    const init = value && unwrap(value.node);
+    if (!init) return null;
+    if (init.type === 'Identifier') return this.axiosInstance(init, value.scope, depth + 1);
+    if (init.type !== 'CallExpression' || propName(unwrap(init.callee)) !== 'create') return null;
+    const options = init.arguments[0] && this.resolveObject(init.arguments[0], value.scope);
+    const baseURL = options && this.property(options.node, 'baseURL');
+    if (!baseURL && !this.isAxios(unwrap(init.callee).object, value.scope)) return null;
+    return { base: baseURL ? this.evaluate(baseURL, options.scope) || '' : '' };
+  }
+
+  // axios / instance request config object
+  fromConfig(node, scope, hit) {
+    const obj = node && this.resolveObject(node, scope);
+    if (!obj) return hit;
+    const get = name => this.property(obj.node, name);
+    if (get('url')) hit.url = this.evaluate(get('url'), obj.scope);
+    if (get('baseURL')) hit.base = this.evaluate(get('baseURL'), obj.scope) || hit.base;
+    if (get('method')) hit.method = this.method(get('method'), obj.scope, hit.method);
+    if (get('data')) hit.body = this.keysOf(get('data'), obj.scope);
+    if (get('params')) hit.query = this.keysOf(get('params'), obj.scope);
+    return hit;
+  }
+
+  resolveCall(node, scope) {
+    const callee = unwrap(node.callee);
+    const args = node.arguments;
+    if (!callee) return null;
+    const path = this.memberPath(callee);
+    const prop = propName(callee);
+
+    // fetch(url, { method, body }) / new Request(url, init)
+    if ((node.type === 'CallExpression' && /^((window|self|globalThis)\.)?fetch$/.test(path)) ||
+        (node.type === 'NewExpression' && path === 'Request')) {
+      const init = args[1] && this.resolveObject(args[1], scope);
+      const method = init ? this.property(init.node, 'method') : null;
+      const body = init ? this.property(init.node, 'body') : null;
+      return {
+        url: this.evaluate(args[0], scope),
+        method: method ? this.method(method, init.scope) : 'GET',
+        body: body ? this.keysOf(body, init.scope) : [],
+        kind: 'fetch'
+      };
+    }
+    if (node.type !== 'CallExpression') return null;
+
+    // axios(config) / axios(url, config) / instance(...)
+    const instance = this.axiosInstance(callee, scope);
+    if (instance || this.isAxios(callee, scope)) {
+      const hit = { base: instance?.base || '', method: 'GET', kind: 'axios' };
+      if (args[0] && unwrap(args[0]).type !== 'ObjectExpression' && !this.resolveObject(args[0], scope)) {
+        hit.url = this.evaluate(args[0], scope);
+        return this.fromConfig(args[1], scope, hit);
+      }
+      return this.fromConfig(args[0], scope, hit);
+    }
+
+    if (callee.type !== 'MemberExpression' || !prop) return null;
+    const object = unwrap(callee.object);
+
+    // axios.get(url, config) / api.post(url, data, config) / axios.request(config)
+    const objectInstance = this.axiosInstance(object, scope);
+    if (objectInstance || this.isAxios(object, scope)) {
+      const hit = { base: objectInstance?.base || '', method: 'GET', kind: 'axios' };
+      if (prop === 'request') return this.fromConfig(args[0], scope, hit);
+      if (!CLIENT_METHODS.has(prop)) return null;
+      hit.url = this.evaluate(args[0], scope);
+      hit.method = prop.toUpperCase();
+      if (WITH_DATA.has(prop) && args[1]) hit.body = this.keysOf(args[1], scope);
+      return this.fromConfig(args[WITH_DATA.has(prop) ? 2 : 1], scope, hit);
+    }
+
+    // $.ajax(settings) / $.ajax(url, settings) / $.get(url, data) / $.post(url, data)
+    if (/^(\$|jQuery)$/.test(this.memberPath(object))) {
+      if (prop === 'ajax') {
+        const hasUrl = args[0] && !this.resolveObject(args[0], scope);
+        const settings = this.resolveObject(args[hasUrl ? 1 : 0], scope);
+        const get = name => settings && this.property(settings.node, name);
+        const method = this.method(get('type') || get('method'), settings?.scope, 'GET');
+        const data = get('data') ? this.keysOf(get('data'), settings.scope) : [];
+        return {
+          url: hasUrl ? this.evaluate(args[0], scope) : (get('url') ? this.evaluate(get('url'), settings.scope) : null),
+          method,
+          [method === 'GET' ? 'query' : 'body']: data,
+          kind: 'jquery'
+        };
+      }
+      if (JQUERY_METHODS[prop]) {
+        const method = JQUERY_METHODS[prop];
+        const data = args[1] && unwrap(args[1]).type !== 'FunctionExpression' && unwrap(args[1]).type !== 'ArrowFunctionExpression'
+          ? this.keysOf(args[1], scope) : [];
+        return { url: this.evaluate(args[0], scope), method, [method === 'GET' ? 'query' : 'body']: data, kind: 'jquery' };
+      }
+      return null;
+    }
+
+    // xhr.open(method, url) + xhr.send(body)
+    if (prop === 'open' && args.length >= 2) {
+      const method = this.evaluate(args[0], scope);
+      if (!method || !HTTP_METHODS.has(method.toUpperCase())) return null;
+      const send = object?.type === 'Identifier'
+        ? this.memberCallsOf(object, scope).find(c => c.method === 'send' && c.node.arguments.length)
+        : null;
+      return {
+        url: this.evaluate(args[1], scope),
+        method: method.toUpperCase(),
+        body: send ? this.keysOf(send.node.arguments[0], send.scope) : [],
+        kind: 'xhr'
+      };
+    }
+
+    // Angular HttpClient, ky, superagent, ...: only when the URL is unmistakably a path
+    if (CLIENT_METHODS.has(prop) && args[0] && CLIENT_NAMES.test(this.memberPath(object).split('.').pop())) {
+      const url = this.evaluate(args[0], scope);
+      if (!url || !/^(\/[\w{.-]|https?:\/\/|\{[^}]+\}\/)/.test(url)) return null;
+      return {
+        url,
+        method: prop.toUpperCase(),
+        body: WITH_DATA.has(prop) && args[1] ? this.keysOf(args[1], scope) : [],
+        kind: 'client'
+      };
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------- results
+
+  record(found, hit, node) {
+    if (!hit.url) return;
+    let url = hit.url;
+    if (hit.base && !/^[a-z][\w+.-]*:\/\//i.test(url)) {
+      url = `${hit.base.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    }
+    url = url.split('#')[0];
+    const [rawPath, search = ''] = url.split('?');
+
+    let endpoint = rawPath;
+    let partial = false;
+    // `${process.env.API_URL}/users` -> /users (base unknown)
+    const lead = endpoint.match(/^\{[^}]*\}(?=\/)/);
+    if (lead) {
+      endpoint = endpoint.slice(lead[0].length);
+      partial = true;
+    }
+    if (!endpoint.startsWith('/') && !/^https?:\/\//i.test(endpoint)) return;
+    endpoint = endpoint.replace(/([^:])\/{2,}/g, '$1/');
+    if (endpoint.length < 2) return;
+    // Path templates need unique names: /a/{param}/b/{param} -> /a/{param}/b/{param2}
+    const holes = new Map();
+    endpoint = endpoint.replace(/\{([^}]*)\}/g, (_, name) => {
+      const n = (holes.get(name) || 0) + 1;
+      holes.set(name, n);
+      return n > 1 ? `{${name}${n}}` : `{${name}}`;
+    });
+
+    const query = [...this.queryKeys(search ? `?${search}` : ''), ...(hit.query || [])];
+    const body = hit.body || [];
+    const method = hit.method || 'ANY';
+    const key = `${method} ${endpoint}`;
+    const known = found.get(key);
+    if (known) {
+      known.query = [...new Set([...known.query, ...query])];
+      known.body = [...new Set([...known.body, ...body])];
+      known.params = [...new Set([...known.query, ...known.body])];
+      return;
+    }
+    found.set(key, {
+      endpoint,
+      method,
+      type: 'ast',
+      params: [...new Set([...query, ...body])],
+      query: [...new Set(query)],
+      body: [...new Set(body)],
+      via: hit.kind,
+      line: node.loc?.start?.line ?? null,
+      priority: 0,
+      ...(partial ? { partial: true } : {})
+    });
+  }
+}
+
+module.exports = { ASTEndpointExtractor };
@@ -0,0 +1,265 @@
+// src/discovery/ChunkEnumerator.js
+/**
+ * SpeedCrawl Pro v22.2 - ChunkEnumerator (lazy chunk URLs for --deep-js-analysis)
+ * - webpack 5 runtime: evaluates __webpack_require__.u (chunk id -> file name) for every chunk id in its
+ *   id -> name / id -> hash tables and prefixes __webpack_require__.p; webpack 4 jsonpScriptSrc (renamed
+ *   when minified, so matched by shape: return X.p + ... + {...}[id] + ".js") the same way
+ * - Next.js: every static/chunks/... file in _buildManifest.js (found through __NEXT_DATA__.buildId when
+ *   the page does not load it), plus app-router chunks named in inline flight data
+ * - Vite/Rollup: __vite__mapDeps lists, relative import("./X-hash.js") calls, and .vite/manifest.json
+ *   when the server exposes it
+ * - Lets lazily loaded route chunks (admin pages, settings, ...) be analyzed without visiting the route
+ */
+
+// Runtimes are small; anything bigger than this is not worth a second parse just for the chunk map
+const MAX_RUNTIME_SIZE = 2 * 1024 * 1024;
+
+class ChunkEnumerator {
+  constructor(config, logger, acorn = null, walk = null) {
+    this.config = config;
+    this.logger = logger;
+    this.acorn = acorn;
+    this.walk = walk;
+    this.probedOrigins = new Set();
+  }
+
+  /**
+   * Chunk URLs referenced by a script (or by a page's inline scripts, with sourceUrl = page URL)
+   * @returns {Promise<string[]>} absolute URLs, deduplicated
+   */
+  async discover(page, sourceUrl, code) {
+    const urls = new Set();
+    const add = (ref, base) => {
+      try {
+        const url = new URL(ref, base);
+        if (/^https?:$/.test(url.protocol) && /\.m?js$/i.test(url.pathname)) urls.add(url.href);
+      } catch {}
+    };
+
+    try {
+      this.webpackChunks(code).forEach(({ path, publicPath }) => add(publicPath + path, sourceUrl));
+      this.nextChunks(sourceUrl, code).forEach(u => add(u, sourceUrl));
+      this.viteChunks(sourceUrl, code).forEach(u => add(u, sourceUrl));
+      if (page && /__vite__mapDeps|__vitePreload|\/@vite\//.test(code)) {
+        (await this.viteManifest(page, sourceUrl)).forEach(u => add(u, sourceUrl));
+      }
+    } catch (error) {
+      this.logger.debug(`Chunk enumeration error (${sourceUrl}): ${error.message}`);
+    }
+
+    urls.delete(sourceUrl);
+    return Array.from(urls);
+  }
+
+  // ---------------------------------------------------------------- webpack
+
+  webpackChunks(code) {
+    if (!this.acorn || !this.walk || code.length > MAX_RUNTIME_SIZE) return [];
+    if (!/\.u\s*=\s*(function\b|\(?\s*[\w$]+\s*\)?\s*=>)|[\w$]\.p\s*\+/.test(code)) return [];
+
+    let ast = null;
+    for (const sourceType of ['script', 'module']) {
+      try {
+        ast = this.acorn.parse(code, { ecmaVersion: 'latest', sourceType, allowReturnOutsideFunction: true, allowHashBang: true });
+        break;
+      } catch {}
+    }
+    if (!ast) return [];
+
+    const getters = [];
+    const publicPaths = new Map(); // runtime object name -> __webpack_require__.p
+    const jsonp = (fn) => {
+      const ret = fn.params.length === 1 && fn.body.body?.find(s => s.type === 'ReturnStatement')?.argument;
+      const text = ret ? code.slice(ret.start, ret.end) : '';
+      const owner = (text.match(/^([\w$]+)\.p\s*\+/) || [])[1];
+      if (owner && /\}\s*\[\s*[\w$]+\s*\]/.test(text) && /\.js["'`]/.test(text)) {
+        getters.push({ fn, owner, includesPublicPath: true });
+      }
+    };
+    this.walk.simple(ast, {
+      AssignmentExpression: (node) => {
+        const left = node.left;
+        if (left.type !== 'MemberExpression' || left.computed || left.object.type !== 'Identifier') return;
+        const owner = left.object.name;
+        if (left.property.name === 'p' && node.right.type === 'Literal' && typeof node.right.value === 'string') {
+          publicPaths.set(owner, node.right.value);
+        }
+        if (left.property.name === 'u' && /Function/.test(node.right.type) && node.right.params.length === 1) {
+          getters.push({ fn: node.right, owner, includesPublicPath: false });
+        }
+      },
+      FunctionDeclaration: (node) => jsonp(node),
+      FunctionExpression: (node) => jsonp(node)
+    });
+
+    const chunks = [];
+    for (const getter of getters) {
+      const publicPath = publicPaths.get(getter.owner) ?? '';
+      const param = getter.fn.params[0].name;
+      const body = getter.fn.body.type === 'BlockStatement'
+        ? getter.fn.body.body.find(s => s.type === 'ReturnStatement')?.argument
+        : getter.fn.body;
+      if (!body) continue;
+
+      const ids = new Set();
+      this.walk.full(body, (node) => {
+        if (node.type === 'ObjectExpression') {
+          node.properties.forEach(p => {
+            if (p.type === 'Property' && !p.computed) ids.add(String(p.key.type === 'Identifier' ? p.key.name : p.key.value));
+          });
+        }
+        // e === 123 ? "vendors" : ... / 123 === e ? ...
+        if (node.type === 'BinaryExpression' && /^[!=]==?$/.test(node.operator)) {
+          const literal = [node.left, node.right].find(n => n.type === 'Literal');
+          if (literal) ids.add(String(literal.value));
+        }
+      });
+
+      let found = 0;
+      for (const id of ids) {
+        const path = this.run(body, { param, id, publicPath, getter });
+        if (typeof path === 'string' && /\.m?js(\?|$)/.test(path)) {
+          chunks.push({ path, publicPath: getter.includesPublicPath ? '' : publicPath });
+          found++;
+        }
+      }
+      this.logger.debug(`webpack runtime: ${found} chunk files from ${ids.size} chunk ids`);
+    }
+    return chunks;
+  }
+
+  // Tiny evaluator for the chunk file name expression; undefined when anything is unknown
+  run(node, env) {
+    if (!node) return undefined;
+    switch (node.type) {
+      case 'Literal': return node.value;
+      case 'Identifier': return node.name === env.param ? env.id : undefined;
+      case 'ParenthesizedExpression': return this.run(node.expression, env);
+      case 'SequenceExpression': return this.run(node.expressions[node.expressions.length - 1], env);
+      case 'TemplateLiteral': {
+        let text = node.quasis[0].value.cooked;
+        for (let i = 0; i < node.expressions.length; i++) {
+          const v = this.run(node.expressions[i], env);
+          if (v === undefined) return undefined;
+          text += String(v) + node.quasis[i + 1].value.cooked;
+        }
+        return text;
+      }
+      case 'BinaryExpression': {
+        const l = this.run(node.left, env);
+        const r = this.run(node.right, env);
+        if (l === undefined || r === undefined) return undefined;
+        switch (node.operator) {
+          // A chunk missing from the hash table has no file of this shape
+          case '+': return l === null || r === null ? undefined : String(l) + String(r);
+          case '===': case '==': return String(l) === String(r);
+          case '!==': case '!=': return String(l) !== String(r);
+        }
+        return undefined;
+      }
+      case 'LogicalExpression': {
+        const l = this.run(node.left, env);
+        if (node.operator === '||') return l || this.run(node.right, env);
+        if (node.operator === '??') return l ?? this.run(node.right, env);
+        return l && this.run(node.right, env);
+      }
+      case 'ConditionalExpression': {
+        const test = this.run(node.test, env);
+        if (test === undefined) return undefined;
+        return this.run(test ? node.consequent : node.alternate, env);
+      }
+      case 'MemberExpression': {
+        // __webpack_require__.p inside jsonpScriptSrc
+        if (!node.computed && node.property.name === 'p') return env.publicPath;
+        if (!node.computed || node.object.type !== 'ObjectExpression') return undefined;
+        const key = this.run(node.property, env);
+        const prop = node.object.properties.find(p => p.type === 'Property' && !p.computed &&
+          String(p.key.type === 'Identifier' ? p.key.name : p.key.value) === String(key));
+        // Missing key: { 12: "admin" }[e] || e
+        return prop ? this.run(prop.value, env) : null;
+      }
+    }
+    return undefined;
+  }
+
+  // ---------------------------------------------------------------- Next.js
+
+  nextChunks(sourceUrl, code) {
+    const refs = [];
+    const prefix = (sourceUrl.match(/^(.*?\/_next\/)/) || [])[1];
+
+    if (/_buildManifest\.js(\?|$)/.test(sourceUrl) && prefix) {
+      for (const m of code.matchAll(/["'](static\/[^"']+\.js)["']/g)) refs.push(prefix + m[1]);
+    }
+
+    // Inline scripts: __NEXT_DATA__ build id, app-router flight data (escaped JSON inside JS strings)
+    if (!prefix) {
+      let origin;
+      try { origin = new URL(sourceUrl).origin; } catch { return refs; }
+      const base = (code.match(/["']([^"'\s]*?)\/_next\/static\//) || [])[1];
+      const nextBase = `${base && /^(https?:)?\/\//.test(base) ? base : origin + (base || '')}/_next/`;
+      const buildId = (code.match(/\\?"buildId\\?"\s*:\s*\\?"([\w-]+)\\?"/) || [])[1];
+      if (buildId) refs.push(`${nextBase}static/${buildId}/_buildManifest.js`);
+      if (/__next_f|__NEXT_DATA__|_next\/static/.test(code)) {
+        for (const m of code.matchAll(/static\/chunks\/[\w\/\-.~@()\[\]%]+?\.js/g)) refs.push(nextBase + m[0]);
+      }
+    }
+    return refs;
+  }
+
+  // ---------------------------------------------------------------- Vite / Rollup
+
+  viteChunks(sourceUrl, code) {
+    const refs = [];
+    // Dynamic imports are relative to the importing module
+    for (const m of code.matchAll(/\bimport\(\s*["'`](\.{1,2}\/[^"'`]+?\.m?js)["'`]\s*\)/g)) {
+      refs.push(new URL(m[1], sourceUrl).href);
+    }
+    if (/__vite__mapDeps|__vitePreload|__vite__fileDeps/.test(code)) {
+      const base = this.viteBase(sourceUrl);
+      for (const m of code.matchAll(/["'](\/?(?:[\w.-]+\/)*assets\/[\w.\/-]+?\.js)["']/g)) {
+        refs.push(m[1].startsWith('/') ? new URL(m[1], sourceUrl).href : base + m[1]);
+      }
+    }
+    return refs;
+  }
+
+  // https://cdn.example.com/app/assets/index-abc.js -> https://cdn.example.com/app/
+  viteBase(sourceUrl) {
+    const url = new URL(sourceUrl);
+    const i = url.pathname.indexOf('/assets/');
+    return url.origin + (i >= 0 ? url.pathname.slice(0, i + 1) : '/');
+  }
+
+  // .vite/manifest.json (Vite 5) or manifest.json (older), fetched once per base
+  async viteManifest(page, sourceUrl) {
+    let base;
+    try { base = this.viteBase(sourceUrl); } catch { return []; }
+    if (this.probedOrigins.has(base)) return [];
+    this.probedOrigins.add(base);
+
+    for (const file of ['.vite/manifest.json', 'manifest.json']) {
+      const manifest = await page.evaluate(async (url) => {
+        try {
+          const response = await fetch(url);
+          if (!response.ok) return null;
+          return await response.json();
+        } catch (error) {
+          return null;
+        }
+      }, base + file).catch(() => null);
+      if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) continue;
+
+      const files = Object.values(manifest)
+        .map(entry => entry && typeof entry.file === 'string' ? entry.file : null)
+        .filter(f => f && /\.m?js$/.test(f));
+      if (files.length === 0) continue;
+
+      this.logger.info(`  🧭 Vite manifest exposed: ${base + file} (${files.length} chunks)`);
+      return files.map(f => base + f.replace(/^\//, ''));
+    }
+    return [];
+  }
+}
+
+module.exports = { ChunkEnumerator };
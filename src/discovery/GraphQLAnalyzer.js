@@ -0,0 +1,569 @@
+// src/discovery/GraphQLAnalyzer.js
+/**
+ * SpeedCrawl Pro v22.2 - GraphQLAnalyzer (GraphQL endpoints, operations and schemas)
+ * - Traffic: POST JSON bodies with a query (batches included), GET ?query=, and persisted-query
+ *   requests (extensions.persistedQuery.sha256Hash) mark the URL as a GraphQL endpoint and add
+ *   their operations, with the variables actually sent
+ * - Bundles and recovered sources: endpoint URIs, gql`...` / graphql`...` / GraphQL-comment
+ *   templates, query strings (graphql-tag loc bodies, Relay text), precompiled graphql-tag ASTs,
+ *   persisted-query hashes and Relay params ids; .graphql/.gql source files are parsed as-is
+ * - --graphql-introspection: every in-scope endpoint is confirmed with { __typename }, then
+ *   introspected; when introspection is disabled a partial schema is rebuilt from validation
+ *   errors ("Cannot query field ... Did you mean", missing subfields, required arguments)
+ *   with a fixed request budget per endpoint
+ * - Writes graphql/: endpoints.json, operations.json (fragments inlined, example variables),
+ *   schema-<endpoint>.graphql and, after introspection, introspection-<endpoint>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ScopeManager } = require('../core/ScopeManager');
+const { INTROSPECTION_QUERY, parseDocument, printSchema, exampleValue } = require('./GraphQLSchema');
+
+// Requests one endpoint may receive while rebuilding a schema from suggestions
+const PROBE_BUDGET = 40;
+const PROBE_BATCH = 20;
+// Field names tried on every probed type; suggestions fill in the rest
+const FIELD_WORDS = [
+  'id', 'name', 'email', 'username', 'me', 'viewer', 'node', 'nodes', 'user', 'users', 'account', 'accounts',
+  'profile', 'session', 'settings', 'config', 'admin', 'search', 'login', 'logout', 'register', 'signup',
+  'signIn', 'signOut', 'createUser', 'updateUser', 'deleteUser', 'resetPassword', 'changePassword', 'token',
+  'refreshToken', 'order', 'orders', 'product', 'products', 'item', 'items', 'cart', 'checkout', 'payment',
+  'payments', 'invoice', 'invoices', 'customer', 'customers', 'post', 'posts', 'comment', 'comments',
+  'message', 'messages', 'notification', 'notifications', 'file', 'files', 'upload', 'project', 'projects',
+  'organization', 'team', 'teams', 'role', 'roles', 'permissions', 'status', 'version', 'health', 'title',
+  'description', 'type', 'url', 'createdAt', 'total', 'count'
+];
+// Headers worth replaying on probes; cookies come from the browser context
+const REPLAY_HEADERS = /^(authorization|x-[\w-]+|apollo-[\w-]+)$/i;
+const CLIENT_HINT = /HttpLink|ApolloClient|GraphQLClient|createClient|graphql-request|urql/i;
+
+class GraphQLAnalyzer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.scope = new ScopeManager(config, logger);
+    this.endpoints = new Map(); // url -> endpoint record
+    this.operations = new Map(); // name / persisted hash / text hash -> operation
+    this.fragments = new Map();
+    this.schemas = new Map(); // endpoint url -> { via, schema | types }
+    this.scanned = new Set();
+  }
+
+  // ---------------------------------------------------------------- traffic
+
+  /** One browser request (CrawlEngine's scope-filtered request record) */
+  observeRequest({ url, method, headers, postData }) {
+    let u;
+    try { u = new URL(url); } catch { return; }
+    const endpoint = u.origin + u.pathname;
+
+    const payloads = [];
+    if (String(method).toUpperCase() === 'GET') {
+      const query = u.searchParams.get('query');
+      const extensions = this._json(u.searchParams.get('extensions'));
+      if (query || extensions?.persistedQuery) {
+        payloads.push({
+          query, extensions, operationName: u.searchParams.get('operationName'),
+          variables: this._json(u.searchParams.get('variables'))
+        });
+      }
+    } else if (postData) {
+      const body = this._json(postData);
+      (Array.isArray(body) ? body : [body]).forEach(b => {
+        if (b && typeof b === 'object' && (typeof b.query === 'string' || b.extensions?.persistedQuery)) payloads.push(b);
+      });
+    }
+
+    const graphql = payloads.filter(p => typeof p.query === 'string'
+      ? /^\s*(query|mutation|subscription|fragment|\{)/.test(p.query)
+      : p.extensions?.persistedQuery);
+    if (graphql.length === 0) {
+      if (/\/graphql\/?$/i.test(u.pathname)) this.addEndpoint(endpoint, 'path');
+      return;
+    }
+
+    const ep = this.addEndpoint(endpoint, 'traffic');
+    ep.observed += graphql.length;
+    ep.methods.add(String(method).toUpperCase());
+    const replay = Object.entries(headers || {}).filter(([k]) => REPLAY_HEADERS.test(k));
+    if (replay.length) ep.headers = Object.fromEntries(replay);
+
+    for (const p of graphql) {
+      const ctx = {
+        endpoint,
+        hash: p.extensions?.persistedQuery?.sha256Hash,
+        variables: p.variables && typeof p.variables === 'object' ? p.variables : null,
+        operationName: p.operationName
+      };
+      if (typeof p.query === 'string' && this.addDocument(p.query, 'traffic', ctx)) continue;
+      if (ctx.hash || ctx.operationName) this.addOperation({ name: ctx.operationName || null }, 'traffic', ctx);
+    }
+  }
+
+  addEndpoint(url, via) {
+    let ep = this.endpoints.get(url);
+    if (!ep) {
+      ep = { url, via: new Set(), methods: new Set(), observed: 0, headers: {}, status: null };
+      this.endpoints.set(url, ep);
+      this.logger.debug(`GraphQL endpoint (${via}): ${url}`);
+    }
+    ep.via.add(via);
+    return ep;
+  }
+
+  // ---------------------------------------------------------------- bundles
+
+  /**
+   * A script, page or recovered source file
+   * @param {string} code
+   * @param {string} source - URL, or sources/... path for files recovered from source maps
+   */
+  scanCode(code, source) {
+    if (typeof code !== 'string' || !code) return;
+    const seen = `${source} ${code.length}`;
+    if (this.scanned.has(seen)) return;
+    this.scanned.add(seen);
+
+    try {
+      if (/\.(graphql|gql)$/i.test(source)) {
+        this.addDocument(code, `${source}:1`);
+        return;
+      }
+      if (!/graphql|gql|query|mutation|persisted|sha256Hash|operationKind/i.test(code)) return;
+
+      const lines = !/^https?:/i.test(source);
+      const at = (index) => lines ? `${source}:${code.slice(0, index).split('\n').length}` : source;
+
+      this.scanEndpoints(code, source);
+
+      // gql`...`, graphql`...`, /* GraphQL */ `...` - interpolations are fragment references
+      const templates = /(?:\b(?:gql|graphql)(?:\.experimental)?\s*(?:\(\s*)?|\/\*\s*GraphQL\s*\*\/\s*)`((?:[^`\\]|\\[\s\S])*)`/g;
+      for (const m of code.matchAll(templates)) {
+        this.addDocument(this._unescape(m[1].replace(/\$\{[^}]*\}/g, '')), at(m.index));
+      }
+
+      // Plain strings that start like a document: graphql-tag loc.source.body, Relay text, hand-written queries
+      const strings = /(["'`])((?:\\[nrt]|\s)*(?:query|mutation|subscription|fragment)\b(?:\\[\s\S]|(?!\1)[^\\])*)\1/g;
+      for (const m of code.matchAll(strings)) {
+        this.addDocument(this._unescape(m[1] === '`' ? m[2].replace(/\$\{[^}]*\}/g, '') : m[2]), at(m.index));
+      }
+
+      // Precompiled graphql-tag documents without loc
+      const key = (name) => `["']?${name}["']?\\s*:\\s*`;
+      const compiled = new RegExp(`${key('kind')}["']OperationDefinition["']\\s*,\\s*${key('operation')}["'](query|mutation|subscription)["']\\s*,\\s*${key('name')}\\{\\s*${key('kind')}["']Name["']\\s*,\\s*${key('value')}["'](\\w+)["']`, 'g');
+      for (const m of code.matchAll(compiled)) {
+        this.addOperation({ type: m[1], name: m[2] }, at(m.index));
+      }
+
+      this.scanPersisted(code, at, key);
+    } catch (error) {
+      this.logger.debug(`GraphQL scan error (${source}): ${error.message}`);
+    }
+  }
+
+  scanEndpoints(code, source) {
+    const refs = [];
+    for (const m of code.matchAll(/["'`]((?:https?:)?(?:\/\/[\w.-]+(?::\d+)?)?\/[\w\-/.]*?\b(?:graphql|gql)\b[\w\-/.]*)["'`]/gi)) {
+      if (!/\.(m?js|css|html?|graphql|gql|json|map|png|svg)$/i.test(m[1])) refs.push(m[1]);
+    }
+    // new HttpLink({ uri }), new ApolloClient({ uri }), new GraphQLClient(url), createClient({ url })
+    for (const m of code.matchAll(/\b(?:uri|url|endpoint)\s*:\s*["'`]((?:https?:)?\/[^"'`\s]*)["'`]/g)) {
+      if (CLIENT_HINT.test(code.slice(Math.max(0, m.index - 300), m.index))) refs.push(m[1]);
+    }
+    for (const m of code.matchAll(/new\s+GraphQLClient\(\s*["'`]((?:https?:)?\/[^"'`\s]*)["'`]/g)) refs.push(m[1]);
+
+    // Root-relative paths belong to the crawled site, not to the CDN serving the bundle
+    const base = this.config.get('url') || (/^https?:/.test(source) ? source : undefined);
+    for (const ref of refs) {
+      try {
+        const u = new URL(ref, base);
+        if (/^https?:$/.test(u.protocol)) this.addEndpoint(u.origin + u.pathname, 'javascript');
+      } catch {}
+    }
+  }
+
+  scanPersisted(code, at, key) {
+    if (!/persist|sha256|operationKind|documentId/i.test(code)) return;
+
+    // Automatic persisted queries: { operationName, extensions: { persistedQuery: { sha256Hash } } }
+    for (const m of code.matchAll(new RegExp(`${key('sha256Hash')}["']([a-f0-9]{64})["']`, 'g'))) {
+      const near = code.slice(Math.max(0, m.index - 300), m.index + 300);
+      const name = (near.match(new RegExp(`${key('operationName')}["'](\\w+)["']`)) || [])[1];
+      this.addOperation({ name: name || null }, at(m.index), { hash: m[1] });
+    }
+    // Persisted query manifests: { "<hash>": "query ..." } and { OperationName: "<hash>" }
+    for (const m of code.matchAll(/["']([a-f0-9]{64})["']\s*:\s*["']((?:query|mutation|subscription)\b(?:\\.|[^"'\\])*)["']/g)) {
+      this.addDocument(this._unescape(m[2]), at(m.index), { hash: m[1] });
+    }
+    for (const m of code.matchAll(/["']?([A-Za-z_]\w*)["']?\s*:\s*["']([a-f0-9]{64})["']/g)) {
+      if (m[1] !== 'sha256Hash' && /^[A-Z]/.test(m[1])) this.addOperation({ name: m[1] }, at(m.index), { hash: m[2] });
+    }
+    // Relay: params: { cacheID, id, metadata, name, operationKind, text }
+    const relay = new RegExp(`${key('name')}["'](\\w+)["']\\s*,\\s*${key('operationKind')}["'](query|mutation|subscription)["']`, 'g');
+    for (const m of code.matchAll(relay)) {
+      const before = code.slice(Math.max(0, m.index - 200), m.index);
+      const id = [...before.matchAll(new RegExp(`\\b${key('id')}["']([\\w:-]+)["']`, 'g'))].pop()?.[1];
+      this.addOperation({ type: m[2], name: m[1] }, at(m.index), { id });
+    }
+  }
+
+  // ---------------------------------------------------------------- catalog
+
+  /** @returns {boolean} true when the text was a GraphQL document */
+  addDocument(text, source, ctx = {}) {
+    const doc = parseDocument(text);
+    if (!doc) return false;
+    doc.fragments.forEach(f => { if (!this.fragments.has(f.name)) this.fragments.set(f.name, f); });
+    // A hash or operationName belongs to the operation that is executed, not to every operation in the document
+    const executed = doc.operations.length === 1 ? doc.operations[0]
+      : doc.operations.find(op => op.name && op.name === ctx.operationName);
+    doc.operations.forEach(op => this.addOperation(op, source, op === executed ? ctx : { endpoint: ctx.endpoint }));
+    return true;
+  }
+
+  addOperation(op, source, { endpoint, hash, id, variables } = {}) {
+    const key = op.name || hash || (op.text && `${op.type} ${crypto.createHash('sha1').update(op.text).digest('hex').slice(0, 12)}`);
+    if (!key) return;
+
+    let entry = this.operations.get(key);
+    if (!entry) {
+      entry = {
+        name: op.name || null, type: null, query: null, variables: [], fields: [], fragments: [],
+        persistedHash: null, persistedId: null, observedVariables: null, observed: 0,
+        sources: new Set(), endpoints: new Set()
+      };
+      this.operations.set(key, entry);
+    }
+    if (!entry.type && op.type) entry.type = op.type;
+    if (!entry.query && op.text) {
+      Object.assign(entry, { query: op.text, variables: op.variables, fields: op.fields, fragments: op.fragments });
+    }
+    if (hash && !entry.persistedHash) entry.persistedHash = hash;
+    if (id && !entry.persistedId) entry.persistedId = id;
+    if (variables && !entry.observedVariables && Object.keys(variables).length) entry.observedVariables = variables;
+    if (source === 'traffic') entry.observed++;
+    entry.sources.add(source);
+    if (endpoint) entry.endpoints.add(endpoint);
+  }
+
+  // ---------------------------------------------------------------- probing
+
+  /**
+   * --graphql-introspection: introspection, falling back to suggestion probing
+   * @param {import('playwright').BrowserContext} context - shares the crawl's cookies
+   */
+  async probe(context) {
+    if (!this.config.get('graphqlIntrospection') || !context?.request) return;
+
+    for (const ep of this.endpoints.values()) {
+      if (ep.status) continue;
+      if (!this.scope.matches(ep.url, 'POST')) {
+        ep.status = 'out-of-scope';
+        continue;
+      }
+      try {
+        await this.probeEndpoint(context.request, ep);
+      } catch (error) {
+        ep.status = 'error';
+        this.logger.debug(`GraphQL probe error (${ep.url}): ${error.message}`);
+      }
+    }
+  }
+
+  async probeEndpoint(request, ep) {
+    let budget = PROBE_BUDGET;
+    const delay = Math.max(0, Number(this.config.get('requestDelay', 0)) || 0);
+    const send = async (query) => {
+      if (budget-- <= 0) return null;
+      if (delay) await new Promise(r => setTimeout(r, delay));
+      const response = await request.post(ep.url, {
+        data: { query },
+        headers: { 'content-type': 'application/json', ...ep.headers },
+        timeout: this.config.get('timeout', 30000),
+        failOnStatusCode: false
+      });
+      try { return await response.json(); } catch { return null; }
+    };
+
+    const hello = await send('query { __typename }');
+    const graphql = typeof hello?.data?.__typename === 'string' ||
+      (Array.isArray(hello?.errors) && hello.errors.some(e => typeof e?.message === 'string'));
+    if (!graphql) {
+      ep.status = 'not-graphql';
+      return;
+    }
+    ep.confirmed = true;
+    const queryType = typeof hello.data?.__typename === 'string' ? hello.data.__typename : 'Query';
+
+    const introspection = await send(INTROSPECTION_QUERY);
+    const schema = introspection?.data?.__schema;
+    if (schema && Array.isArray(schema.types)) {
+      ep.status = 'introspection';
+      this.schemas.set(ep.url, { via: 'introspection', schema });
+      this.logger.success(`🧬 GraphQL introspection enabled: ${ep.url} (${schema.types.length} types)`);
+      return;
+    }
+
+    ep.status = 'suggestions';
+    const mutation = await send('mutation { __typename }');
+    const roots = [{ op: 'query', type: queryType, path: [] }];
+    if (typeof mutation?.data?.__typename === 'string') roots.push({ op: 'mutation', type: mutation.data.__typename, path: [] });
+
+    const types = await this.suggest(send, roots);
+    const fields = [...types.values()].reduce((n, t) => n + t.fields.size, 0);
+    if (fields > 0) {
+      this.schemas.set(ep.url, { via: 'suggestions', types, roots: roots.map(r => [r.op, r.type]) });
+      this.logger.info(`  🧬 GraphQL introspection disabled: ${ep.url} - ${fields} fields recovered from suggestions`);
+    } else {
+      this.logger.info(`  🧬 GraphQL introspection disabled: ${ep.url} - no field suggestions`);
+    }
+  }
+
+  /**
+   * Rebuilds types from validation errors: unknown words produce "Cannot query field" (with
+   * suggestions), known ones do not; aliased { f { __typename } } / { f } pairs reveal field types
+   */
+  async suggest(send, roots) {
+    const types = new Map();
+    const typeOf = (name) => {
+      if (!types.has(name)) types.set(name, { name, fields: new Map() });
+      return types.get(name);
+    };
+    const fieldOf = (type, name) => {
+      if (!type.fields.has(name)) type.fields.set(name, { type: null, args: new Map() });
+      return type.fields.get(name);
+    };
+    const wrap = ({ op, path: p }, inner) => `${op} { ${p.map(f => `${f} {`).join(' ')} ${inner} ${p.map(() => '}').join(' ')} }`;
+
+    const queue = roots.slice();
+    const visited = new Set();
+    while (queue.length > 0) {
+      const level = queue.shift();
+      if (visited.has(level.type) || level.path.length > 2) continue;
+      visited.add(level.type);
+      const type = typeOf(level.type);
+
+      for (let i = 0; i < FIELD_WORDS.length; i += PROBE_BATCH) {
+        const words = FIELD_WORDS.slice(i, i + PROBE_BATCH);
+        const result = await send(wrap(level, words.join(' ')));
+        if (!result) break;
+        const errors = Array.isArray(result.errors) ? result.errors.map(e => String(e?.message || '')) : [];
+        const unknown = new Set();
+        let validated = !!result.data;
+        for (const message of errors) {
+          const m = message.match(/Cannot query field "(\w+)" on type "(\w+)"\.?(?:\s*Did you mean ([^?]+)\?)?/);
+          if (!m) continue;
+          validated = true;
+          if (m[2] !== level.type) continue;
+          unknown.add(m[1]);
+          for (const s of (m[3] || '').matchAll(/"(\w+)"/g)) fieldOf(type, s[1]);
+        }
+        // Without a recognisable validation error nothing can be said about the other words
+        if (validated) words.filter(w => !unknown.has(w)).forEach(w => fieldOf(type, w));
+      }
+
+      const pending = [...type.fields.entries()].filter(([, f]) => !f.type).map(([name]) => name);
+      for (let i = 0; i < pending.length; i += PROBE_BATCH) {
+        const names = pending.slice(i, i + PROBE_BATCH);
+        const result = await send(wrap(level, names.map((f, n) => `s${n}: ${f} { __typename } o${n}: ${f}`).join(' ')));
+        if (!result) break;
+        for (const error of (Array.isArray(result.errors) ? result.errors : [])) {
+          const message = String(error?.message || '');
+          let m;
+          if ((m = message.match(/Field "(\w+)" must not have a selection since type "([^"]+)" has no subfields/))) {
+            if (type.fields.has(m[1])) fieldOf(type, m[1]).type = { name: m[2], leaf: true };
+          } else if ((m = message.match(/Field "(\w+)" of type "([^"]+)" must have a selection of subfields/))) {
+            if (!type.fields.has(m[1])) continue;
+            fieldOf(type, m[1]).type = { name: m[2], leaf: false };
+            queue.push({ op: level.op, type: m[2].replace(/[[\]!]/g, ''), path: [...level.path, m[1]] });
+          } else if ((m = message.match(/Field "(\w+)" argument "(\w+)" of type "([^"]+)" is required/))) {
+            if (type.fields.has(m[1])) fieldOf(type, m[1]).args.set(m[2], m[3]);
+          }
+        }
+      }
+    }
+    return types;
+  }
+
+  // Partial SDL from suggestion probing
+  printPartial(url, { types, roots }) {
+    const unknown = [...types.values()].some(t => [...t.fields.values()].some(f => !f.type));
+    const objects = new Set(types.keys());
+    const scalars = new Set();
+    for (const t of types.values()) {
+      for (const f of t.fields.values()) {
+        const named = f.type?.name.replace(/[[\]!]/g, '');
+        if (!named) continue;
+        if (f.type.leaf) { if (!['String', 'Int', 'Float', 'Boolean', 'ID'].includes(named)) scalars.add(named); }
+        else objects.add(named);
+      }
+    }
+
+    const blocks = [[
+      `# Partial schema for ${url}`,
+      '# Introspection is disabled; rebuilt from field suggestions and validation errors.',
+      ...(unknown ? ['# Fields typed Unknown exist but their type could not be determined.'] : [])
+    ].join('\n')];
+    if (roots.some(([op, name]) => name !== { query: 'Query', mutation: 'Mutation' }[op])) {
+      blocks.push(`schema {\n${roots.map(([op, name]) => `  ${op}: ${name}`).join('\n')}\n}`);
+    }
+    if (unknown) blocks.push('scalar Unknown');
+    [...scalars].sort().forEach(s => blocks.push(`scalar ${s}`));
+    for (const name of objects) {
+      const fields = [...(types.get(name)?.fields.entries() || [])].map(([field, f]) => {
+        const args = [...f.args.entries()].map(([a, t]) => `${a}: ${t}`);
+        return `  ${field}${args.length ? `(${args.join(', ')})` : ''}: ${f.type?.name || 'Unknown'}`;
+      });
+      blocks.push(`type ${name}${fields.length ? ` {\n${fields.join('\n')}\n}` : ''}`);
+    }
+    return blocks.join('\n\n') + '\n';
+  }
+
+  // ---------------------------------------------------------------- output
+
+  /**
+   * Writes graphql/ when anything GraphQL was found
+   * @returns {{ endpoints: number, operations: number, schemas: number }|null}
+   */
+  write(outputDir) {
+    if (this.endpoints.size === 0 && this.operations.size === 0) return null;
+    const dir = path.join(outputDir, 'graphql');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const schemaFiles = new Map();
+    for (const [url, result] of this.schemas) {
+      const slug = this._slug(url);
+      if (result.via === 'introspection') {
+        fs.writeFileSync(path.join(dir, `introspection-${slug}.json`), JSON.stringify({ data: { __schema: result.schema } }, null, 2));
+        fs.writeFileSync(path.join(dir, `schema-${slug}.graphql`), printSchema(result.schema));
+      } else {
+        fs.writeFileSync(path.join(dir, `schema-${slug}.graphql`), this.printPartial(url, result));
+      }
+      schemaFiles.set(url, `graphql/schema-${slug}.graphql`);
+    }
+
+    const operations = this.catalog();
+    const byEndpoint = (url) => operations.filter(op => op.endpoints.includes(url)).length;
+    const endpoints = [...this.endpoints.values()]
+      .sort((a, b) => a.url < b.url ? -1 : a.url > b.url ? 1 : 0)
+      .map(ep => ({
+        url: ep.url,
+        via: [...ep.via].sort(),
+        methods: [...ep.methods].sort(),
+        observed: ep.observed,
+        operations: byEndpoint(ep.url),
+        probe: ep.status,
+        schema: schemaFiles.get(ep.url) || null
+      }));
+
+    fs.writeFileSync(path.join(dir, 'endpoints.json'), JSON.stringify(endpoints, null, 2));
+    fs.writeFileSync(path.join(dir, 'operations.json'), JSON.stringify(operations, null, 2));
+    this.logger.info(`🧬 GraphQL: ${endpoints.length} endpoints, ${operations.length} operations, ${schemaFiles.size} schemas`);
+    return { endpoints: endpoints.length, operations: operations.length, schemas: schemaFiles.size };
+  }
+
+  // Operations with their fragments inlined and example variables (observed ones win)
+  catalog() {
+    const typeMaps = new Map();
+    for (const [url, result] of this.schemas) {
+      if (result.via === 'introspection') typeMaps.set(url, new Map(result.schema.types.map(t => [t.name, t])));
+    }
+    const fallback = typeMaps.values().next().value || new Map();
+
+    return [...this.operations.values()].map(op => {
+      const endpoints = [...op.endpoints].sort();
+      const types = endpoints.map(u => typeMaps.get(u)).find(Boolean) || fallback;
+
+      const used = [];
+      const missing = [];
+      const pending = op.fragments.slice();
+      while (pending.length > 0) {
+        const name = pending.shift();
+        if (used.includes(name) || missing.includes(name)) continue;
+        const fragment = this.fragments.get(name);
+        if (!fragment) { missing.push(name); continue; }
+        used.push(name);
+        pending.push(...fragment.fragments);
+      }
+
+      const example = {
+        ...Object.fromEntries(op.variables.map(v => [v.name, v.default !== undefined ? v.default : exampleValue(v.type, types, v.name)])),
+        ...(op.observedVariables || {})
+      };
+      return {
+        name: op.name,
+        type: op.type,
+        endpoints,
+        query: op.query ? [op.query, ...used.map(f => this.fragments.get(f).text)].join('\n\n') : null,
+        variables: op.variables.map(v => ({ name: v.name, type: v.type, ...(v.default !== undefined ? { default: v.default } : {}) })),
+        exampleVariables: example,
+        rootFields: op.fields,
+        ...(missing.length ? { missingFragments: missing } : {}),
+        persistedHash: op.persistedHash,
+        ...(op.persistedId ? { persistedId: op.persistedId } : {}),
+        observed: op.observed,
+        sources: [...op.sources].sort()
+      };
+    }).sort((a, b) => {
+      const ka = `${a.type || ''} ${a.name || a.persistedHash || a.query}`;
+      const kb = `${b.type || ''} ${b.name || b.persistedHash || b.query}`;
+      return ka < kb ? -1 : ka > kb ? 1 : 0;
+    });
+  }
+
+  getStats() {
+    return {
+      graphqlEndpoints: this.endpoints.size,
+      graphqlOperations: this.operations.size,
+      graphqlSchemas: this.schemas.size
+    };
+  }
+
+  // ---------------------------------------------------------------- checkpoint
+
+  toJSON() {
+    return {
+      endpoints: [...this.endpoints.values()].map(ep => ({ ...ep, via: [...ep.via], methods: [...ep.methods] })),
+      operations: [...this.operations.entries()].map(([key, op]) => [key, { ...op, sources: [...op.sources], endpoints: [...op.endpoints] }]),
+      fragments: [...this.fragments.values()]
+    };
+  }
+
+  restore(data) {
+    if (!data) return;
+    (data.endpoints || []).forEach(ep => this.endpoints.set(ep.url, {
+      ...ep, via: new Set(ep.via || []), methods: new Set(ep.methods || []), status: null
+    }));
+    (data.operations || []).forEach(([key, op]) => this.operations.set(key, {
+      ...op, sources: new Set(op.sources || []), endpoints: new Set(op.endpoints || [])
+    }));
+    (data.fragments || []).forEach(f => this.fragments.set(f.name, f));
+  }
+
+  // ---------------------------------------------------------------- helpers
+
+  _json(text) {
+    if (!text) return null;
+    try { return JSON.parse(text); } catch { return null; }
+  }
+
+  _unescape(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|[\s\S])/g, (_, c) => c.length === 5
+      ? String.fromCharCode(parseInt(c.slice(1), 16))
+      : ({ n: '\n', r: '\r', t: '\t' })[c] ?? c);
+  }
+
+  // https://api.example.com/v1/graphql -> api.example.com_v1_graphql
+  _slug(url) {
+    try {
+      const u = new URL(url);
+      return `${u.host}${u.pathname}`.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'graphql';
+    } catch {
+      return 'graphql';
+    }
+  }
+}
+
+module.exports = { GraphQLAnalyzer };
@@ -0,0 +1,329 @@
+// src/discovery/GraphQLSchema.js
+/**
+ * SpeedCrawl Pro v22.2 - GraphQLSchema (documents, SDL and example values for GraphQLAnalyzer)
+ * - parseDocument: small executable-document parser; returns operations (type, name, variable
+ *   definitions, root fields, fragment spreads, own text) and fragments, or null when the text
+ *   is not a valid GraphQL document - that is what filters out look-alike strings in bundles
+ * - printSchema: SDL from an introspection result (__schema)
+ * - exampleValue: a value for a variable type, using enum values and required input fields
+ *   from the schema when one is known
+ */
+
+const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types { ...FullType }
+    directives { name description locations args { ...InputValue } }
+  }
+}
+fragment FullType on __Type {
+  kind name description
+  fields(includeDeprecated: true) { name description args { ...InputValue } type { ...TypeRef } isDeprecated deprecationReason }
+  inputFields { ...InputValue }
+  interfaces { ...TypeRef }
+  enumValues(includeDeprecated: true) { name description isDeprecated deprecationReason }
+  possibleTypes { ...TypeRef }
+}
+fragment InputValue on __InputValue { name description type { ...TypeRef } defaultValue }
+fragment TypeRef on __Type {
+  kind name
+  ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } } } } }
+}`;
+
+const BUILTIN_SCALARS = new Set(['String', 'Int', 'Float', 'Boolean', 'ID']);
+const BUILTIN_DIRECTIVES = new Set(['skip', 'include', 'deprecated', 'specifiedBy', 'oneOf', 'defer', 'stream']);
+
+// ---------------------------------------------------------------- documents
+
+const TOKEN = /\s+|,|#[^\n\r]*|("""[\s\S]*?""")|("(?:[^"\\\n]|\\.)*")|(\.\.\.|[!$&()=:@[\]{}|])|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z][_0-9A-Za-z]*)|([\s\S])/g;
+
+function tokenize(text) {
+  const tokens = [];
+  for (const m of text.matchAll(TOKEN)) {
+    const [raw, block, string, punct, number, name, other] = m;
+    const at = { start: m.index, end: m.index + raw.length };
+    if (other) return null;
+    if (block) tokens.push({ kind: 'string', value: block.slice(3, -3), ...at });
+    else if (string) {
+      let value;
+      try { value = JSON.parse(string); } catch { value = string.slice(1, -1); }
+      tokens.push({ kind: 'string', value, ...at });
+    } else if (punct) tokens.push({ kind: 'punct', value: punct, ...at });
+    else if (number) tokens.push({ kind: 'number', value: number, ...at });
+    else if (name) tokens.push({ kind: 'name', value: name, ...at });
+  }
+  return tokens;
+}
+
+/**
+ * @returns {{ operations: Array<{ type, name, variables: Array<{ name, type, default }>, fields: string[],
+ *   fragments: string[], text }>, fragments: Array<{ name, on, fragments: string[], text }> }|null}
+ */
+function parseDocument(text) {
+  const tokens = typeof text === 'string' ? tokenize(text) : null;
+  if (!tokens || tokens.length === 0) return null;
+
+  let i = 0;
+  const fail = () => { throw new Error(`Unexpected token at ${tokens[i]?.start ?? text.length}`); };
+  const is = (value) => tokens[i] && tokens[i].kind !== 'string' && tokens[i].value === value;
+  const expect = (value) => { if (!is(value)) fail(); i++; };
+  const name = () => { if (tokens[i]?.kind !== 'name') fail(); return tokens[i++].value; };
+
+  const value = () => {
+    const t = tokens[i++];
+    if (!t) fail();
+    if (t.kind === 'string') return t.value;
+    if (t.kind === 'number') return Number(t.value);
+    if (t.kind === 'name') return t.value === 'true' ? true : t.value === 'false' ? false : t.value === 'null' ? null : t.value;
+    if (t.value === '$') { name(); return undefined; }
+    if (t.value === '[') {
+      const list = [];
+      while (!is(']')) list.push(value());
+      i++;
+      return list;
+    }
+    if (t.value === '{') {
+      const obj = {};
+      while (!is('}')) {
+        const key = name();
+        expect(':');
+        obj[key] = value();
+      }
+      i++;
+      return obj;
+    }
+    return fail();
+  };
+  const args = () => {
+    expect('(');
+    while (!is(')')) {
+      name();
+      expect(':');
+      value();
+    }
+    i++;
+  };
+  const directives = () => {
+    while (is('@')) {
+      i++;
+      name();
+      if (is('(')) args();
+    }
+  };
+  const typeRef = () => {
+    let type;
+    if (is('[')) {
+      i++;
+      type = `[${typeRef()}]`;
+      expect(']');
+    } else {
+      type = name();
+    }
+    if (is('!')) { i++; type += '!'; }
+    return type;
+  };
+
+  // Root fields are the ones worth listing; spreads are collected at every depth
+  const selectionSet = (ctx, root) => {
+    expect('{');
+    while (!is('}')) {
+      if (!tokens[i]) fail();
+      if (is('...')) {
+        i++;
+        if (tokens[i]?.kind === 'name' && tokens[i].value !== 'on') {
+          ctx.fragments.add(name());
+          directives();
+          continue;
+        }
+        if (is('on')) { i++; name(); }
+        directives();
+        selectionSet(ctx, false);
+        continue;
+      }
+      let field = name();
+      if (is(':')) { i++; field = name(); }
+      if (is('(')) args();
+      directives();
+      if (root) ctx.fields.push(field);
+      if (is('{')) selectionSet(ctx, false);
+    }
+    i++;
+  };
+
+  const doc = { operations: [], fragments: [] };
+  try {
+    while (i < tokens.length) {
+      const start = tokens[i].start;
+      const ctx = { fields: [], fragments: new Set() };
+
+      if (is('{')) {
+        selectionSet(ctx, true);
+        doc.operations.push({ type: 'query', name: null, variables: [], fields: ctx.fields, fragments: [...ctx.fragments], text: text.slice(start, tokens[i - 1].end) });
+        continue;
+      }
+
+      const keyword = name();
+      if (keyword === 'fragment') {
+        const fragment = name();
+        if (fragment === 'on') fail();
+        expect('on');
+        const on = name();
+        directives();
+        selectionSet(ctx, true);
+        doc.fragments.push({ name: fragment, on, fragments: [...ctx.fragments], text: text.slice(start, tokens[i - 1].end) });
+        continue;
+      }
+      if (!['query', 'mutation', 'subscription'].includes(keyword)) fail();
+
+      const op = { type: keyword, name: tokens[i]?.kind === 'name' ? name() : null, variables: [] };
+      if (is('(')) {
+        i++;
+        while (!is(')')) {
+          expect('$');
+          const variable = { name: name() };
+          expect(':');
+          variable.type = typeRef();
+          if (is('=')) { i++; variable.default = value(); }
+          directives();
+          op.variables.push(variable);
+        }
+        i++;
+      }
+      directives();
+      selectionSet(ctx, true);
+      doc.operations.push({ ...op, fields: ctx.fields, fragments: [...ctx.fragments], text: text.slice(start, tokens[i - 1].end) });
+    }
+  } catch {
+    return null;
+  }
+  return doc.operations.length + doc.fragments.length > 0 ? doc : null;
+}
+
+// ---------------------------------------------------------------- SDL
+
+function typeString(ref) {
+  if (!ref) return 'Unknown';
+  if (ref.kind === 'NON_NULL') return `${typeString(ref.ofType)}!`;
+  if (ref.kind === 'LIST') return `[${typeString(ref.ofType)}]`;
+  return ref.name || 'Unknown';
+}
+
+function description(text, indent = '') {
+  if (!text) return '';
+  const body = String(text).replace(/"""/g, '\\"""');
+  return body.includes('\n')
+    ? `${indent}"""\n${body.split('\n').map(l => indent + l).join('\n')}\n${indent}"""\n`
+    : `${indent}"""${body}"""\n`;
+}
+
+function deprecated(item) {
+  if (!item.isDeprecated) return '';
+  const reason = item.deprecationReason;
+  return reason && reason !== 'No longer supported' ? ` @deprecated(reason: ${JSON.stringify(reason)})` : ' @deprecated';
+}
+
+function inputValue(arg) {
+  return `${arg.name}: ${typeString(arg.type)}${arg.defaultValue != null ? ` = ${arg.defaultValue}` : ''}`;
+}
+
+function printArgs(args) {
+  return args?.length ? `(${args.map(inputValue).join(', ')})` : '';
+}
+
+function printType(type) {
+  const head = description(type.description);
+  switch (type.kind) {
+    case 'SCALAR':
+      return `${head}scalar ${type.name}`;
+    case 'UNION':
+      return `${head}union ${type.name} = ${(type.possibleTypes || []).map(t => t.name).join(' | ')}`;
+    case 'ENUM':
+      return `${head}enum ${type.name} {\n${(type.enumValues || [])
+        .map(v => `${description(v.description, '  ')}  ${v.name}${deprecated(v)}`).join('\n')}\n}`;
+    case 'INPUT_OBJECT':
+      return `${head}input ${type.name} {\n${(type.inputFields || [])
+        .map(f => `${description(f.description, '  ')}  ${inputValue(f)}`).join('\n')}\n}`;
+    default: {
+      const keyword = type.kind === 'INTERFACE' ? 'interface' : 'type';
+      const interfaces = (type.interfaces || []).map(t => t.name).filter(Boolean);
+      const fields = (type.fields || [])
+        .map(f => `${description(f.description, '  ')}  ${f.name}${printArgs(f.args)}: ${typeString(f.type)}${deprecated(f)}`);
+      return `${head}${keyword} ${type.name}${interfaces.length ? ` implements ${interfaces.join(' & ')}` : ''}` +
+        (fields.length ? ` {\n${fields.join('\n')}\n}` : '');
+    }
+  }
+}
+
+/**
+ * SDL for an introspection result
+ * @param {object} schema - data.__schema
+ */
+function printSchema(schema) {
+  const blocks = [];
+  const roots = [['query', schema.queryType?.name, 'Query'], ['mutation', schema.mutationType?.name, 'Mutation'],
+    ['subscription', schema.subscriptionType?.name, 'Subscription']].filter(([, name]) => name);
+  if (roots.some(([, name, fallback]) => name !== fallback)) {
+    blocks.push(`schema {\n${roots.map(([op, name]) => `  ${op}: ${name}`).join('\n')}\n}`);
+  }
+  for (const directive of schema.directives || []) {
+    if (BUILTIN_DIRECTIVES.has(directive.name)) continue;
+    blocks.push(`${description(directive.description)}directive @${directive.name}${printArgs(directive.args)} on ${(directive.locations || []).join(' | ')}`);
+  }
+  for (const type of schema.types || []) {
+    if (!type?.name || type.name.startsWith('__') || BUILTIN_SCALARS.has(type.name)) continue;
+    blocks.push(printType(type));
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+// ---------------------------------------------------------------- example values
+
+function scalarExample(type, name) {
+  const hint = `${name}`.toLowerCase();
+  switch (type) {
+    case 'Int': return /first|last|limit|size|count|per_?page|take/.test(hint) ? 10 : 1;
+    case 'Float': return 1.5;
+    case 'Boolean': return true;
+    case 'ID': return '1';
+  }
+  const text = `${type} ${hint}`.toLowerCase();
+  if (/json/.test(text)) return {};
+  if (/uuid/.test(text)) return '00000000-0000-4000-8000-000000000000';
+  if (/datetime|timestamp/.test(text) || /(At|_at)$/.test(name)) return '2024-01-01T00:00:00Z';
+  if (/date/.test(text)) return '2024-01-01';
+  if (/email/.test(text)) return 'test@example.com';
+  if (/ur[li]|link|website/.test(text)) return 'https://example.com';
+  if (/phone|mobile/.test(text)) return '+15555550100';
+  if (/password/.test(text)) return 'Passw0rd!';
+  if (/(^|[^a-z])id$|_id$|Id$/.test(name)) return '1';
+  return 'test';
+}
+
+/**
+ * Example value for a variable
+ * @param {string} type - GraphQL type, e.g. "[ID!]!"
+ * @param {Map<string, object>} types - introspection types by name (empty when no schema is known)
+ * @param {string} name - variable or field name, used for scalar hints
+ */
+function exampleValue(type, types = new Map(), name = '', depth = 0) {
+  const t = String(type || 'String').replace(/!$/, '');
+  if (t.startsWith('[')) return [exampleValue(t.slice(1, t.lastIndexOf(']')), types, name, depth)];
+
+  const def = types.get(t);
+  if (def?.kind === 'ENUM') return def.enumValues?.[0]?.name ?? null;
+  if (def?.kind === 'INPUT_OBJECT') {
+    if (depth >= 3) return {};
+    const fields = def.inputFields || [];
+    const required = fields.filter(f => f.type?.kind === 'NON_NULL' && f.defaultValue == null);
+    const obj = {};
+    for (const f of (required.length ? required : fields)) {
+      obj[f.name] = exampleValue(typeString(f.type), types, f.name, depth + 1);
+    }
+    return obj;
+  }
+  return scalarExample(t, name);
+}
+
+module.exports = { INTROSPECTION_QUERY, parseDocument, printSchema, typeString, exampleValue };
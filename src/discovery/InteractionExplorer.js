@@ -0,0 +1,202 @@
+// src/discovery/InteractionExplorer.js
+/**
+ * SpeedCrawl Pro v22.2 - InteractionExplorer (click-driven SPA exploration)
+ * - Candidates come from ActionButtonFinder.findInteractiveElements (buttons, tabs, menu items)
+ * - Clicks run in a separate probe tab, reloaded only after a click changed its state
+ * - Outcomes: URL change (pushState, navigation, popup), new DOM state, or nothing
+ * - DOM states are keyed by a 64-bit simhash of the visible element structure; states
+ *   within SIMILAR_BITS of a known one are treated as already seen so the crawl cannot loop
+ * - Destructive keywords (delete, logout, pay, ...) are never clicked; they are matched as whole
+ *   words against the element's accessible text (aria-label, text, value, title)
+ * - Probe reloads and clicks wait for the same per-host slot as page loads (requestDelay)
+ */
+
+const crypto = require('crypto');
+const { ActionButtonFinder } = require('../forms/ActionButtonFinder');
+
+const SIMILAR_BITS = 3;
+const DEFAULT_SKIP = [
+  'delete', 'remove', 'destroy', 'logout', 'log out', 'sign out', 'signout', 'deactivate',
+  'unsubscribe', 'pay', 'purchase', 'buy', 'checkout', 'place order', 'transfer', 'reset', 'cancel'
+];
+
+class InteractionExplorer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.finder = new ActionButtonFinder(config, logger);
+    this.maxClicks = Number(config.get('exploreMaxClicks', 15));
+    this.skipKeywords = config.get('exploreSkipKeywords') || DEFAULT_SKIP;
+    this.settleMs = 800;
+    this.knownStates = [];
+  }
+
+  /**
+   * Explore the state reached by loading `url` and replaying `actions`.
+   * `throttle(url)` is awaited before every probe load and click.
+   * @returns {Promise<Array<{ kind: 'url'|'state', url: string, hash?: string, action: object, requests: Array }>>}
+   */
+  async explore(context, { url, actions = [], throttle = null }) {
+    const probe = await context.newPage();
+    const found = [];
+    const wait = () => (throttle ? throttle(url) : null);
+    try {
+      if (!(await this.open(probe, url, actions, wait))) return found;
+      const baseHash = await this.fingerprint(probe);
+      this.remember(baseHash);
+
+      const candidates = await this.finder.findInteractiveElements(probe, { skipKeywords: this.skipKeywords, limit: this.maxClicks });
+      let dirty = false;
+      for (const candidate of candidates) {
+        if (dirty && !(await this.open(probe, url, actions, wait))) break;
+        await wait();
+        const outcome = await this.tryAction(probe, candidate, url, baseHash);
+        dirty = outcome.changed;
+        if (outcome.kind) found.push(outcome);
+      }
+
+      if (found.length) this.logger.info(`🖱️ Interaction explorer: ${found.length} new state(s) from ${candidates.length} clicks`);
+    } catch (e) {
+      this.logger.debug(`Interaction explore error: ${e.message}`);
+    } finally {
+      try { await probe.close(); } catch {}
+    }
+    return found;
+  }
+
+  // Load a page and click through a recorded action path; false when a step is gone
+  async open(page, url, actions = [], wait = () => null) {
+    try {
+      await wait();
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.get('timeout') });
+      try { await page.waitForLoadState('networkidle', { timeout: 5000 }); } catch {}
+      return await this.replay(page, actions, wait);
+    } catch (e) {
+      this.logger.debug(`Explorer load failed for ${url}: ${e.message}`);
+      return false;
+    }
+  }
+
+  async replay(page, actions = [], wait = () => null) {
+    for (const action of actions) {
+      await wait();
+      const el = await page.$(action.selector).catch(() => null);
+      if (!el || !(await this.finder.tryClickWithRetry(el, 'replay', action.text))) {
+        this.logger.debug(`Replay step missing: ${action.selector} ("${action.text}")`);
+        return false;
+      }
+      await page.waitForTimeout(this.settleMs);
+    }
+    return true;
+  }
+
+  async tryAction(page, candidate, url, baseHash) {
+    const requests = [];
+    let popup = null;
+    const onRequest = (req) => {
+      if (['xhr', 'fetch', 'document'].includes(req.resourceType())) requests.push({ method: req.method(), url: req.url() });
+    };
+    const onPopup = (p) => { popup = p; };
+    page.on('request', onRequest);
+    page.on('popup', onPopup);
+
+    const action = { selector: candidate.selector, text: candidate.text };
+    try {
+      const el = await page.$(candidate.selector);
+      if (!el || !(await this.finder.tryClickWithRetry(el, 'explore', candidate.text))) return { changed: false };
+      await page.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
+      await page.waitForTimeout(this.settleMs);
+
+      if (popup) {
+        const target = popup.url();
+        await popup.close().catch(() => {});
+        if (/^https?:/.test(target)) return { kind: 'url', url: target, action, requests, changed: false };
+      }
+
+      const after = page.url();
+      if (this._strip(after) !== this._strip(url)) {
+        return { kind: 'url', url: after, action, requests, changed: true };
+      }
+
+      const hash = await this.fingerprint(page);
+      const changed = hash !== baseHash;
+      if (this.isKnown(hash)) return { changed };
+      this.remember(hash);
+      return { kind: 'state', url, hash, action, requests, changed };
+    } catch (e) {
+      this.logger.debug(`Explorer click failed on ${candidate.selector}: ${e.message}`);
+      return { changed: true };
+    } finally {
+      page.off('request', onRequest);
+      page.off('popup', onPopup);
+    }
+  }
+
+  // Structure of visible elements (tag + first classes by path) plus headings
+  async fingerprint(page) {
+    const features = await page.evaluate(() => {
+      const out = [];
+      const walk = (el, path, depth) => {
+        if (depth > 12 || out.length > 5000) return;
+        for (const c of el.children) {
+          if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG'].includes(c.tagName.toUpperCase())) continue;
+          const st = getComputedStyle(c);
+          if (st.display === 'none' || st.visibility === 'hidden') continue;
+          const cls = (typeof c.className === 'string' ? c.className : '').split(/\s+/).filter(Boolean).sort().slice(0, 2).join('.');
+          const p = `${path}>${c.tagName.toLowerCase()}${cls ? `.${cls}` : ''}`;
+          out.push(p);
+          walk(c, p, depth + 1);
+        }
+      };
+      if (document.body) walk(document.body, 'body', 0);
+      document.querySelectorAll('h1, h2, h3, [role="tabpanel"] [role="heading"]').forEach(h => {
+        const t = (h.textContent || '').trim().slice(0, 60);
+        if (t && h.offsetParent !== null) out.push(`heading:${t}`);
+      });
+      return out;
+    });
+    return this.simhash(features);
+  }
+
+  simhash(features) {
+    const v = new Array(64).fill(0);
+    for (const f of features) {
+      const h = crypto.createHash('md5').update(f).digest();
+      for (let i = 0; i < 64; i++) v[i] += (h[i >> 3] >> (i & 7)) & 1 ? 1 : -1;
+    }
+    let hex = '';
+    for (let i = 0; i < 64; i += 4) {
+      hex += ((v[i] > 0 ? 8 : 0) | (v[i + 1] > 0 ? 4 : 0) | (v[i + 2] > 0 ? 2 : 0) | (v[i + 3] > 0 ? 1 : 0)).toString(16);
+    }
+    return hex;
+  }
+
+  distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (x) { bits += x & 1; x >>= 1; }
+    }
+    return bits;
+  }
+
+  isKnown(hash) {
+    return this.knownStates.some(h => this.distance(h, hash) <= SIMILAR_BITS);
+  }
+
+  remember(hash) {
+    if (hash && !this.isKnown(hash)) this.knownStates.push(hash);
+  }
+
+  _strip(url) {
+    try {
+      const u = new URL(url);
+      u.hash = '';
+      return u.href;
+    } catch {
+      return url;
+    }
+  }
+}
+
+module.exports = { InteractionExplorer };
@@ -4,15 +4,27 @@
  * ✅ Detects GET/POST/PUT/DELETE/PATCH requests in minified code
  * ✅ 70+ detection patterns for all frameworks
  * ✅ Extracts parameters and request bodies
+ * ✅ Resolves fetch/axios/$.ajax/XHR call sites from the AST with constant propagation (deep mode)
+ * ✅ Enumerates lazy chunks from webpack runtimes, Next.js build manifests and Vite import maps
+ *    (only in-scope chunk URLs are fetched)
+ * ✅ Recovers original sources from exposed source maps (sources/) and analyzes those instead
+ * ✅ Emits 'chunk' ({ url, code }) for every fetched chunk and recovered source file
  */
 
 const { EventEmitter } = require('events');
+const { SourceMapRecovery } = require('./SourceMapRecovery');
+const { ASTEndpointExtractor } = require('./ASTEndpointExtractor');
+const { ChunkEnumerator } = require('./ChunkEnumerator');
+const { ScopeManager } = require('../core/ScopeManager');
 
 class JSChunkAnalyzer extends EventEmitter {
-  constructor(config, logger) {
+  constructor(config, logger, secretDetector = null) {
     super();
     this.config = config;
     this.logger = logger;
+    this.secretDetector = secretDetector;
+    this.sourceMaps = new SourceMapRecovery(config, logger);
+    this.scope = new ScopeManager(config, logger);
     this.analyzedChunks = new Set();
     this.discoveredEndpoints = new Set();
     this.endpointDetails = new Map(); // Store method + params
@@ -27,6 +39,10 @@ class JSChunkAnalyzer extends EventEmitter {
       this.useAST = false;
       this.logger.debug('📝 Using regex-based parsing (acorn not installed)');
     }
+    this.astExtractor = this.useAST ? new ASTEndpointExtractor(config, logger, this.acorn) : null;
+    this.enumerator = new ChunkEnumerator(config, logger, this.acorn, this.walk);
+    this.lazyChunks = new Set(); // enumerated, not fetched yet
+    this.lazyAnalyzed = 0;
     
     this.logger.success('📦 Enhanced JS Chunk Analyzer initialized - 70+ patterns');
   }
@@ -39,6 +55,7 @@ class JSChunkAnalyzer extends EventEmitter {
 
       const results = {
         chunksAnalyzed: 0,
+        lazyChunksAnalyzed: 0,
         endpointsFound: 0,
         chunks: [],
         endpoints: []
@@ -51,7 +68,16 @@ class JSChunkAnalyzer extends EventEmitter {
           .filter(src => src && src.length > 0);
       }).catch(() => []);
 
-      if (scriptUrls.length === 0) {
+      // Inline runtimes (CRA inlines webpack's), __NEXT_DATA__ and app-router flight data name chunks too
+      const inline = await page.evaluate(() => ({
+        url: location.href,
+        scripts: Array.from(document.querySelectorAll('script:not([src])')).map(s => s.textContent || '').filter(Boolean)
+      })).catch(() => null);
+      for (const code of inline?.scripts || []) {
+        (await this.enumerator.discover(page, inline.url, code)).forEach(u => this.queueLazyChunk(u));
+      }
+
+      if (scriptUrls.length === 0 && this.lazyChunks.size === 0) {
         this.logger.debug('No external scripts found');
         return results;
       }
@@ -64,30 +90,50 @@ class JSChunkAnalyzer extends EventEmitter {
       // Analyze limit based on deep mode
       const analysisLimit = deepMode ? 50 : 20;
       
+      const take = (chunkUrl, chunkResult) => {
+        if (!chunkResult || chunkResult.endpoints.length === 0) return;
+        results.chunks.push(chunkResult);
+        results.chunksAnalyzed++;
+        results.endpointsFound += chunkResult.endpoints.length;
+
+        // Add to global set
+        chunkResult.endpoints.forEach(ep => {
+          this.discoveredEndpoints.add(ep.endpoint);
+          results.endpoints.push({ ...ep, source: ep.source || chunkUrl });
+        });
+
+        this.logger.info(`  ✅ ${chunkUrl.split('/').pop()}: ${chunkResult.endpoints.length} endpoints`);
+      };
+
       for (const chunkUrl of chunkUrls.slice(0, analysisLimit)) {
         if (this.analyzedChunks.has(chunkUrl)) continue;
 
         try {
-          const chunkResult = await this.analyzeChunk(page, chunkUrl, deepMode);
-          
-          if (chunkResult && chunkResult.endpoints.length > 0) {
-            results.chunks.push(chunkResult);
-            results.chunksAnalyzed++;
-            results.endpointsFound += chunkResult.endpoints.length;
-
-            // Add to global set
-            chunkResult.endpoints.forEach(ep => {
-              this.discoveredEndpoints.add(ep.endpoint);
-              results.endpoints.push(ep);
-            });
-
-            this.logger.info(`  ✅ ${chunkUrl.split('/').pop()}: ${chunkResult.endpoints.length} endpoints`);
-          }
+          take(chunkUrl, await this.analyzeChunk(page, chunkUrl, deepMode));
         } catch (error) {
           this.logger.debug(`Chunk analysis error: ${error.message}`);
         }
       }
 
+      // Route chunks the runtimes above know about but this page never loaded; the cap is per crawl
+      const maxLazy = this.config.get('maxLazyChunks', 200);
+      while (this.lazyChunks.size > 0 && this.lazyAnalyzed < maxLazy) {
+        const [chunkUrl] = this.lazyChunks;
+        this.lazyChunks.delete(chunkUrl);
+        if (this.analyzedChunks.has(chunkUrl)) continue;
+        this.lazyAnalyzed++;
+        results.lazyChunksAnalyzed++;
+
+        try {
+          take(chunkUrl, await this.analyzeChunk(page, chunkUrl, deepMode));
+        } catch (error) {
+          this.logger.debug(`Lazy chunk analysis error: ${error.message}`);
+        }
+      }
+      if (results.lazyChunksAnalyzed > 0) {
+        this.logger.info(`  🧩 ${results.lazyChunksAnalyzed} lazy chunks analyzed${this.lazyChunks.size ? ` (${this.lazyChunks.size} left over --max-lazy-chunks)` : ''}`);
+      }
+
       if (results.endpointsFound > 0) {
         this.logger.success(`✅ Discovered ${results.endpointsFound} hidden endpoints from ${results.chunksAnalyzed} chunks`);
       } else {
@@ -98,7 +144,7 @@ class JSChunkAnalyzer extends EventEmitter {
 
     } catch (error) {
       this.logger.error(`JS analysis failed: ${error.message}`);
-      return { chunksAnalyzed: 0, endpointsFound: 0, chunks: [], endpoints: [] };
+      return { chunksAnalyzed: 0, lazyChunksAnalyzed: 0, endpointsFound: 0, chunks: [], endpoints: [] };
     }
   }
 
@@ -116,6 +162,9 @@ class JSChunkAnalyzer extends EventEmitter {
       
       // Framework-specific
       /_next\/static\/chunks\/.*\.js$/i,
+      /_next\/static\/[^/]+\/_buildManifest\.js$/i,
+      /assets\/.*\.js$/i,
+      /runtime[~.-].*\.js$/i,
       /_nuxt\/.*\.js$/i,
       /webpack\/.*\.js$/i,
       /build\/.*\.js$/i,
@@ -152,25 +201,39 @@ class JSChunkAnalyzer extends EventEmitter {
       this.logger.debug(`📄 Analyzing: ${chunkUrl.split('/').pop()}`);
 
       // Fetch chunk content
-      const chunkContent = await page.evaluate(async (url) => {
+      const fetched = await page.evaluate(async (url) => {
         try {
           const response = await fetch(url);
           if (!response.ok) return null;
-          return await response.text();
+          return {
+            text: await response.text(),
+            sourceMap: response.headers.get('SourceMap') || response.headers.get('X-SourceMap')
+          };
         } catch (error) {
           return null;
         }
       }, chunkUrl);
+      const chunkContent = fetched?.text;
 
       if (!chunkContent || chunkContent.length < 100) {
         return null;
       }
 
+      this.emit('chunk', { url: chunkUrl, code: chunkContent });
+      (await this.enumerator.discover(page, chunkUrl, chunkContent)).forEach(u => this.queueLazyChunk(u));
+
       // Extract endpoints with different strategies
-      const endpoints = deepMode
+      let endpoints = deepMode
         ? this.extractEndpointsDeep(chunkContent)
         : this.extractEndpointsBasic(chunkContent);
 
+      // Original sources point at file:line; they replace the minified hit for the same endpoint
+      const recovered = await this.analyzeSourceMap(page, chunkUrl, chunkContent, fetched.sourceMap, deepMode);
+      if (recovered.length > 0) {
+        const fromSources = new Set(recovered.map(ep => ep.endpoint));
+        endpoints = endpoints.filter(ep => !fromSources.has(ep.endpoint)).concat(recovered);
+      }
+
       if (endpoints.length > 0) {
         return {
           url: chunkUrl,
@@ -188,6 +251,63 @@ class JSChunkAnalyzer extends EventEmitter {
     }
   }
 
+  // Manifests can point at third-party CDNs or excluded paths; those chunks are never requested
+  queueLazyChunk(url) {
+    if (this.analyzedChunks.has(url)) return;
+    if (!this.scope.matches(url, 'GET')) {
+      this.logger.debug(`Lazy chunk out of scope: ${url}`);
+      return;
+    }
+    this.lazyChunks.add(url);
+  }
+
+  async analyzeSourceMap(page, chunkUrl, code, header, deepMode) {
+    const map = await this.sourceMaps.recover(page, chunkUrl, code, header);
+    if (!map) return [];
+
+    const endpoints = [];
+    const seen = new Set();
+    for (const file of map.files) {
+      if (!file.analyze) continue;
+      this.emit('chunk', { url: file.path, code: file.content });
+      try {
+        if (this.secretDetector) {
+          await this.secretDetector.scanContent(file.content, file.path, { lines: true });
+        }
+        const found = deepMode
+          ? this.extractEndpointsDeep(file.content)
+          : this.extractEndpointsBasic(file.content);
+        for (const ep of found) {
+          if (seen.has(ep.endpoint)) continue;
+          seen.add(ep.endpoint);
+          endpoints.push({
+            ...ep,
+            source: `${file.path}:${ep.line || this.lineOf(file.content, ep.endpoint)}`,
+            sourceMap: map.url
+          });
+        }
+      } catch (error) {
+        this.logger.debug(`Source analysis error (${file.path}): ${error.message}`);
+      }
+    }
+
+    if (endpoints.length > 0) {
+      this.logger.info(`  🗺️  ${chunkUrl.split('/').pop()}: ${endpoints.length} endpoints in original sources`);
+    }
+    return endpoints;
+  }
+
+  // 1-based line of the first quoted occurrence, falling back to any occurrence
+  lineOf(code, needle) {
+    let index = -1;
+    for (const q of ['"', "'", '`']) {
+      const i = code.indexOf(q + needle);
+      if (i >= 0 && (index < 0 || i < index)) index = i;
+    }
+    if (index < 0) index = code.indexOf(needle);
+    return index < 0 ? 1 : code.slice(0, index).split('\n').length;
+  }
+
   extractEndpointsBasic(code) {
     const endpoints = [];
     const seen = new Set();
@@ -237,6 +357,16 @@ class JSChunkAnalyzer extends EventEmitter {
     const endpoints = [];
     const seen = new Set();
 
+    // Call sites first: they carry the real method and body keys; the same path may come with several methods
+    if (this.astExtractor) {
+      const calls = this.astExtractor.extract(code);
+      for (const ep of calls) {
+        if (!this.isValidEndpoint(ep.endpoint) && !this.isValidEndpoint(this.pathOf(ep.endpoint))) continue;
+        endpoints.push(ep);
+      }
+      calls.forEach(ep => seen.add(ep.endpoint));
+    }
+
     // 70+ COMPREHENSIVE PATTERNS
     const patterns = [
       // Standard API paths
@@ -408,6 +538,16 @@ class JSChunkAnalyzer extends EventEmitter {
     return [...new Set(params)]; // Remove duplicates
   }
 
+  // https://api.example.com/v1/users -> /v1/users (AST results keep their host)
+  pathOf(endpoint) {
+    if (!/^https?:\/\//i.test(endpoint)) return null;
+    try {
+      return decodeURI(new URL(endpoint).pathname);
+    } catch (e) {
+      return null;
+    }
+  }
+
   isValidEndpoint(endpoint) {
     if (!endpoint || typeof endpoint !== 'string') return false;
     if (endpoint.length < 3 || endpoint.length > 250) return false;
@@ -446,12 +586,15 @@ class JSChunkAnalyzer extends EventEmitter {
   getStats() {
     return {
       chunksAnalyzed: this.analyzedChunks.size,
-      endpointsFound: this.discoveredEndpoints.size
+      endpointsFound: this.discoveredEndpoints.size,
+      lazyChunksAnalyzed: this.lazyAnalyzed,
+      ...this.sourceMaps.getStats()
     };
   }
 
   cleanup() {
     this.analyzedChunks.clear();
+    this.lazyChunks.clear();
     this.discoveredEndpoints.clear();
     this.endpointDetails.clear();
   }
@@ -1,12 +1,59 @@
 /**
  * SpeedCrawl Pro v14 - Complete Link Extraction with React Wait
  * Extracts HTML links, React Router routes, and DOM-based navigation
+ * - Pluggable pipeline: each strategy is a named extractor, see registerStrategy()
+ * - Built-in strategies: anchor, data-attribute, js-bundle, inline-state, onclick
+ * - discover() reports which strategies found each URL
+ * - URLs scraped from scripts and handlers also skip API, asset and chunk paths; markup links
+ *   (anchor, data-attribute) only get the basic checks
  */
 
+const { ScopeManager } = require('../core/ScopeManager');
+
+const BUILTIN_STRATEGIES = ['anchor', 'data-attribute', 'js-bundle', 'inline-state', 'onclick'];
+const MARKUP_STRATEGIES = new Set(['anchor', 'data-attribute']);
+
 class LinkExtractor {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    this.scope = new ScopeManager(config, logger);
+    this.analyzedScripts = new Set();
+    this.warnedUnknown = false;
+
+    this.strategies = new Map();
+    this.registerStrategy('anchor', (page, base) => this.extractHTMLLinks(page, base));
+    this.registerStrategy('data-attribute', (page, base) => this.extractDataRoutes(page, base));
+    this.registerStrategy('js-bundle', (page, base) => this.extractReactRoutes(page, base));
+    this.registerStrategy('inline-state', (page, base) => this.extractInlineRoutes(page, base));
+    this.registerStrategy('onclick', (page, base) => this.extractDOMRoutes(page, base));
+  }
+
+  // extract(page, baseUrl) => Promise<string[]>; re-registering a name replaces it
+  registerStrategy(name, extract) {
+    this.strategies.set(name, extract);
+    return this;
+  }
+
+  // Validates a --link-strategies list against the built-in strategies
+  static parseStrategies(list) {
+    const names = (Array.isArray(list) ? list : String(list || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+    const unknown = names.filter(n => !BUILTIN_STRATEGIES.includes(n));
+    if (unknown.length) {
+      throw new Error(`unknown link strateg${unknown.length > 1 ? 'ies' : 'y'} ${unknown.join(', ')} (available: ${BUILTIN_STRATEGIES.join(', ')})`);
+    }
+    return names;
+  }
+
+  activeStrategies() {
+    const wanted = this.config.get('linkStrategies');
+    const names = Array.isArray(wanted) && wanted.length ? wanted : Array.from(this.strategies.keys());
+    const unknown = names.filter(n => !this.strategies.has(n));
+    if (unknown.length && !this.warnedUnknown) {
+      this.warnedUnknown = true;
+      this.logger.warn(`⚠️ Unknown link strategies ignored: ${unknown.join(', ')}`);
+    }
+    return names.filter(n => this.strategies.has(n)).map(n => ({ name: n, extract: this.strategies.get(n) }));
   }
 
   normalizeUrl(url, baseUrl) {
@@ -19,52 +66,43 @@ class LinkExtractor {
     }
   }
 
-  async extractLinks(page, pageInfo) {
-    try {
-      this.logger.debug(`🔗 Extracting links from ${pageInfo.url}`);
-      const linksSet = new Set();
-
-      // 1. Extract HTML links (with wait for React)
-      const htmlLinks = await this.extractHTMLLinks(page, pageInfo.url);
-      this.logger.debug(`  📄 Found ${htmlLinks.length} HTML links`);
-      htmlLinks.forEach(link => {
-        const normalized = this.normalizeUrl(link, pageInfo.url);
-        if (normalized) linksSet.add(normalized);
-      });
-
-      // 2. Extract JavaScript routes
-      const jsRoutes = await this.extractReactRoutes(page, pageInfo.url);
-      this.logger.debug(`  📦 Found ${jsRoutes.length} JS routes`);
-      jsRoutes.forEach(link => {
-        const normalized = this.normalizeUrl(link, pageInfo.url);
-        if (normalized) linksSet.add(normalized);
-      });
-
-      // 3. Extract inline routes
-      const inlineRoutes = await this.extractInlineRoutes(page, pageInfo.url);
-      inlineRoutes.forEach(link => {
-        const normalized = this.normalizeUrl(link, pageInfo.url);
-        if (normalized) linksSet.add(normalized);
-      });
-
-      // 4. Extract DOM routes
-      const domRoutes = await this.extractDOMRoutes(page, pageInfo.url);
-      domRoutes.forEach(link => {
-        const normalized = this.normalizeUrl(link, pageInfo.url);
-        if (normalized) linksSet.add(normalized);
-      });
-
-      const allLinks = Array.from(linksSet);
-      const validLinks = allLinks.filter(link => this.isValidLink(link, pageInfo.url));
+  // Returns [{ url, via: [strategy, ...] }] for every valid link on the page
+  async discover(page, pageInfo) {
+    const found = new Map();
+    const counts = {};
 
-      if (validLinks.length > 0) {
-        this.logger.info(`🔗 Extracted ${validLinks.length} unique links (${htmlLinks.length} HTML, ${jsRoutes.length} JS, ${domRoutes.length} DOM)`);
-      } else {
-        this.logger.warn(`⚠️  No links found`);
+    for (const { name, extract } of this.activeStrategies()) {
+      const scraped = !MARKUP_STRATEGIES.has(name);
+      let urls = [];
+      try {
+        urls = (await extract(page, pageInfo.url)) || [];
+      } catch (error) {
+        this.logger.debug(`Link strategy ${name} failed: ${error.message}`);
+      }
+      counts[name] = 0;
+      for (const raw of urls) {
+        const url = this.normalizeUrl(raw, pageInfo.url);
+        if (!url || !this.isValidLink(url, pageInfo.url, { scraped })) continue;
+        if (!found.has(url)) found.set(url, new Set());
+        found.get(url).add(name);
+        counts[name]++;
       }
+    }
 
-      return validLinks;
+    const breakdown = Object.entries(counts).filter(([, n]) => n > 0).map(([k, n]) => `${n} ${k}`).join(', ');
+    if (found.size > 0) {
+      this.logger.info(`🔗 Extracted ${found.size} unique links (${breakdown})`);
+    } else {
+      this.logger.warn(`⚠️  No links found`);
+    }
 
+    return Array.from(found, ([url, via]) => ({ url, via: Array.from(via) }));
+  }
+
+  async extractLinks(page, pageInfo) {
+    try {
+      this.logger.debug(`🔗 Extracting links from ${pageInfo.url}`);
+      return (await this.discover(page, pageInfo)).map(l => l.url);
     } catch (error) {
       this.logger.debug(`Link extraction error: ${error.message}`);
       return [];
@@ -73,56 +111,38 @@ class LinkExtractor {
 
   async extractHTMLLinks(page, baseUrl) {
     try {
-      // CRITICAL: Wait for React to render links
-      this.logger.debug('⏳ Waiting for React to render HTML links...');
-      await page.waitForTimeout(2000);
-      
-      // Try to wait for common link containers
+      // Try to wait for common link containers (React renders them late)
       await page.waitForSelector('a[href], footer, nav, [role="navigation"]', { timeout: 3000 }).catch(() => {});
-      
-      return await page.evaluate((base) => {
+
+      return await page.evaluate(() => {
         const found = [];
-        
-        // Get ALL <a> tags with href
-        const links = document.querySelectorAll('a[href]');
-        console.log(`[DEBUG] Found ${links.length} <a> tags in DOM`);
-        
-        links.forEach(a => {
-          let href = a.getAttribute('href');
-          if (!href) return;
-          
-          // Handle relative URLs
-          if (href.startsWith('/')) {
-            try {
-              const fullUrl = new URL(href, base).href;
-              found.push(fullUrl);
-              console.log(`[DEBUG] Added relative link: ${href} -> ${fullUrl}`);
-            } catch (e) {
-              console.log(`[DEBUG] Failed to parse relative: ${href}`);
-            }
-          } else if (href.startsWith('http')) {
-            found.push(href);
-            console.log(`[DEBUG] Added absolute link: ${href}`);
-          }
+        document.querySelectorAll('a[href]').forEach(a => {
+          const href = a.getAttribute('href') || '';
+          if (!href || /^(javascript|mailto|tel):/i.test(href) || href.startsWith('#')) return;
+          try { found.push(new URL(a.href).href); } catch {}
         });
+        return found;
+      });
+    } catch (error) {
+      this.logger.debug(`HTML link extraction error: ${error.message}`);
+      return [];
+    }
+  }
 
-        // Get data attributes
+  async extractDataRoutes(page, baseUrl) {
+    try {
+      return await page.evaluate((base) => {
+        const found = [];
         document.querySelectorAll('[data-href], [data-url], [data-route]').forEach(el => {
           const href = el.dataset.href || el.dataset.url || el.dataset.route;
           if (href && href.startsWith('/')) {
-            try {
-              const fullUrl = new URL(href, base).href;
-              found.push(fullUrl);
-              console.log(`[DEBUG] Added data attribute: ${href}`);
-            } catch {}
+            try { found.push(new URL(href, base).href); } catch {}
           }
         });
-        
-        console.log(`[DEBUG] Total HTML links extracted: ${found.length}`);
         return found;
       }, baseUrl);
     } catch (error) {
-      this.logger.debug(`HTML link extraction error: ${error.message}`);
+      this.logger.debug(`Data attribute extraction error: ${error.message}`);
       return [];
     }
   }
@@ -149,7 +169,10 @@ class LinkExtractor {
       const routes = new Set();
       let totalRoutesFound = 0;
 
-      for (const scriptUrl of scriptUrls.slice(0, 5)) {
+      // Bundles are shared across pages; parse each one once per crawl
+      const fresh = scriptUrls.filter(u => !this.analyzedScripts.has(u)).slice(0, 5);
+      for (const scriptUrl of fresh) {
+        this.analyzedScripts.add(scriptUrl);
         try {
           this.logger.debug(`  📦 Analyzing: ${scriptUrl.split('/').pop()}`);
           
@@ -315,7 +338,8 @@ class LinkExtractor {
     }
   }
 
-  isValidLink(url, currentUrl) {
+  // `scraped`: the URL came out of script text or a handler rather than markup
+  isValidLink(url, currentUrl, { scraped = true } = {}) {
     try {
       const urlObj = new URL(url, currentUrl);
       
@@ -329,7 +353,9 @@ class LinkExtractor {
       const pathname = urlObj.pathname.toLowerCase();
       if (blockedExtensions.some(ext => pathname.endsWith(`.${ext}`))) return false;
       
-      if (this.config.get('sameOrigin')) {
+      if (this.scope.hasRules) {
+        if (!this.scope.allows(urlObj.href, 'GET')) return false;
+      } else if (this.config.get('sameOrigin')) {
         const currentUrlObj = new URL(currentUrl);
         
         if (this.config.get('includeSubdomains')) {
@@ -341,9 +367,12 @@ class LinkExtractor {
         }
       }
       
-      const avoidPatterns = ['logout', 'signout', 'sign-out', 'log-out', 'exit'];
+      const avoidPatterns = ['logout', 'signout', 'sign-out', 'log-out'];
       if (avoidPatterns.some(pattern => pathname.includes(pattern))) return false;
-      
+      if (!scraped) return true;
+
+      if (pathname.includes('exit')) return false;
+
       if (pathname.includes('/api/') || pathname.startsWith('/api')) return false;
       
       if (pathname.includes('/assets/') || pathname.includes('/static/') || 
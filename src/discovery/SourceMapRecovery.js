@@ -0,0 +1,215 @@
+// src/discovery/SourceMapRecovery.js
+/**
+ * SpeedCrawl Pro v22.2 - SourceMapRecovery (original sources from exposed .map files)
+ * - Finds a bundle's map via its sourceMappingURL comment (URL or inline data: URI),
+ *   the SourceMap / X-SourceMap response header, or a <bundle>.map probe, in that order
+ * - Writes every sourcesContent entry to <outputDir>/sources/<host>/<original path>;
+ *   paths are sanitised so ../ and absolute paths in the map never leave that directory
+ * - Returns the recovered files so JSChunkAnalyzer can extract endpoints and secrets
+ *   with real file:line references; node_modules and bundler runtime files are written
+ *   but not analyzed
+ * - sources/sourcemaps.json lists each map found (bundle, map URL, how it was found, file counts)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Larger maps are skipped rather than pulled through page.evaluate
+const MAX_MAP_SIZE = 20 * 1024 * 1024;
+// Written to disk but not worth scanning: third-party code and bundler glue
+const VENDOR = /(^|\/)(node_modules|bower_components)\/|^(webpack|vite|turbopack)\/(bootstrap|runtime)/i;
+
+class SourceMapRecovery {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.outputDir = this.config.get('outputDir') || './speedcrawl-output';
+    this.root = path.resolve(this.outputDir, 'sources');
+    this.manifestFile = path.join(this.root, 'sourcemaps.json');
+    this.maps = this.config.get('resume') ? this._loadManifest() : [];
+    this.seenMaps = new Set(this.maps.map(m => m.map));
+    this.written = new Map(); // output path -> content hash
+  }
+
+  /**
+   * @param {import('playwright').Page} page - fetches go through the page (cookies, CORS as the app sees it)
+   * @param {string} chunkUrl
+   * @param {string} code - bundle source, already fetched
+   * @param {string|null} header - SourceMap / X-SourceMap response header
+   * @returns {Promise<{ url: string, via: string, files: Array<{ path: string, original: string, content: string, analyze: boolean }> }|null>}
+   */
+  async recover(page, chunkUrl, code, header = null) {
+    try {
+      const located = await this.locate(page, chunkUrl, code, header);
+      if (!located) return null;
+      if (this.seenMaps.has(located.url)) return null;
+      this.seenMaps.add(located.url);
+
+      const sections = Array.isArray(located.map.sections)
+        ? located.map.sections.map(s => s?.map).filter(Boolean)
+        : [located.map];
+
+      let host;
+      try { host = new URL(chunkUrl).host.replace(/[^\w.-]/g, '_'); } catch { host = 'unknown'; }
+
+      const files = [];
+      let missing = 0;
+      for (const map of sections) {
+        const sources = Array.isArray(map.sources) ? map.sources : [];
+        const contents = Array.isArray(map.sourcesContent) ? map.sourcesContent : [];
+        sources.forEach((source, i) => {
+          if (typeof contents[i] !== 'string') { missing++; return; }
+          const original = (map.sourceRoot ? `${map.sourceRoot.replace(/\/$/, '')}/` : '') + String(source);
+          const file = this.write(host, original, contents[i], i);
+          if (file) files.push(file);
+        });
+      }
+
+      this.maps.push({
+        chunk: chunkUrl,
+        map: located.url,
+        via: located.via,
+        files: files.length,
+        withoutContent: missing,
+        timestamp: new Date().toISOString()
+      });
+      this._saveManifest();
+
+      this.logger.success(`🗺️  Source map exposed: ${located.url.startsWith('data:') ? `inline in ${chunkUrl}` : located.url} (${files.length} files)`);
+      return { url: located.url, via: located.via, files };
+    } catch (error) {
+      this.logger.debug(`Source map recovery error for ${chunkUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async locate(page, chunkUrl, code, header) {
+    const comment = [...code.matchAll(/[#@]\s*sourceMappingURL=([^\s'"`*]+)/g)].pop()?.[1];
+
+    if (comment && comment.startsWith('data:')) {
+      const map = this.decodeDataUri(comment);
+      return map ? { url: `data:${chunkUrl}`, via: 'inline', map } : null;
+    }
+
+    const candidates = [];
+    if (comment) candidates.push({ ref: comment, via: 'comment' });
+    if (header) candidates.push({ ref: header, via: 'header' });
+    try {
+      const probe = new URL(chunkUrl);
+      probe.search = '';
+      probe.hash = '';
+      candidates.push({ ref: `${probe.href}.map`, via: 'probe' });
+    } catch {}
+
+    for (const { ref, via } of candidates) {
+      let url;
+      try { url = new URL(ref, chunkUrl).href; } catch { continue; }
+      const map = await this.fetchMap(page, url);
+      if (map) return { url, via, map };
+    }
+    return null;
+  }
+
+  async fetchMap(page, url) {
+    const text = await page.evaluate(async ({ url, max }) => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        if (Number(response.headers.get('content-length') || 0) > max) return null;
+        return await response.text();
+      } catch (error) {
+        return null;
+      }
+    }, { url, max: MAX_MAP_SIZE }).catch(() => null);
+    if (!text || text.length > MAX_MAP_SIZE) return null;
+    return this.parse(text);
+  }
+
+  // Maps may start with the XSSI guard )]}'
+  parse(text) {
+    try {
+      const map = JSON.parse(String(text).replace(/^\)\]\}'[^\n]*\n/, ''));
+      if (!map || typeof map !== 'object') return null;
+      if (!Array.isArray(map.sources) && !Array.isArray(map.sections)) return null;
+      return map;
+    } catch {
+      return null;
+    }
+  }
+
+  decodeDataUri(uri) {
+    const m = uri.match(/^data:[^,]*?(;base64)?,(.*)$/s);
+    if (!m) return null;
+    try {
+      const text = m[1] ? Buffer.from(m[2], 'base64').toString('utf8') : decodeURIComponent(m[2]);
+      return this.parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  // webpack:///./src/api.js -> src/api.js; ../../x.js -> x.js; query strings dropped
+  safePath(original, index) {
+    const parts = String(original)
+      .replace(/^[a-z][\w+.-]*:\/*/i, '')
+      .split(/[?#]/)[0]
+      .split(/[\\/]+/)
+      .filter(p => p && p !== '.' && p !== '..')
+      .map(p => p.replace(/[^\w.@+\-]/g, '_').slice(0, 100));
+    return parts.length ? parts.join('/') : `source-${index}.js`;
+  }
+
+  write(host, original, content, index) {
+    const rel = `${host}/${this.safePath(original, index)}`;
+    const target = path.resolve(this.root, rel);
+    if (!target.startsWith(this.root + path.sep)) return null;
+
+    const file = path.relative(path.resolve(this.outputDir), target).split(path.sep).join('/');
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+    const known = this.written.get(file);
+    // The same module shows up in several chunk maps; analyze it once
+    if (known === hash) return null;
+    if (known) {
+      this.logger.debug(`Source map: ${file} differs between maps, keeping the first copy`);
+      return null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content, 'utf8');
+    } catch (e) {
+      this.logger.debug(`Source write error (${file}): ${e.message}`);
+      return null;
+    }
+    this.written.set(file, hash);
+    return { path: file, original, content, analyze: !VENDOR.test(this.safePath(original, index)) };
+  }
+
+  getStats() {
+    return {
+      sourceMaps: this.maps.length,
+      sourceFiles: this.maps.reduce((n, m) => n + (m.files || 0), 0)
+    };
+  }
+
+  _loadManifest() {
+    try {
+      const list = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _saveManifest() {
+    try {
+      fs.mkdirSync(this.root, { recursive: true });
+      fs.writeFileSync(this.manifestFile, JSON.stringify(this.maps, null, 2));
+    } catch (e) {
+      this.logger.debug(`Source map manifest error: ${e.message}`);
+    }
+  }
+}
+
+module.exports = { SourceMapRecovery };
@@ -5,13 +5,17 @@
  * - In headful mode, pauses 2–20 seconds (random) for manual solve, or until detected solved
  * - Non-breaking: no new required flags; honors optional config keys if present:
  *   - captchaWaitMin (ms, default 2000), captchaWaitMax (ms, default 20000)
+ * - The wait length follows --seed when one is given
  */
+const { SeededRandom } = require('../utils/SeededRandom');
+
 class CAPTCHAHandler {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
     this.defaultMin = 2000;
     this.defaultMax = 20000;
+    this.random = SeededRandom.for(config, 'captcha');
   }
 
   async detectCaptcha(page) {
@@ -95,7 +99,7 @@ class CAPTCHAHandler {
     const maxMs = Number(this.config.get('captchaWaitMax') ?? this.defaultMax);
     const clampedMin = Math.max(0, Math.min(minMs, maxMs));
     const clampedMax = Math.max(clampedMin, maxMs);
-    const randMs = clampedMin + Math.floor(Math.random() * (clampedMax - clampedMin + 1));
+    const randMs = this.random.int(clampedMin, clampedMax);
     const primaryType = det.items[0]?.type || 'generic';
 
     if (!headless) {
@@ -4,11 +4,13 @@
  */
 
 const crypto = require('crypto');
+const { SeededRandom } = require('../utils/SeededRandom');
 
 class FingerprintManager {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    this.random = SeededRandom.for(config, 'fingerprint');
     
     this.browserFingerprints = new Map();
     this.formFingerprints = new Map();
@@ -56,7 +58,7 @@ class FingerprintManager {
     } catch (error) {
       this.logger.error('Form fingerprint generation failed:', error);
       // Return a fallback fingerprint
-      const fallbackData = `form-${Date.now()}-${Math.random()}`;
+      const fallbackData = `form-${this.random.uuid()}`;
       return crypto.createHash('md5').update(fallbackData).digest('hex');
     }
   }
@@ -82,18 +84,18 @@ class FingerprintManager {
   generateBrowserFingerprint() {
     try {
       const fingerprint = {
-        id: crypto.randomUUID(),
+        id: this.random.uuid(),
         userAgent: this.generateRealisticUserAgent(),
         viewport: this.getRandomViewport(),
         timezone: this.getRandomTimezone(),
         language: this.getRandomLanguage(),
         platform: this.getRandomPlatform(),
         cookieEnabled: true,
-        doNotTrack: Math.random() > 0.5 ? '1' : null,
-        hardwareConcurrency: Math.floor(Math.random() * 8) + 4,
-        deviceMemory: [2, 4, 8, 16][Math.floor(Math.random() * 4)],
-        colorDepth: [24, 32][Math.floor(Math.random() * 2)],
-        pixelRatio: [1, 1.25, 1.5, 2][Math.floor(Math.random() * 4)]
+        doNotTrack: this.random.next() > 0.5 ? '1' : null,
+        hardwareConcurrency: this.random.int(4, 11),
+        deviceMemory: this.random.pick([2, 4, 8, 16]),
+        colorDepth: this.random.pick([24, 32]),
+        pixelRatio: this.random.pick([1, 1.25, 1.5, 2])
       };
 
       this.logger.debug(`Generated browser fingerprint: ${fingerprint.id}`);
@@ -102,7 +104,7 @@ class FingerprintManager {
     } catch (error) {
       this.logger.error('Browser fingerprint generation failed:', error);
       return {
-        id: crypto.randomUUID(),
+        id: this.random.uuid(),
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         viewport: { width: 1920, height: 1080 }
       };
@@ -119,8 +121,8 @@ class FingerprintManager {
       'Windows NT 11.0; Win64; x64'
     ];
     
-    const chromeVersion = chromeVersions[Math.floor(Math.random() * chromeVersions.length)];
-    const windowsVersion = windowsVersions[Math.floor(Math.random() * windowsVersions.length)];
+    const chromeVersion = this.random.pick(chromeVersions);
+    const windowsVersion = this.random.pick(windowsVersions);
     
     return `Mozilla/5.0 (${windowsVersion}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${chromeVersion} Safari/537.36`;
   }
@@ -134,7 +136,7 @@ class FingerprintManager {
       { width: 1280, height: 720 }
     ];
     
-    return viewports[Math.floor(Math.random() * viewports.length)];
+    return this.random.pick(viewports);
   }
 
   getRandomTimezone() {
@@ -148,7 +150,7 @@ class FingerprintManager {
       'Asia/Tokyo'
     ];
     
-    return timezones[Math.floor(Math.random() * timezones.length)];
+    return this.random.pick(timezones);
   }
 
   getRandomLanguage() {
@@ -159,7 +161,7 @@ class FingerprintManager {
       'en-AU'
     ];
     
-    return languages[Math.floor(Math.random() * languages.length)];
+    return this.random.pick(languages);
   }
 
   getRandomPlatform() {
@@ -169,7 +171,7 @@ class FingerprintManager {
       'MacIntel'
     ];
     
-    return platforms[Math.floor(Math.random() * platforms.length)];
+    return this.random.pick(platforms);
   }
 
   // Generate canvas fingerprint
@@ -180,7 +182,7 @@ class FingerprintManager {
       'SpeedCrawl Pro test canvas'
     ];
     
-    const text = texts[Math.floor(Math.random() * texts.length)];
+    const text = this.random.pick(texts);
     const hash = crypto.createHash('md5').update(text).digest('hex');
     
     return {
@@ -204,8 +206,8 @@ class FingerprintManager {
     ];
     
     return {
-      renderer: renderers[Math.floor(Math.random() * renderers.length)],
-      vendor: vendors[Math.floor(Math.random() * vendors.length)]
+      renderer: this.random.pick(renderers),
+      vendor: this.random.pick(vendors)
     };
   }
 
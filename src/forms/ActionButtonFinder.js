@@ -2,6 +2,7 @@
  * SpeedCrawl Pro v22.0 - ActionButtonFinder (keeps options as-is)
  * - Finds enabled, visible primary action buttons
  * - Retries and JS-click fallback
+ * - findInteractiveElements(): navigation-style candidates (tabs, menu items, buttons) for InteractionExplorer
  */
 
 class ActionButtonFinder {
@@ -109,6 +110,61 @@ class ActionButtonFinder {
     }
   }
 
+  // Buttons, tabs and menu items that may switch SPA views; submit buttons and real links are left out
+  async findInteractiveElements(page, { skipKeywords = [], limit = 15 } = {}) {
+    try {
+      const items = await page.evaluate(({ skip, limit }) => {
+        const selectorFor = (el) => {
+          if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+          const parts = [];
+          let node = el;
+          while (node && node.nodeType === 1 && node !== document.body) {
+            if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+              parts.unshift(`#${CSS.escape(node.id)}`);
+              break;
+            }
+            const tag = node.tagName.toLowerCase();
+            const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName) : [];
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+            node = node.parentElement;
+          }
+          return parts.join(' > ');
+        };
+
+        // Word starts: 'pay' skips "Make a payment" and "payNow" but not "display"; a trailing e is
+        // dropped so 'delete' also covers "Deleting"
+        const skipRx = skip.map(kw => new RegExp(`(^|[^a-z0-9])${kw.replace(/e$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}`));
+        const seen = new Set();
+        const out = [];
+        const nodes = document.querySelectorAll([
+          'button', 'input[type="button"]', '[role="button"]', '[role="tab"]', '[role="menuitem"]',
+          '[role="link"]:not([href])', 'a:not([href])', 'a[href="#"]', 'a[href^="javascript:"]',
+          '[onclick]', '[data-toggle]', '[data-bs-toggle]', 'summary'
+        ].join(','));
+
+        for (const el of nodes) {
+          if (out.length >= limit) break;
+          if (seen.has(el) || el.disabled || el.offsetParent === null) continue;
+          seen.add(el);
+          if (el.closest('form') && (el.type === 'submit' || (el.tagName === 'BUTTON' && !el.getAttribute('type')))) continue;
+          const text = (el.textContent || el.value || el.getAttribute('aria-label') || el.title || '').trim().replace(/\s+/g, ' ').slice(0, 80);
+          const accessible = [el.getAttribute('aria-label'), el.textContent, el.value, el.title]
+            .filter(v => typeof v === 'string').join(' ').replace(/\s+/g, ' ')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+          if (skipRx.some(rx => rx.test(accessible))) continue;
+          out.push({ selector: selectorFor(el), text: text || '[no text]', role: el.getAttribute('role') || el.tagName.toLowerCase() });
+        }
+        return out;
+      }, { skip: skipKeywords.map(k => String(k).toLowerCase()), limit });
+
+      this.logger.debug(`🖱️ Found ${items.length} interactive elements`);
+      return items;
+    } catch (error) {
+      this.logger.debug(`Interactive element search failed: ${error.message}`);
+      return [];
+    }
+  }
+
   async findAndClick(page) {
     try {
       this.logger.debug('🔍 Searching for submit buttons...');
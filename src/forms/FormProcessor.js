@@ -2,249 +2,608 @@
  * SpeedCrawl Pro v22.0 - FormProcessor (React/Vue safe, keeps features as-is)
  * - Native setters for controlled inputs
  * - Explicit checkbox/radio handling
- * - Returns { fieldsProcessed, submitted } to engine
+ * - Every discovered form / SPA cluster is processed in isolation (page restored in between)
+ * - Field and submit-button lookups are scoped to the form's own container
+ * - Returns { fieldsProcessed, submitted, forms: [per-form result] } to engine
+ *   (per-form result: DOM path, action/method/enctype, field constraints, value used + source,
+ *   triggered requests with status codes; the engine writes these to forms.json)
+ * - Never submits to an action outside the --scope rules
+ * - Values come from ValueGenerator (HTML5 constraints + label/aria hints); fields the browser or
+ *   the page flags as invalid are regenerated and the form resubmitted, up to formRetries times
+ * - type=file inputs get a generated sample matching `accept` (SampleFiles) via setInputFiles
+ * - OTP and payment forms run as a WorkflowManager workflow instead;
+ *   the per-form result carries its steps (filled values, requests, screenshots)
+ * - With --multi-form, wizard forms (Next → ... → Submit) go through MultiStepFormProcessor
  */
 
+const fs = require('fs');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const { ScopeManager } = require('../core/ScopeManager');
+const { ActionButtonFinder } = require('./ActionButtonFinder');
+const { ValueGenerator } = require('./ValueGenerator');
+const { SampleFiles } = require('./SampleFiles');
+const { WorkflowManager } = require('./WorkflowManager');
+const { MultiStepFormProcessor } = require('./MultiStepFormProcessor');
+
+// Third-party beacons fired on click; never counted as a form's own requests
+const NOISE = /google-analytics|googletagmanager|\/gtm|firebase|doubleclick|facebook\.com\/tr|hotjar|segment\.io/i;
 
 class FormProcessor extends EventEmitter {
   constructor(config, logger) {
     super();
     this.config = config;
     this.logger = logger;
-
-    // faker is optional; only used inside page context via data passed
-    try {
-      const { faker } = require('@faker-js/faker');
-      this.faker = faker;
-      this.logger.debug('✅ Faker.js initialized');
-    } catch {
-      this.faker = null;
-      this.logger.warn('⚠️ Faker.js not found, continuing without it');
-    }
+    this.scope = new ScopeManager(config, logger);
+    this.buttonFinder = new ActionButtonFinder(config, logger);
+    this.values = new ValueGenerator(config, logger);
+    this.samples = new SampleFiles(config, logger);
+    this.workflows = new WorkflowManager(config, logger);
+    this.multiStep = new MultiStepFormProcessor(config, logger, this);
+    this.maxRetries = Number(config.get('formRetries', 2));
   }
 
-  async processForm(page) {
+  /**
+   * @param {Page} page
+   * @param {{ restore?: (page) => Promise<boolean> }} [opts]
+   *   restore: brings the page back to its pre-form state; defaults to reloading the current URL
+   */
+  async processForm(page, opts = {}) {
+    const empty = { fieldsProcessed: 0, submitted: false, forms: [] };
     try {
       this.logger.info('🌐 Processing forms...');
       // Let the SPA settle
       await page.waitForTimeout(1000);
 
-      const useFaker = !!this.config.get('useFaker');
-      const fakerPool = useFaker && this.faker ? {
-        email: this.faker.internet.email(),
-        tel: this.faker.string.numeric(10),
-        phone: this.faker.string.numeric(10),
-        mobile: this.faker.string.numeric(10),
-        password: this.faker.internet.password({ length: 12, memorable: true, pattern: /[A-Za-z0-9]/ }),
-        name: this.faker.person.fullName(),
-        text: this.faker.lorem.words(3),
-        number: this.faker.string.numeric(6)
-      } : null;
-
-      const customInputs = this.config.get('customInputData') || {};
-
-      // Discover forms or SPA clusters
-      const forms = await page.evaluate(() => {
-        const res = [];
-        const seen = new Set();
-
-        const cap = (c, t, x) => {
-          const inp = c.querySelectorAll('input:not([type="hidden"]):not([disabled]):not([type="submit"]), textarea:not([disabled]), select:not([disabled])');
-          if (inp.length === 0) return null;
-          const sig = Array.from(inp).map((i, idx) => `${i.tagName.toLowerCase()}:${i.type || 'text'}:${i.name || i.id || idx}`).join('|');
-          if (seen.has(sig)) return null;
-          seen.add(sig);
-          return {
-            t, x,
-            f: Array.from(inp).map((i, idx) => ({
-              tag: i.tagName.toLowerCase(),
-              type: i.type || 'text',
-              name: i.name || '',
-              id: i.id || '',
-              idx
-            })),
-            b: Array.from(c.querySelectorAll('button:not([disabled]), input[type="submit"]')).map((b, idx) => ({
-              txt: b.textContent?.trim() || b.value || '',
-              id: b.id || '',
-              idx
-            }))
-          };
-        };
-
-        document.querySelectorAll('form').forEach((f, i) => {
-          const d = cap(f, 'form', i);
-          if (d) res.push(d);
-        });
-
-        if (res.length === 0) {
-          document.querySelectorAll('div, section, main, article').forEach((d, i) => {
-            if (d.closest('form')) return;
-            const inp = d.querySelectorAll('input:not([type="hidden"]):not([disabled])');
-            const btn = d.querySelectorAll('button:not([disabled])');
-            if (inp.length >= 2 && btn.length >= 1) {
-              const x = cap(d, 'spa', i);
-              if (x) res.push(x);
-            }
-          });
-        }
-        return res;
+      const pageUrl = page.url();
+      const restore = opts.restore || (async (p) => {
+        await p.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: this.config.get('timeout') });
+        try { await p.waitForLoadState('networkidle', { timeout: 5000 }); } catch {}
+        return true;
       });
 
+      const forms = await this.discoverForms(page);
       if (!forms || forms.length === 0) {
         this.logger.warn('⚠️  No forms');
-        return { fieldsProcessed: 0, submitted: false };
+        return empty;
       }
 
       this.logger.info(`📋 Found ${forms.length} forms`);
-      const frm = forms[0];
-      this.logger.info(`📝 Form 1/${forms.length} (${frm.t}, ${frm.f.length} fields)`);
-
-      const fillResult = await page.evaluate(({ frm, fakerPool, cust }) => {
-        const log = [];
-        let fieldsProcessed = 0;
-
-        const setReactValue = (el, val) => {
-          const proto = el.tagName === 'TEXTAREA'
-            ? window.HTMLTextAreaElement.prototype
-            : window.HTMLInputElement.prototype;
-          const desc = Object.getOwnPropertyDescriptor(proto, 'value');
-          if (desc && desc.set) desc.set.call(el, val ?? '');
-          else el.value = val ?? '';
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-          el.dispatchEvent(new Event('change', { bubbles: true }));
-        };
+      const results = [];
+      for (let i = 0; i < forms.length; i++) {
+        let frm = forms[i];
+        if (i > 0) {
+          // Earlier forms may have navigated or mutated the page; locate this one again by signature
+          const ok = await restore(page).catch(() => false);
+          frm = ok ? (await this.discoverForms(page)).find(f => f.s === forms[i].s) : null;
+          if (!frm) {
+            this.logger.warn(`   ⚠️  Form ${i + 1} not found after restoring the page`);
+            results.push(this.formResult(forms[i], pageUrl, { skipped: 'not-found' }));
+            continue;
+          }
+        }
+        this.logger.info(`📝 Form ${i + 1}/${forms.length} (${frm.t}, ${frm.f.length} fields)`);
+        results.push(await this.processOne(page, frm, pageUrl));
+      }
+
+      return {
+        fieldsProcessed: results.reduce((n, r) => n + r.fieldsProcessed, 0),
+        submitted: results.some(r => r.submitted),
+        forms: results
+      };
+    } catch (error) {
+      this.logger.warn(`Form error: ${error.message}`);
+      return empty;
+    }
+  }
+
+  // Forms first; SPA input clusters only when the page has no <form> with inputs
+  async discoverForms(page) {
+    return page.evaluate(() => {
+      const res = [];
+      const seen = new Set();
 
-        const checkBySetter = (el) => {
-          const desc = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'checked');
-          if (desc && desc.set) desc.set.call(el, true);
-          else el.checked = true;
-          el.dispatchEvent(new Event('click', { bubbles: true }));
-          el.dispatchEvent(new Event('change', { bubbles: true }));
+      const domPath = (el) => {
+        const parts = [];
+        for (let node = el; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+          if (node.id) { parts.unshift(`${node.tagName.toLowerCase()}#${CSS.escape(node.id)}`); break; }
+          const same = node.parentElement ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName) : [];
+          parts.unshift(same.length > 1 ? `${node.tagName.toLowerCase()}:nth-of-type(${same.indexOf(node) + 1})` : node.tagName.toLowerCase());
+        }
+        return parts.join(' > ');
+      };
+      const num = (v) => (v === '' || v == null ? null : v);
+      const text = (el) => (el ? (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 120) : '');
+      const byIds = (ids) => {
+        const els = (ids || '').split(/\s+/).filter(Boolean).map(id => document.getElementById(id)).filter(Boolean);
+        return els.length ? { textContent: els.map(e => e.textContent).join(' ') } : null;
+      };
+
+      const cap = (c, t, x) => {
+        const inp = c.querySelectorAll('input:not([type="hidden"]):not([disabled]):not([type="submit"]), textarea:not([disabled]), select:not([disabled])');
+        if (inp.length === 0) return null;
+        const sig = Array.from(inp).map((i, idx) => `${i.tagName.toLowerCase()}:${i.type || 'text'}:${i.name || i.id || idx}`).join('|');
+        if (seen.has(sig)) return null;
+        seen.add(sig);
+        return {
+          t, x, s: `${t}|${sig}`,
+          p: domPath(c),
+          a: c.tagName === 'FORM' ? (c.action || location.href) : null,
+          m: c.tagName === 'FORM' ? (c.getAttribute('method') || 'GET').toUpperCase() : null,
+          e: c.tagName === 'FORM' ? (c.enctype || 'application/x-www-form-urlencoded') : null,
+          f: Array.from(inp).map((i, idx) => ({
+            tag: i.tagName.toLowerCase(),
+            type: i.type || 'text',
+            name: i.name || '',
+            id: i.id || '',
+            idx,
+            required: !!i.required,
+            pattern: i.getAttribute('pattern') || null,
+            min: num(i.getAttribute('min')),
+            max: num(i.getAttribute('max')),
+            minLength: i.minLength > 0 ? i.minLength : null,
+            maxLength: i.maxLength > 0 ? i.maxLength : null,
+            step: num(i.getAttribute('step')),
+            inputMode: i.getAttribute('inputmode') || null,
+            accept: i.getAttribute('accept') || null,
+            autocomplete: i.getAttribute('autocomplete') || null,
+            placeholder: i.getAttribute('placeholder') || null,
+            label: text(i.labels && i.labels[0]) || text(byIds(i.getAttribute('aria-labelledby'))) || null,
+            ariaLabel: i.getAttribute('aria-label') || null,
+            ariaDescription: text(byIds(i.getAttribute('aria-describedby'))) || null,
+            title: i.getAttribute('title') || null,
+            // Wizards keep later steps in the DOM but hidden; styled file inputs hide inside a visible label
+            visible: i.offsetParent !== null || (i.type === 'file' && !!i.parentElement && i.parentElement.offsetParent !== null),
+            options: i.tagName === 'SELECT'
+              ? Array.from(i.options).slice(0, 50).map(o => ({ value: o.value, text: (o.textContent || '').trim() }))
+              : null
+          })),
+          b: Array.from(c.querySelectorAll('button:not([disabled]), input[type="submit"]')).map((b, idx) => ({
+            txt: b.textContent?.trim() || b.value || '',
+            id: b.id || '',
+            idx
+          }))
         };
+      };
 
-        for (const f of frm.f) {
-          try {
-            let el = null;
-            if (f.id) el = document.getElementById(f.id);
-            if (!el && f.name) el = document.querySelector(`[name="${CSS.escape(f.name)}"]`);
-            if (!el) {
-              const all = document.querySelectorAll('input:not([type="hidden"]):not([disabled]):not([type="submit"]), textarea, select');
-              el = all[f.idx];
-            }
-            if (!el) { log.push(`❌ ${f.name || f.id || f.idx} NOT FOUND`); continue; }
-            if (el.disabled || el.readOnly || el.offsetParent === null) {
-              log.push(`⏭️  ${f.name || f.id || `field${f.idx}`} skipped (disabled/hidden)`); 
-              continue;
-            }
+      document.querySelectorAll('form').forEach((f, i) => {
+        const d = cap(f, 'form', i);
+        if (d) res.push(d);
+      });
+
+      if (res.length === 0) {
+        document.querySelectorAll('div, section, main, article').forEach((d, i) => {
+          if (d.closest('form')) return;
+          const inp = d.querySelectorAll('input:not([type="hidden"]):not([disabled])');
+          const btn = d.querySelectorAll('button:not([disabled])');
+          if (inp.length >= 2 && btn.length >= 1) {
+            const x = cap(d, 'spa', i);
+            if (x) res.push(x);
+          }
+        });
+      }
+      return res;
+    });
+  }
+
+  async processOne(page, frm, pageUrl) {
+    // Detected OTP, payment, login and registration flows run as workflows (payment gate included)
+    const workflowType = this.workflows.detectWorkflowType({ inputs: frm.f });
+    const workflow = workflowType !== 'generic';
+    if (this.config.get('multiForm') && !workflow && await this.multiStep.isWizard(page, frm)) {
+      return this.multiStep.process(page, frm, pageUrl);
+    }
+    if (workflow) return this.processWorkflow(page, frm, pageUrl, workflowType);
+
+    const plan = {};
+    for (const f of frm.f) if (f.type !== 'file') plan[f.idx] = this.values.generate(f);
+
+    const fillResult = await this.fillForm(page, frm, plan);
+    const values = fillResult?.values || {};
+    let fieldsProcessed = fillResult?.fieldsProcessed || 0;
+
+    for (const f of frm.f.filter(x => x.type === 'file')) {
+      values[f.idx] = await this.attachFile(page, frm, f);
+      if (values[f.idx].file) fieldsProcessed++;
+    }
+
+    // Dependent selects (country → state, ...) get their options after the parent changes
+    if (fillResult?.pending?.length) {
+      await page.waitForTimeout(800);
+      const pending = {};
+      fillResult.pending.forEach(idx => { pending[idx] = plan[idx]; });
+      const again = await this.fillForm(page, frm, pending);
+      Object.assign(values, again?.values || {});
+      fieldsProcessed += again?.fieldsProcessed || 0;
+    }
+
+    if (this.config.get('debug')) {
+      (fillResult?.log || []).forEach(l => this.logger.debug(`   ${l}`));
+    }
+    if (fieldsProcessed === 0) {
+      this.logger.warn('   ⚠️  No fields filled');
+    } else {
+      this.logger.info(`   ✅ Filled ${fieldsProcessed} fields`);
+    }
+
+    // Browser constraint validation before anything is sent
+    let invalid = fillResult?.invalid || [];
+    for (let round = 0; invalid.length && round < this.maxRetries; round++) {
+      invalid = await this.refill(page, frm, invalid, values);
+    }
+
+    // Scope gate: SPA clusters have no action, so they are checked against the page URL
+    const action = frm.a || page.url();
+    const method = frm.m || 'POST';
+    if (!this.scope.allows(action, method)) {
+      this.logger.warn(`   ⛔ Submit skipped, out of scope: ${method} ${action}`);
+      return this.formResult(frm, pageUrl, { fieldsProcessed, skipped: 'out-of-scope', validationErrors: invalid }, values);
+    }
+
+    const { clicked, requests } = await this.submitForm(page, frm);
+    if (clicked) this.logger.info('   ✅ Submit clicked');
+
+    // Page-side validation: adjust the rejected fields and submit again
+    let retries = 0;
+    let errors = clicked ? await this.validationErrors(page, frm) : [];
+    while (errors.length && retries < this.maxRetries) {
+      retries++;
+      this.logger.info(`   🔁 ${errors.length} field(s) rejected, retry ${retries}/${this.maxRetries}`);
+      await this.refill(page, frm, errors, values);
+      const again = await this.submitForm(page, frm);
+      requests.push(...again.requests);
+      errors = again.clicked ? await this.validationErrors(page, frm) : [];
+    }
+    if (errors.length) this.logger.warn(`   ⚠️  Still rejected: ${errors.map(e => e.message).join('; ').slice(0, 200)}`);
+
+    const sent = requests.find(r => r.method !== 'GET') || requests[0];
+    if (sent) {
+      this.logger.success(`   ✅ ${sent.method} → ${sent.url}`);
+    } else if (clicked) {
+      this.logger.warn('   ⚠️  No request detected (client-side form)');
+    }
+
+    return this.formResult(frm, pageUrl, { fieldsProcessed, submitted: clicked, retries, validationErrors: errors, requests }, values);
+  }
+
+  // Multi-step flows (OTP, payment) against the live form container
+  async processWorkflow(page, frm, pageUrl, type) {
+    const action = frm.a || page.url();
+    const method = frm.m || 'POST';
+    if (!this.scope.allows(action, method)) {
+      this.logger.warn(`   ⛔ Workflow skipped, out of scope: ${method} ${action}`);
+      return this.formResult(frm, pageUrl, { skipped: 'out-of-scope', workflow: { type, status: 'skipped', steps: [] } });
+    }
+
+    this.logger.info(`   🔄 ${type} workflow`);
+    const fingerprint = crypto.createHash('md5').update(frm.s).digest('hex');
+    const wf = await this.workflows.processWorkflow(page.locator(frm.p), { inputs: frm.f }, fingerprint, page);
+    if (!wf) return this.formResult(frm, pageUrl, { workflow: { type, status: 'failed', steps: [] } });
+
+    const values = {};
+    for (const step of wf.steps) {
+      for (const entry of step.filled) {
+        const f = frm.f.find(x => (entry.name && x.name === entry.name) || (entry.id && x.id === entry.id));
+        if (f) values[f.idx] = { value: entry.value, source: 'workflow' };
+      }
+    }
+
+    return this.formResult(frm, pageUrl, {
+      fieldsProcessed: Object.keys(values).length,
+      submitted: wf.steps.some(s => s.submitted),
+      requests: wf.steps.flatMap(s => s.requests),
+      workflow: { id: wf.id, type: wf.type, status: wf.status, error: wf.error || null, duration: wf.duration, steps: wf.steps }
+    }, values);
+  }
+
+  // Regenerate flagged fields with the next attempt, using the validation message as a hint
+  async refill(page, frm, flagged, values) {
+    const plan = {};
+    for (const { idx, message } of flagged) {
+      const f = frm.f.find(x => x.idx === idx);
+      const attempt = values[idx]?.attempts || 1;
+      if (!f || attempt > this.maxRetries) continue;
+      if (f.type === 'file') {
+        values[idx] = { ...(await this.attachFile(page, frm, f, attempt)), attempts: attempt + 1 };
+        continue;
+      }
+      plan[idx] = { ...this.values.generate(f, { attempt, hint: message }), attempts: attempt + 1 };
+    }
+    if (Object.keys(plan).length === 0) return [];
+    const res = await this.fillForm(page, frm, plan);
+    for (const [idx, v] of Object.entries(res?.values || {})) values[idx] = { ...v, attempts: plan[idx].attempts };
+    return res?.invalid || [];
+  }
 
-            // Checkables
-            if (f.type === 'checkbox' || f.type === 'radio') {
-              checkBySetter(el);
-              fieldsProcessed++;
-              log.push(`✅ ${f.name || f.id || `field${f.idx}`} = checked`);
+  /**
+   * Apply a value plan ({ [field idx]: { value, source, pick? } }) to the form's fields.
+   * Only fields present in the plan are touched.
+   * @returns {{ fieldsProcessed, values, invalid: Array<{ idx, message }>, pending: number[], log }}
+   */
+  async fillForm(page, frm, plan) {
+    return page.evaluate(({ frm, plan }) => {
+      const log = [];
+      const values = {};
+      const invalid = [];
+      const pending = [];
+      let fieldsProcessed = 0;
+      const container = (frm.t === 'form'
+        ? document.querySelectorAll('form')
+        : document.querySelectorAll('div, section, main, article'))[frm.x] || document;
+
+      const setReactValue = (el, val) => {
+        const proto = el.tagName === 'TEXTAREA'
+          ? window.HTMLTextAreaElement.prototype
+          : window.HTMLInputElement.prototype;
+        const desc = Object.getOwnPropertyDescriptor(proto, 'value');
+        if (desc && desc.set) desc.set.call(el, val ?? '');
+        else el.value = val ?? '';
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      };
+
+      const checkBySetter = (el) => {
+        const desc = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'checked');
+        if (desc && desc.set) desc.set.call(el, true);
+        else el.checked = true;
+        el.dispatchEvent(new Event('click', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      };
+
+      for (const f of frm.f) {
+        const p = plan[f.idx];
+        if (!p) continue;
+        const label = f.name || f.id || `field${f.idx}`;
+        try {
+          let el = null;
+          if (f.id) el = container.querySelector(`#${CSS.escape(f.id)}`);
+          if (!el && f.name) el = container.querySelector(`[name="${CSS.escape(f.name)}"]`);
+          if (!el) {
+            const all = container.querySelectorAll('input:not([type="hidden"]):not([disabled]):not([type="submit"]), textarea, select');
+            el = all[f.idx];
+          }
+          if (!el) {
+            values[f.idx] = { value: null, source: 'not-found' };
+            log.push(`❌ ${label} NOT FOUND`);
+            continue;
+          }
+          if (el.disabled || el.readOnly || el.offsetParent === null) {
+            values[f.idx] = { value: null, source: 'skipped' };
+            log.push(`⏭️  ${label} skipped (disabled/hidden)`);
+            continue;
+          }
+
+          if (f.type === 'checkbox' || f.type === 'radio') {
+            checkBySetter(el);
+            values[f.idx] = { value: el.value || 'on', source: p.source };
+          } else if (f.tag === 'select') {
+            const opts = Array.from(el.options).filter(o => o.value !== '');
+            if (!opts.length) {
+              values[f.idx] = { value: null, source: 'pending' };
+              pending.push(f.idx);
+              log.push(`⏳ ${label} has no options yet`);
               continue;
             }
+            const opt = opts.find(o => o.value === p.value) || opts[(p.pick || 0) % opts.length];
+            el.value = opt.value;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            values[f.idx] = { value: el.value, source: p.source };
+          } else if (p.value == null) {
+            values[f.idx] = { value: null, source: p.source };
+            log.push(`⏭️  ${label} skipped (${f.type})`);
+            continue;
+          } else {
+            el.focus();
+            setReactValue(el, ''); // clear first for controlled inputs
+            setReactValue(el, p.value);
+            el.blur();
+            values[f.idx] = { value: p.value, source: p.source };
+          }
+          fieldsProcessed++;
+          log.push(`✅ ${label} = "${values[f.idx].value}" (${p.source})`);
 
-            // Figure out value
-            const key = (f.name || f.id || '').toLowerCase();
-            let val = '';
-            if (cust[key]) val = String(cust[key]);
-            else if (f.name && cust[f.name]) val = String(cust[f.name]);
-            else if (f.id && cust[f.id]) val = String(cust[f.id]);
-
-            if (!val && fakerPool) {
-              if (key.includes('mobile') || key.includes('phone')) val = fakerPool.mobile;
-              else if (key.includes('email')) val = fakerPool.email;
-              else if (key.includes('password')) val = fakerPool.password;
-              else if (key.includes('name')) val = fakerPool.name;
-              else if (f.type === 'tel' || f.type === 'phone') val = fakerPool.mobile;
-              else if (f.type === 'email') val = fakerPool.email;
-              else if (f.type === 'number') val = fakerPool.number;
-              else val = fakerPool.text;
-            }
-            if (!val) val = 'test123';
-
-            if (f.tag === 'select') {
-              const opts = el.querySelectorAll('option:not([value=""])');
-              if (opts.length) el.value = opts[0].value;
-              el.dispatchEvent(new Event('change', { bubbles: true }));
-              fieldsProcessed++;
-              log.push(`✅ ${f.name || f.id || `field${f.idx}`} = "${el.value}"`);
-            } else {
-              el.focus();
-              setReactValue(el, ''); // clear first for controlled inputs
-              setReactValue(el, val);
-              el.blur();
-              fieldsProcessed++;
-              log.push(`✅ ${f.name || f.id || `field${f.idx}`} = "${val}"`);
-            }
-          } catch (err) {
-            log.push(`❌ Error on ${f.name || f.id || f.idx}: ${err.message}`);
+          if (el.validity && !el.validity.valid) {
+            invalid.push({ idx: f.idx, message: el.validationMessage || 'invalid' });
+            log.push(`⚠️  ${label} invalid: ${el.validationMessage}`);
           }
+        } catch (err) {
+          log.push(`❌ Error on ${label}: ${err.message}`);
         }
-        return { fieldsProcessed, log };
-      }, { frm, fakerPool, cust: customInputs });
-
-      if (this.config.get('debug')) {
-        (fillResult?.log || []).forEach(l => this.logger.debug(`   ${l}`));
       }
+      return { fieldsProcessed, values, invalid, pending, log };
+    }, { frm, plan });
+  }
+
+  // Attach a generated sample file; later attempts rotate to another kind the input accepts
+  async attachFile(page, frm, f, attempt = 0) {
+    const file = this.samples.forAccept(f.accept, attempt);
+    if (!file) return { value: null, source: 'skipped' };
+    try {
+      const handle = await page.evaluateHandle(({ frm, f }) => {
+        const container = (frm.t === 'form'
+          ? document.querySelectorAll('form')
+          : document.querySelectorAll('div, section, main, article'))[frm.x] || document;
+        let el = null;
+        if (f.id) el = container.querySelector(`#${CSS.escape(f.id)}`);
+        if (!el && f.name) el = container.querySelector(`[name="${CSS.escape(f.name)}"]`);
+        if (!el) el = container.querySelectorAll('input:not([type="hidden"]):not([disabled]):not([type="submit"]), textarea, select')[f.idx];
+        return el && el.type === 'file' && !el.disabled ? el : null;
+      }, { frm, f });
+      const el = handle && handle.asElement();
+      if (!el) return { value: null, source: 'not-found' };
+
+      // No visibility check: styled upload widgets hide the real input, which still takes files
+      // Sent with the reported type: Playwright would otherwise guess it from an unknown extension
+      await el.setInputFiles({ name: file.name, mimeType: file.contentType, buffer: fs.readFileSync(file.path) });
+      this.logger.debug(`   📎 ${f.name || f.id || `field${f.idx}`} ← ${file.name} (${file.contentType})`);
+      return { value: file.name, source: 'upload', file: { name: file.name, contentType: file.contentType, size: file.size } };
+    } catch (e) {
+      this.logger.debug(`Upload failed for ${f.name || f.id || f.idx}: ${e.message}`);
+      return { value: null, source: 'skipped' };
+    }
+  }
 
-      if (!fillResult || fillResult.fieldsProcessed === 0) {
-        this.logger.warn('   ⚠️  No fields filled');
-      } else {
-        this.logger.info(`   ✅ Filled ${fillResult.fieldsProcessed} fields`);
+  // Fields the page still flags after submit: :invalid, aria-invalid, or an error message next to them
+  async validationErrors(page, frm) {
+    return page.evaluate((frm) => {
+      const container = (frm.t === 'form'
+        ? document.querySelectorAll('form')
+        : document.querySelectorAll('div, section, main, article'))[frm.x];
+      if (!container) return [];
+      const FIELDS = 'input:not([type="hidden"]):not([disabled]):not([type="submit"]), textarea:not([disabled]), select:not([disabled])';
+      const inputs = Array.from(container.querySelectorAll(FIELDS));
+      // A different form now sits at this index (the submit navigated): nothing to retry
+      const sig = inputs.map((i, idx) => `${i.tagName.toLowerCase()}:${i.type || 'text'}:${i.name || i.id || idx}`).join('|');
+      if (`${frm.t}|${sig}` !== frm.s) return [];
+
+      const visibleText = (n) => (n && n.offsetParent !== null ? (n.textContent || '').replace(/\s+/g, ' ').trim() : '');
+      const errors = [];
+      for (const f of frm.f) {
+        const el = inputs[f.idx];
+        if (!el || el.type === 'checkbox' || el.type === 'radio' || (el.offsetParent === null && el.type !== 'file')) continue;
+
+        const described = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean)
+          .map(id => visibleText(document.getElementById(id))).filter(Boolean).join(' ');
+        // Closest wrapper that holds only this field, so a neighbour's message is not picked up
+        let near = '';
+        for (let w = el.parentElement; w && w !== container; w = w.parentElement) {
+          if (w.querySelectorAll(FIELDS).length > 1) break;
+          near = Array.from(w.querySelectorAll('.error, .invalid-feedback, .field-error, .error-message, [role="alert"], [class*="error"]'))
+            .map(visibleText).filter(Boolean).join(' ');
+          if (near) break;
+        }
+
+        const flagged = el.getAttribute('aria-invalid') === 'true' || (el.validity && !el.validity.valid);
+        if (flagged || near) {
+          errors.push({ idx: f.idx, message: (el.validationMessage || near || described || 'invalid').slice(0, 200) });
+        }
       }
+      return errors;
+    }, frm).catch(() => []);
+  }
 
-      // Attempt submit
-      const postPromise = page.waitForRequest(req =>
-        req.method() === 'POST' &&
-        !req.url().includes('google-analytics') &&
-        !req.url().includes('gtm') &&
-        !req.url().includes('firebase'), { timeout: 5000 }).catch(() => null);
+  // Run `action` and collect the form-relevant requests it triggers (analytics beacons excluded)
+  async trackRequests(page, action) {
+    const requests = [];
+    const byRequest = new Map();
+    const onRequest = (req) => {
+      if (!['xhr', 'fetch', 'document', 'other'].includes(req.resourceType()) || NOISE.test(req.url())) return;
+      const rec = { method: req.method(), url: req.url(), resourceType: req.resourceType(), status: null };
+      byRequest.set(req, rec);
+      requests.push(rec);
+    };
+    const onResponse = (res) => {
+      const rec = byRequest.get(res.request());
+      if (rec) rec.status = res.status();
+    };
+    const onFailed = (req) => {
+      const rec = byRequest.get(req);
+      if (rec) rec.error = req.failure()?.errorText || 'failed';
+    };
+    page.on('request', onRequest);
+    page.on('response', onResponse);
+    page.on('requestfailed', onFailed);
+
+    try {
+      const result = await action();
+      return { result, requests };
+    } finally {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+      page.off('requestfailed', onFailed);
+    }
+  }
 
-      // Prefer a visible, enabled submit
+  // Click this form's own submit control and collect the requests it triggers
+  async submitForm(page, frm) {
+    const { result: clicked, requests } = await this.trackRequests(page, async () => {
       let clicked = false;
-      try {
-        const btn = await page.$('button[type="submit"]:not([disabled]), input[type="submit"]:not([disabled])');
-        if (btn) {
-          await btn.click({ timeout: 2000 });
-          clicked = true;
+      const handle = await page.evaluateHandle((frm) => {
+        const container = (frm.t === 'form'
+          ? document.querySelectorAll('form')
+          : document.querySelectorAll('div, section, main, article'))[frm.x];
+        if (!container) return null;
+        const usable = b => b && b.offsetParent !== null && !b.disabled;
+
+        // Explicit submit, then a type-less <button> (submits by default inside <form>)
+        const explicit = Array.from(container.querySelectorAll('button[type="submit"], input[type="submit"]')).find(usable);
+        if (explicit) return explicit;
+        if (container.tagName === 'FORM') {
+          const implicit = Array.from(container.querySelectorAll('button:not([type])')).find(usable);
+          if (implicit) return implicit;
         }
-      } catch {}
+        const list = Array.from(container.querySelectorAll('button, input[type="button"], [role="button"]')).filter(usable);
+        const byText = list.find(b => /login|sign in|submit|search|subscribe|send|continue|next|otp|verify|save/.test((b.textContent || b.value || '').toLowerCase()));
+        return byText || (list.length === 1 ? list[0] : null);
+      }, frm).catch(() => null);
+
+      const btn = handle && handle.asElement();
+      if (btn) clicked = await this.buttonFinder.tryClickWithRetry(btn, 'form-submit');
+
+      // No usable control: let a real <form> submit itself (runs validation and submit handlers)
       if (!clicked) {
-        clicked = await page.evaluate(() => {
-          const cand = document.querySelector('button[type="submit"], input[type="submit"]');
-          if (cand && cand.offsetParent !== null && !cand.disabled) { cand.click(); return true; }
-          const list = Array.from(document.querySelectorAll('button, input[type="button"]'));
-          for (const b of list) {
-            const t = (b.textContent || b.value || '').toLowerCase();
-            if (t && /login|sign in|submit|continue|next|otp|verify/.test(t) && b.offsetParent !== null && !b.disabled) {
-              b.click(); return true;
-            }
-          }
-          return false;
-        });
+        clicked = await page.evaluate((frm) => {
+          const form = frm.t === 'form' ? document.querySelectorAll('form')[frm.x] : null;
+          if (!form) return false;
+          if (form.requestSubmit) form.requestSubmit(); else form.submit();
+          return true;
+        }, frm).catch(() => false);
       }
-      if (clicked) this.logger.info('   ✅ Submit clicked');
 
-      const postReq = await postPromise;
-      if (postReq) {
-        this.logger.success(`   ✅ POST → ${postReq.url()}`);
+      if (clicked) {
+        await page.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
         await page.waitForTimeout(1500);
-        return { fieldsProcessed: fillResult.fieldsProcessed || 0, submitted: true };
-      } else {
-        this.logger.warn('   ⚠️  No API POST detected (client-side form)');
-        await page.waitForTimeout(800);
-        return { fieldsProcessed: fillResult.fieldsProcessed || 0, submitted: true };
       }
-    } catch (error) {
-      this.logger.warn(`Form error: ${error.message}`);
-      return { fieldsProcessed: 0, submitted: false };
-    }
+      return clicked;
+    });
+    return { clicked, requests };
   }
 
-  cleanup() {}
+  formResult(frm, pageUrl, extra = {}, values = {}) {
+    return {
+      page: pageUrl,
+      type: frm.t,
+      index: frm.x,
+      domPath: frm.p || null,
+      action: frm.a || null,
+      method: frm.m || null,
+      enctype: frm.e || null,
+      fields: frm.f.map(f => ({
+        name: f.name,
+        id: f.id,
+        tag: f.tag,
+        type: f.type,
+        required: !!f.required,
+        pattern: f.pattern ?? null,
+        min: f.min ?? null,
+        max: f.max ?? null,
+        step: f.step ?? null,
+        minLength: f.minLength ?? null,
+        maxLength: f.maxLength ?? null,
+        autocomplete: f.autocomplete ?? null,
+        placeholder: f.placeholder ?? null,
+        options: f.options ?? null,
+        accept: f.accept ?? null,
+        label: f.label ?? null,
+        value: values[f.idx] ? values[f.idx].value : null,
+        source: values[f.idx] ? values[f.idx].source : null,
+        attempts: values[f.idx] && values[f.idx].value != null ? (values[f.idx].attempts || 1) : 0,
+        file: values[f.idx] && values[f.idx].file ? values[f.idx].file : null
+      })),
+      fieldsProcessed: 0,
+      submitted: false,
+      retries: 0,
+      validationErrors: [],
+      requests: [],
+      ...extra
+    };
+  }
+
+  async cleanup() {
+    this.samples.cleanup();
+    await this.workflows.cleanup();
+  }
 }
 
 module.exports = { FormProcessor };
@@ -1,218 +1,307 @@
+// src/forms/MultiStepFormProcessor.js
 /**
- * SpeedCrawl Pro - ReportGenerator (KATANA/HTTPX FORMAT)
- * Generates the EXACT format from paste.txt
+ * SpeedCrawl Pro v22.2 - MultiStepFormProcessor (wizard forms: step 1 → Next → ... → Submit)
+ * - A form is a wizard when its container shows a Next/Continue control and either hides some of
+ *   its fields, shows a progress indicator, or has a script-driven (type=button) Next and no submit
+ * - Each step fills only the fields that became visible, through FormProcessor's own
+ *   ValueGenerator / fillForm / attachFile, then clicks Next (never Back)
+ * - A Next that does not advance is treated as a validation failure: flagged fields are regenerated
+ *   and Next is retried, up to formRetries times
+ * - A wizard that lands on an earlier step again (server-side bounce, app reset) is recorded as
+ *   back-navigation; flagged fields there are refilled before moving on
+ * - Stops on submit, when the page leaves the form, when the form's container is gone (recorded as
+ *   a failed step), when stuck, or after maxFormSteps steps;
+ *   the per-form result carries multiStep: { steps, totalSteps, stopReason, maxSteps }
  */
 
-const fs = require('fs');
-const path = require('path');
+// Passed into the page as regex sources
+const NEXT = '^(next|continue|proceed|weiter|suivant|siguiente)\\b|^next step|[→»›]\\s*$';
+const BACK = '^(back|previous|prev|go back|zurück|retour|atrás)\\b|^\\s*[←«‹]';
 
-class ReportGenerator {
-  constructor(config, logger) {
-    this.config = config;
-    this.logger = logger;
-  }
+// Runs in the page. Returns the Next element when `handle` is set, otherwise the navigation state.
+function navProbe({ frm, next, back, handle }) {
+  const container = (frm.t === 'form'
+    ? document.querySelectorAll('form')
+    : document.querySelectorAll('div, section, main, article'))[frm.x];
+  if (!container) return null;
 
-  async generateEnhancedReports(results) {
-    try {
-      this.logger.info('📊 Generating enhanced reports...');
-      
-      const outputDir = this.config.get('outputDir', './speedcrawl-output');
-      const formats = this.config.get('formats', ['json', 'jsonl']);
+  const NEXT_RE = new RegExp(next, 'i');
+  const BACK_RE = new RegExp(back, 'i');
+  const text = (el) => (el.textContent || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+  const usable = (b) => b.offsetParent !== null && !b.disabled && b.getAttribute('aria-disabled') !== 'true';
+  const buttons = Array.from(container.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]')).filter(usable);
 
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+  const nextBtn = buttons.find(b => NEXT_RE.test(text(b)) && !BACK_RE.test(text(b))) || null;
+  if (handle) return nextBtn;
 
-      if (formats.includes('json')) {
-        await this.generateJSON(outputDir, results);
-      }
+  const submitBtn = buttons.find(b => b !== nextBtn && !BACK_RE.test(text(b)) &&
+    (b.type === 'submit' || /submit|finish|complete|create|register|sign up|confirm|place order|pay|send|save/i.test(text(b))));
 
-      if (formats.includes('jsonl')) {
-        await this.generateKatanaJSONL(outputDir, results);
+  // Progress: active stepper item, "Step N of M" text, progressbar value
+  const visible = (el) => el && el.offsetParent !== null;
+  const active = Array.from(document.querySelectorAll('[aria-current="step"], .step.active, .steps .active, .stepper .active, .wizard .active'))
+    .find(visible);
+  let current = null;
+  let total = null;
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const m = /step\s+(\d+)\s*(?:of|\/)\s*(\d+)/i.exec(node.nodeValue);
+    if (m && visible(node.parentElement)) { current = Number(m[1]); total = Number(m[2]); break; }
+  }
+  const bar = Array.from(document.querySelectorAll('[role="progressbar"]')).find(visible);
+  const progress = (active || current != null || bar)
+    ? {
+        label: active ? text(active).slice(0, 60) : null,
+        current,
+        total,
+        value: bar ? Number(bar.getAttribute('aria-valuenow')) || null : null,
+        max: bar ? Number(bar.getAttribute('aria-valuemax')) || null : null
       }
+    : null;
 
-      if (formats.includes('http')) {
-        await this.generateHTTPFiles(outputDir, results);
-      }
+  return {
+    next: nextBtn ? {
+      text: text(nextBtn).slice(0, 60),
+      // A submit-type Next inside a <form> posts to the action on every click
+      submits: container.tagName === 'FORM' && nextBtn.type === 'submit',
+      scripted: nextBtn.getAttribute('type') === 'button' || nextBtn.tagName !== 'BUTTON'
+    } : null,
+    hasSubmit: !!submitBtn,
+    progress
+  };
+}
 
-      this.logger.info('✅ Reports generated successfully');
-    } catch (error) {
-      this.logger.error(`Report generation error: ${error.message}`);
-    }
-  }
+// Stable identity of a field across re-discoveries (idx shifts when steps render their own inputs)
+const fieldKey = (f) => (f.name || f.id ? `${f.name}|${f.id}` : `${f.tag}:${f.type}#${f.idx}`);
+const stepKey = (frm) => frm.f.filter(f => f.visible).map(fieldKey).join(',');
 
-  async generateJSON(outputDir, results) {
-    try {
-      const reportPath = path.join(outputDir, 'crawl-report.json');
-      
-      const report = {
-        timestamp: new Date().toISOString(),
-        summary: {
-          pages: results.pages.length,
-          forms: results.forms,
-          fieldsProcessed: results.fieldsProcessed,
-          requests: results.requests?.length || 0,
-          technologies: results.technologies || [],
-          duration: results.duration || 0
-        },
-        pages: results.pages,
-        formData: results.formData || [],
-        requests: results.requests || [],
-        endpoints: results.endpoints || [],
-        technologies: results.technologies || []
-      };
-
-      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-      this.logger.info(`   📄 JSON: ${reportPath}`);
-    } catch (error) {
-      this.logger.error(`JSON generation error: ${error.message}`);
-    }
+class MultiStepFormProcessor {
+  /**
+   * @param {ConfigManager} config
+   * @param {Logger} logger
+   * @param {FormProcessor} forms - supplies discovery, filling, submit and validation helpers
+   */
+  constructor(config, logger, forms) {
+    this.config = config;
+    this.logger = logger;
+    this.forms = forms;
+    this.maxSteps = Number(config.get('maxFormSteps', 5));
   }
 
-  async generateKatanaJSONL(outputDir, results) {
-    try {
-      const jsonlPath = path.join(outputDir, 'requests.jsonl');
-      const lines = [];
-
-      // KATANA/HTTPX FORMAT - exactly like paste.txt
-      const requests = results.requests || [];
-      const technologies = results.technologies || [];
-      
-      for (const req of requests) {
-        if (!req.url || req.url.startsWith('data:') || req.url.startsWith('about:') || req.url.startsWith('chrome')) {
-          continue;
-        }
+  async probe(page, frm) {
+    return page.evaluate(navProbe, { frm: { t: frm.t, x: frm.x }, next: NEXT, back: BACK, handle: false }).catch(() => null);
+  }
 
-        try {
-          const urlObj = new URL(req.url);
-          
-          // Build RAW request format
-          const rawRequest = this.buildRawRequest(req, urlObj);
-          
-          // Build entry in Katana format
-          const entry = {
-            timestamp: new Date(req.timestamp).toISOString(),
-            request: {
-              method: req.method,
-              endpoint: req.url,
-              raw: rawRequest
-            },
-            response: {
-              status_code: req.response?.status || 0,
-              headers: req.response?.headers || {},
-              technologies: technologies,
-              raw: "" // Response body would go here (we don't capture it currently)
-            }
-          };
-
-          lines.push(JSON.stringify(entry));
-        } catch {}
-      }
+  async isWizard(page, frm) {
+    const nav = await this.probe(page, frm);
+    if (!nav || !nav.next) return false;
+    return frm.f.some(f => !f.visible) || !!nav.progress || (nav.next.scripted && !nav.hasSubmit);
+  }
 
-      if (lines.length > 0) {
-        fs.writeFileSync(jsonlPath, lines.join('\n'));
-        this.logger.info(`   📄 JSONL (Katana/httpx): ${jsonlPath} (${lines.length} requests)`);
-      } else {
-        this.logger.warn(`   ⚠️  No requests captured for JSONL output`);
-      }
-    } catch (error) {
-      this.logger.error(`JSONL generation error: ${error.message}`);
-    }
+  /**
+   * Re-discover the form after a step: the same container (type + index) only. null when the page
+   * has no form left; { frm: null } when it has forms but not this one (re-rendered elsewhere).
+   */
+  async snapshot(page, frm) {
+    const found = await this.forms.discoverForms(page).catch(() => []);
+    if (found.length === 0) return null;
+    const current = found.find(f => f.t === frm.t && f.x === frm.x);
+    if (!current) return { frm: null, nav: null };
+    return { frm: current, nav: await this.probe(page, current) };
   }
 
-  buildRawRequest(req, urlObj) {
-    const lines = [];
-    
-    // Request line
-    lines.push(`${req.method} ${urlObj.pathname}${urlObj.search} HTTP/1.1`);
-    lines.push(`Host: ${urlObj.host}`);
-    
-    // Headers
-    if (req.headers) {
-      for (const [key, value] of Object.entries(req.headers)) {
-        if (key.toLowerCase() !== 'host') {
-          lines.push(`${key}: ${value}`);
-        }
-      }
-    }
-    
-    // Empty line before body
-    lines.push('');
-    
-    // Body (POST data)
-    if (req.postData) {
-      lines.push(req.postData);
+  async clickNext(page, frm) {
+    const handle = await page.evaluateHandle(navProbe, { frm: { t: frm.t, x: frm.x }, next: NEXT, back: BACK, handle: true }).catch(() => null);
+    const btn = handle && handle.asElement();
+    if (!btn) return false;
+    const clicked = await this.forms.buttonFinder.tryClickWithRetry(btn, 'wizard-next');
+    if (clicked) {
+      await page.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
+      await page.waitForTimeout(1000);
     }
-    
-    return lines.join('\\r\\n');
+    return clicked;
   }
 
-  async generateHTTPFiles(outputDir, results) {
-    try {
-      const httpDir = path.join(outputDir, 'http-requests');
-      
-      if (!fs.existsSync(httpDir)) {
-        fs.mkdirSync(httpDir, { recursive: true });
+  async process(page, frm, pageUrl) {
+    const forms = this.forms;
+    const store = new Map(); // fieldKey → { field, value }
+    const steps = [];
+    const seen = [];
+    const requests = [];
+    let current = frm;
+    let nav = null;
+    let submitted = false;
+    let skipped = null;
+    let errors = [];
+    let retries = 0;
+    let stopReason = 'max-steps';
+
+    this.logger.info(`   🧭 Wizard form (max ${this.maxSteps} steps)`);
+
+    for (let n = 1; n <= this.maxSteps; n++) {
+      const snap = await this.snapshot(page, current);
+      if (!snap) { stopReason = 'left-form'; break; }
+      // Filling whichever form is left would be a guess
+      if (!snap.frm) {
+        this.logger.warn(`   ⚠️  Step ${n}: wizard container not found`);
+        steps.push({ step: n, progress: null, fields: [], action: null, button: null, requests: [], validationErrors: [], back: false, failed: 'form-not-found' });
+        stopReason = 'form-not-found';
+        break;
       }
+      current = snap.frm;
+      nav = snap.nav;
 
-      const requests = results.requests || [];
-      let fileCount = 0;
+      const key = stepKey(current);
+      // An earlier step again; the same fields with new progress is a new step, not a bounce
+      const back = seen.slice(0, -1).includes(key) && seen[seen.length - 1] !== key;
+      seen.push(key);
+      const step = { step: n, progress: nav?.progress || null, fields: [], action: null, button: null, requests: [], validationErrors: [], back };
+      steps.push(step);
+      if (back) this.logger.info(`   ↩️  Step ${n}: back on an earlier step`);
 
-      for (let i = 0; i < requests.length; i++) {
-        const req = requests[i];
-        
-        if (!req.url || req.url.startsWith('data:') || req.url.startsWith('about:')) {
-          continue;
-        }
+      // Field state for this rendering, keyed by the current idx (what fillForm / refill expect)
+      const values = {};
+      for (const f of current.f) {
+        const stored = store.get(fieldKey(f));
+        if (stored) values[f.idx] = stored.value;
+      }
 
-        try {
-          const httpContent = this.formatHTTPRequest(req);
-          const fileName = `request-${String(i + 1).padStart(3, '0')}.txt`;
-          const filePath = path.join(httpDir, fileName);
+      const plan = {};
+      const files = [];
+      for (const f of current.f) {
+        if (!f.visible || values[f.idx]?.value != null) continue;
+        if (f.type === 'file') files.push(f);
+        else plan[f.idx] = forms.values.generate(f);
+      }
+      const filled = new Set([...Object.keys(plan).map(Number), ...files.map(f => f.idx)]);
 
-          fs.writeFileSync(filePath, httpContent);
-          fileCount++;
-        } catch {}
+      const res = Object.keys(plan).length ? await forms.fillForm(page, current, plan) : null;
+      Object.assign(values, res?.values || {});
+      for (const f of files) values[f.idx] = await forms.attachFile(page, current, f);
+      if (res?.pending?.length) {
+        await page.waitForTimeout(800);
+        const pending = {};
+        res.pending.forEach(idx => { pending[idx] = plan[idx]; });
+        Object.assign(values, (await forms.fillForm(page, current, pending))?.values || {});
       }
 
-      if (fileCount > 0) {
-        this.logger.info(`   📄 HTTP files: ${httpDir}/ (${fileCount} files)`);
+      // Invalid before advancing: browser constraints now, the page's own messages when back
+      let invalid = res?.invalid || [];
+      if (back) invalid = invalid.concat(await forms.validationErrors(page, current));
+      for (let round = 0; invalid.length && round < forms.maxRetries; round++) {
+        invalid.forEach(e => filled.add(e.idx));
+        invalid = await forms.refill(page, current, invalid, values);
       }
-    } catch (error) {
-      this.logger.error(`HTTP file generation error: ${error.message}`);
-    }
-  }
 
-  formatHTTPRequest(req) {
-    try {
-      const url = new URL(req.url);
-      const lines = [];
-      
-      lines.push(`# ${req.method} ${req.url}`);
-      lines.push(`# Captured: ${new Date(req.timestamp).toISOString()}`);
-      lines.push('');
-      lines.push(`${req.method} ${url.pathname}${url.search} HTTP/1.1`);
-      lines.push(`Host: ${url.host}`);
-      
-      if (req.headers) {
-        for (const [key, value] of Object.entries(req.headers)) {
-          if (key.toLowerCase() !== 'host') {
-            lines.push(`${key}: ${value}`);
-          }
+      const remember = () => {
+        for (const f of current.f) if (values[f.idx]) store.set(fieldKey(f), { field: f, value: values[f.idx] });
+        step.fields = current.f.filter(f => filled.has(f.idx) && values[f.idx]).map(f => ({
+          name: f.name, id: f.id, type: f.type, value: values[f.idx].value, source: values[f.idx].source
+        }));
+      };
+      remember();
+      const shown = step.progress?.current ? ` (page says ${step.progress.current}/${step.progress.total})` : '';
+      this.logger.info(`   📄 Step ${n}${shown}: filled ${step.fields.filter(x => x.value != null).length} fields`);
+
+      const action = current.a || page.url();
+      const method = current.m || 'POST';
+      nav = await this.probe(page, current);
+
+      // Last step: submit like a single-page form
+      if (!nav?.next) {
+        step.action = 'submit';
+        if (!forms.scope.allows(action, method)) {
+          this.logger.warn(`   ⛔ Submit skipped, out of scope: ${method} ${action}`);
+          skipped = 'out-of-scope';
+          stopReason = 'out-of-scope';
+          break;
         }
+        const sent = await forms.submitForm(page, current);
+        step.requests.push(...sent.requests);
+        errors = sent.clicked ? await forms.validationErrors(page, current) : [];
+        for (let retry = 1; errors.length && retry <= forms.maxRetries; retry++) {
+          this.logger.info(`   🔁 ${errors.length} field(s) rejected, retry ${retry}/${forms.maxRetries}`);
+          retries++;
+          errors.forEach(e => filled.add(e.idx));
+          await forms.refill(page, current, errors, values);
+          const again = await forms.submitForm(page, current);
+          step.requests.push(...again.requests);
+          errors = again.clicked ? await forms.validationErrors(page, current) : [];
+        }
+        remember();
+        step.validationErrors = errors;
+        requests.push(...step.requests);
+        submitted = sent.clicked;
+        stopReason = !sent.clicked ? (nav?.hasSubmit ? 'submit-failed' : 'no-submit') : errors.length ? 'rejected' : 'submitted';
+        break;
       }
 
-      lines.push('');
+      step.action = 'next';
+      step.button = nav.next.text;
+      if (nav.next.submits && !forms.scope.allows(action, method)) {
+        this.logger.warn(`   ⛔ Next skipped, posts out of scope: ${method} ${action}`);
+        skipped = 'out-of-scope';
+        stopReason = 'out-of-scope';
+        break;
+      }
 
-      if (req.postData) {
-        lines.push(req.postData);
+      // Next; when the step does not change, fix what the page flags and press it again
+      let advanced = false;
+      for (let attempt = 0; ; attempt++) {
+        const { result: clicked, requests: sent } = await forms.trackRequests(page, () => this.clickNext(page, current));
+        step.requests.push(...sent);
+        if (!clicked) break;
+        const after = await this.snapshot(page, current);
+        advanced = !after || !after.frm || stepKey(after.frm) !== key ||
+          JSON.stringify(after.nav?.progress || null) !== JSON.stringify(step.progress);
+        if (advanced || attempt >= forms.maxRetries) break;
+        errors = await forms.validationErrors(page, current);
+        step.validationErrors = errors;
+        if (errors.length === 0) break;
+        this.logger.info(`   🔁 Step ${n}: ${errors.length} field(s) rejected, retry ${attempt + 1}/${forms.maxRetries}`);
+        errors.forEach(e => filled.add(e.idx));
+        await forms.refill(page, current, errors, values);
+        retries++;
       }
+      remember();
+      requests.push(...step.requests);
+      if (!advanced) {
+        this.logger.warn(`   ⚠️  Step ${n}: Next did not advance`);
+        stopReason = 'stuck';
+        break;
+      }
+      errors = [];
+    }
 
-      return lines.join('\n');
-    } catch {
-      return '';
+    // One field list across all steps (later steps may render inputs the first snapshot never had)
+    const merged = [];
+    const values = {};
+    for (const f of frm.f) {
+      const entry = store.get(fieldKey(f));
+      merged.push(f);
+      if (entry) values[f.idx] = entry.value;
+    }
+    for (const [k, entry] of store) {
+      if (frm.f.some(f => fieldKey(f) === k)) continue;
+      const f = { ...entry.field, idx: merged.length };
+      merged.push(f);
+      values[f.idx] = entry.value;
     }
+
+    const fieldsProcessed = Object.values(values).filter(v => v.value != null).length;
+    this.logger.info(`   🧭 Wizard: ${steps.length} step(s), ${fieldsProcessed} fields, ${stopReason}`);
+    const totalSteps = steps.map(s => s.progress?.total).find(Boolean) || null;
+
+    return forms.formResult({ ...frm, f: merged }, pageUrl, {
+      fieldsProcessed,
+      submitted,
+      ...(skipped ? { skipped } : {}),
+      retries,
+      validationErrors: errors,
+      requests,
+      multiStep: { steps, totalSteps, stopReason, maxSteps: this.maxSteps }
+    }, values);
   }
 }
 
-module.exports = { ReportGenerator };
+module.exports = { MultiStepFormProcessor };
@@ -0,0 +1,421 @@
+// src/forms/OTPManager.js
+/**
+ * SpeedCrawl Pro v22.2 - OTPManager (pluggable one-time-code providers for workflows)
+ * - Providers: static (fixed code / env var), smtp (local SMTP sink, e.g. a staging catch-all relay),
+ *   sms (webhook endpoint and/or file drop written by an SMS gateway stand-in),
+ *   network (regex over XHR/fetch responses on the workflow page; many apps echo the code in JSON)
+ * - Chosen per workflow type (otp_flow, login_flow, ...) from the --otp file, falling back to `default`
+ * - Lifecycle: each workflow gets its own OTPSession; arm() right before the code is requested,
+ *   waitForCode() once the OTP field is up; only messages that arrive after arm() count, newest
+ *   first, and a message is used by one session only
+ * - Providers (and their SMTP / webhook listeners) are shared between concurrent workflows; they are
+ *   started lazily on first use and closed by stop()
+ */
+
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const YAML = require('yaml');
+
+const TYPES = ['static', 'smtp', 'sms', 'network'];
+
+// Keyword-anchored code first, then a bare 6-digit number
+const DEFAULT_PATTERNS = [
+  /(?:code|otp|pin|passcode|password|verification)\D{0,40}?\b(\d{4,8})\b/i,
+  /\b(\d{6})\b/
+];
+const NETWORK_PATTERN = /"(?:otp|otp_?code|code|verification_?code|one_?time_?(?:code|password)|pin)"\s*:\s*"?(\d{4,8})/i;
+
+class OTPProvider {
+  constructor(spec, logger) {
+    this.spec = spec;
+    this.logger = logger;
+    this.type = spec.type;
+    this.timeout = Number(spec.timeout ?? 30000);
+    this.pollMs = Number(spec.poll ?? 500);
+    this.patterns = spec.pattern ? [new RegExp(spec.pattern, 'i')] : DEFAULT_PATTERNS;
+    this.messages = [];
+    this.seq = 0;
+    this.used = new WeakSet();
+  }
+
+  async start() {}
+
+  async stop() {}
+
+  session() {
+    return new OTPSession(this);
+  }
+
+  // Per-session listener on the workflow page; returns a detach function
+  listen() {
+    return null;
+  }
+
+  async waitForCode(session) {
+    const deadline = Date.now() + this.timeout;
+    try {
+      while (Date.now() < deadline) {
+        await this.poll();
+        const code = this.find(session);
+        if (code) return code;
+        await new Promise(r => setTimeout(r, this.pollMs));
+      }
+      return null;
+    } finally {
+      session.disarm();
+    }
+  }
+
+  async poll() {}
+
+  receive(text, to = [], into = this.messages) {
+    into.push({ seq: ++this.seq, to: to.map(t => String(t).toLowerCase()), text: String(text || '') });
+    if (into.length > 200) into.shift();
+  }
+
+  find(session) {
+    const fresh = [...this.messages, ...session.messages]
+      .filter(m => m.seq > session.since && !this.used.has(m) && this.forRecipient(m, session.recipient))
+      .sort((a, b) => b.seq - a.seq);
+    for (const m of fresh) {
+      const code = this.extract(m.text);
+      if (code) {
+        this.used.add(m);
+        return code;
+      }
+    }
+    return null;
+  }
+
+  // Messages without recipients (network, file drops) always match
+  forRecipient(message, recipient) {
+    if (!recipient || message.to.length === 0 || this.spec.matchRecipient === false) return true;
+    const digits = recipient.replace(/\D/g, '');
+    return message.to.some(t => t === recipient ||
+      (digits.length >= 7 && t.replace(/\D/g, '').endsWith(digits.slice(-10))));
+  }
+
+  extract(text) {
+    for (const rx of this.patterns) {
+      const m = rx.exec(text);
+      if (m) return m[1] || m[0];
+    }
+    return null;
+  }
+}
+
+// One workflow's view of a shared provider: what it is waiting for and since when
+class OTPSession {
+  constructor(provider) {
+    this.provider = provider;
+    this.type = provider.type;
+    this.since = 0;
+    this.recipient = null;
+    this.messages = [];
+    this.detach = null;
+  }
+
+  // Called right before the site is asked to send a code
+  async arm({ recipient = null, page = null } = {}) {
+    this.disarm();
+    // Whatever is already waiting in a drop belongs to earlier requests
+    await this.provider.poll().catch(() => {});
+    this.since = this.provider.seq;
+    this.recipient = recipient ? String(recipient).toLowerCase() : null;
+    this.messages = [];
+    if (page) this.detach = this.provider.listen(this, page);
+  }
+
+  disarm() {
+    if (this.detach) this.detach();
+    this.detach = null;
+  }
+
+  waitForCode() {
+    return this.provider.waitForCode(this);
+  }
+}
+
+class StaticOTPProvider extends OTPProvider {
+  async waitForCode() {
+    return String(this.spec.env ? process.env[this.spec.env] : this.spec.code);
+  }
+}
+
+// Minimal SMTP receiver: accepts any sender/recipient, no auth, no TLS
+class SMTPSinkOTPProvider extends OTPProvider {
+  async start() {
+    const host = this.spec.host || '127.0.0.1';
+    const port = Number(this.spec.port ?? 2525);
+    this.sockets = new Set();
+    this.server = net.createServer(socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+      this.handleConnection(socket);
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.server.unref();
+    this.logger.info(`📬 OTP SMTP sink listening on ${host}:${port}`);
+  }
+
+  handleConnection(socket) {
+    let buf = '';
+    let data = null;
+    let to = [];
+    const reply = line => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    reply('220 speedcrawl OTP sink ESMTP');
+
+    socket.on('data', chunk => {
+      buf += chunk;
+      for (;;) {
+        if (data !== null) {
+          const scan = data === '' ? `\r\n${buf}` : buf;
+          const end = scan.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          data += scan.slice(0, end);
+          buf = scan.slice(end + 5);
+          this.receive(this.decode(data.replace(/\r\n\.\./g, '\r\n.')), to);
+          this.logger.debug(`📬 Mail received for ${to.join(', ') || 'unknown recipient'}`);
+          data = null;
+          to = [];
+          reply('250 OK: queued');
+          continue;
+        }
+        const nl = buf.indexOf('\r\n');
+        if (nl === -1) return;
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') reply('250 speedcrawl');
+        else if (cmd === 'MAIL' || cmd === 'RSET') { to = []; reply('250 OK'); }
+        else if (cmd === 'RCPT') {
+          const m = line.match(/<([^>]*)>/);
+          if (m) to.push(m[1]);
+          reply('250 OK');
+        } else if (cmd === 'DATA') { data = ''; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (cmd === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+        else if (cmd === 'NOOP') reply('250 OK');
+        else reply('502 Command not implemented');
+      }
+    });
+  }
+
+  // Subject plus every text part, with base64 / quoted-printable undone and HTML stripped
+  decode(raw) {
+    const subject = (raw.match(/^Subject:\s*(.*)$/im) || [])[1] || '';
+    const parts = raw.split(/\r?\n--[^\r\n]+/).map(part => {
+      const split = part.search(/\r?\n\r?\n/);
+      if (split === -1) return part;
+      const head = part.slice(0, split);
+      const body = part.slice(split).trim();
+      if (/content-transfer-encoding:\s*base64/i.test(head)) {
+        return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+      }
+      if (/content-transfer-encoding:\s*quoted-printable/i.test(head)) {
+        return body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
+      }
+      return body;
+    });
+    return `${subject}\n${parts.join('\n')}`.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/[ \t]+/g, ' ');
+  }
+
+  async stop() {
+    if (!this.server) return;
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+// SMS stand-in: gateway POSTs to the webhook (JSON, form-encoded or text) and/or appends to a file drop
+class SMSDropOTPProvider extends OTPProvider {
+  async start() {
+    const hook = this.spec.webhook;
+    if (hook) {
+      const host = hook.host || '127.0.0.1';
+      const port = Number(hook.port ?? 8025);
+      const route = hook.path || '/sms';
+      this.server = http.createServer((req, res) => {
+        if (req.method !== 'POST' || req.url.split('?')[0] !== route) {
+          res.writeHead(404).end();
+          return;
+        }
+        let body = '';
+        req.on('data', c => { if (body.length < 65536) body += c; });
+        req.on('end', () => {
+          this.receiveSMS(body, req.headers['content-type'] || '');
+          res.writeHead(204).end();
+        });
+      });
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(port, host, resolve);
+      });
+      this.server.unref();
+      this.logger.info(`📱 OTP SMS webhook listening on http://${host}:${port}${route}`);
+    }
+    // Start reading the drop where it ends now, so old codes are not reused
+    this.offsets = new Map();
+    for (const file of this.dropFiles()) {
+      try { this.offsets.set(file, fs.statSync(file).size); } catch {}
+    }
+  }
+
+  receiveSMS(body, contentType) {
+    let text = body;
+    let to = [];
+    try {
+      if (/json/i.test(contentType) || /^\s*\{/.test(body)) {
+        const j = JSON.parse(body);
+        text = j.body ?? j.Body ?? j.text ?? j.message ?? j.content ?? body;
+        to = [j.to ?? j.To ?? j.phone].filter(Boolean);
+      } else if (/x-www-form-urlencoded/i.test(contentType)) {
+        const q = new URLSearchParams(body);
+        text = q.get('Body') || q.get('body') || q.get('text') || q.get('message') || body;
+        to = [q.get('To') || q.get('to')].filter(Boolean);
+      }
+    } catch {}
+    this.receive(text, to);
+  }
+
+  async poll() {
+    if (!this.spec.file) return;
+    for (const file of this.dropFiles()) {
+      try {
+        const size = fs.statSync(file).size;
+        const from = this.offsets.get(file) ?? 0;
+        if (size <= from) continue;
+        const fd = fs.openSync(file, 'r');
+        const chunk = Buffer.alloc(size - from);
+        fs.readSync(fd, chunk, 0, chunk.length, from);
+        fs.closeSync(fd);
+        this.offsets.set(file, size);
+        chunk.toString('utf8').split(/\r?\n/).filter(Boolean).forEach(line => this.receiveSMS(line, ''));
+      } catch {}
+    }
+  }
+
+  dropFiles() {
+    const target = path.resolve(this.spec.file);
+    try {
+      if (fs.statSync(target).isDirectory()) return fs.readdirSync(target).map(f => path.join(target, f));
+      return [target];
+    } catch {
+      return [];
+    }
+  }
+
+  async stop() {
+    if (!this.server) return;
+    if (this.server.closeAllConnections) this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+// Codes leaked in API responses on the workflow's own page
+class NetworkOTPProvider extends OTPProvider {
+  constructor(spec, logger) {
+    super(spec, logger);
+    if (!spec.pattern) this.patterns = [NETWORK_PATTERN, ...DEFAULT_PATTERNS.slice(0, 1)];
+  }
+
+  // Responses go to the session's own buffer, so workflows on other pages never see them
+  listen(session, page) {
+    const onResponse = async (res) => {
+      try {
+        if (!['xhr', 'fetch'].includes(res.request().resourceType())) return;
+        if (!/json|text|javascript/i.test(res.headers()['content-type'] || '')) return;
+        const body = await res.text();
+        if (body.length < 200000) this.receive(body, [], session.messages);
+      } catch {}
+    };
+    page.on('response', onResponse);
+    return () => page.off('response', onResponse);
+  }
+}
+
+const PROVIDERS = {
+  static: StaticOTPProvider,
+  smtp: SMTPSinkOTPProvider,
+  sms: SMSDropOTPProvider,
+  network: NetworkOTPProvider
+};
+
+class OTPManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.settings = config.get('otp') || {};
+    this.providers = new Map();
+  }
+
+  /**
+   * Parse and validate an --otp file (YAML or JSON).
+   * Either a single provider spec, or { default, workflows: { <workflow type>: spec } }.
+   */
+  static loadConfig(file) {
+    const raw = fs.readFileSync(path.resolve(file), 'utf8');
+    const parsed = /\.json$/i.test(file) ? JSON.parse(raw) : YAML.parse(raw);
+    const settings = parsed && parsed.type ? { default: parsed } : (parsed || {});
+    const specs = [['default', settings.default], ...Object.entries(settings.workflows || {})].filter(([, spec]) => spec);
+    if (specs.length === 0) throw new Error('otp config has no providers');
+
+    for (const [name, spec] of specs) {
+      if (!TYPES.includes(spec.type)) throw new Error(`otp ${name}: type must be one of ${TYPES.join(', ')}`);
+      if (spec.type === 'static' && spec.code == null && !spec.env) throw new Error(`otp ${name}: static needs "code" or "env"`);
+      if (spec.type === 'static' && spec.env && process.env[spec.env] == null) {
+        throw new Error(`otp ${name}: environment variable ${spec.env} is not set`);
+      }
+      if (spec.type === 'sms' && !spec.file && !spec.webhook) throw new Error(`otp ${name}: sms needs "file" and/or "webhook"`);
+      if (spec.pattern) {
+        try { new RegExp(spec.pattern); } catch (e) { throw new Error(`otp ${name}: bad pattern (${e.message})`); }
+      }
+    }
+    return settings;
+  }
+
+  // Provider for a workflow type; without configuration the historic static 123456
+  async forWorkflow(type) {
+    const spec = (this.settings.workflows || {})[type] || this.settings.default || { type: 'static', code: '123456' };
+    const key = JSON.stringify(spec);
+    if (!this.providers.has(key)) {
+      const provider = new PROVIDERS[spec.type](spec, this.logger);
+      this.providers.set(key, provider.start().then(() => provider).catch(e => {
+        this.logger.warn(`⚠️ OTP provider ${spec.type} failed to start: ${e.message}`);
+        return null;
+      }));
+    }
+    return this.providers.get(key);
+  }
+
+  // A fresh session per workflow run; the provider behind it is shared
+  async session(type) {
+    const provider = await this.forWorkflow(type);
+    return provider ? provider.session() : null;
+  }
+
+  describe() {
+    const parts = [];
+    if (this.settings.default) parts.push(`default=${this.settings.default.type}`);
+    for (const [type, spec] of Object.entries(this.settings.workflows || {})) parts.push(`${type}=${spec.type}`);
+    return parts.join(', ');
+  }
+
+  async stop() {
+    for (const pending of this.providers.values()) {
+      const provider = await pending;
+      if (provider) await provider.stop().catch(() => {});
+    }
+    this.providers.clear();
+  }
+}
+
+module.exports = { OTPManager, OTPProvider, OTPSession, StaticOTPProvider, SMTPSinkOTPProvider, SMSDropOTPProvider, NetworkOTPProvider };
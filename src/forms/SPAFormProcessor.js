@@ -18,7 +18,7 @@ class SPAFormProcessor extends EventEmitter {
       // Just call the main form processor ONCE
       const result = await formProcessor.processForm(page);
       
-      return { processed: result.fieldsProcessed > 0 ? 1 : 0 };
+      return { processed: (result.forms || []).filter(f => f.fieldsProcessed > 0).length };
 
     } catch (error) {
       this.logger.debug(`SPA processing error: ${error.message}`);
@@ -0,0 +1,223 @@
+// src/forms/SampleFiles.js
+/**
+ * SpeedCrawl Pro v22.2 - SampleFiles (upload payloads for type=file inputs)
+ * - Picks a file kind from the input's `accept` attribute (extensions, MIME types, type/* wildcards)
+ * - Generates small but structurally valid files: PNG, JPEG, PDF, CSV, DOCX, plain text
+ * - Files live in one temp directory per run, created lazily and removed by cleanup()
+ * - Accept lists with no known kind get a text file carrying the first requested extension,
+ *   reported (and sent) as text/plain since that is what it contains
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const KINDS = {
+  png: { ext: '.png', contentType: 'image/png' },
+  jpeg: { ext: '.jpg', contentType: 'image/jpeg' },
+  pdf: { ext: '.pdf', contentType: 'application/pdf' },
+  csv: { ext: '.csv', contentType: 'text/csv' },
+  docx: { ext: '.docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  txt: { ext: '.txt', contentType: 'text/plain' }
+};
+
+// accept token → kinds it allows, in preference order
+const ACCEPT = {
+  '.png': ['png'], 'image/png': ['png'],
+  '.jpg': ['jpeg'], '.jpeg': ['jpeg'], 'image/jpeg': ['jpeg'], 'image/jpg': ['jpeg'],
+  'image/*': ['png', 'jpeg'],
+  '.pdf': ['pdf'], 'application/pdf': ['pdf'],
+  '.csv': ['csv'], 'text/csv': ['csv'], 'application/vnd.ms-excel': ['csv'],
+  '.docx': ['docx'], '.doc': ['docx'], 'application/msword': ['docx'],
+  [KINDS.docx.contentType]: ['docx'],
+  '.txt': ['txt'], 'text/plain': ['txt'], 'text/*': ['txt', 'csv']
+};
+
+const TEXT = 'SpeedCrawl sample upload';
+
+let CRC_TABLE = null;
+function crc32(buf) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+class SampleFiles {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.dir = null;
+    this.cache = new Map();
+  }
+
+  // Kinds acceptable for an accept attribute; empty/absent accept allows everything
+  kindsFor(accept) {
+    const tokens = String(accept || '').toLowerCase().split(',').map(t => t.trim()).filter(Boolean);
+    if (tokens.length === 0) return { kinds: ['png', 'pdf', 'txt'], ext: null };
+    const kinds = [];
+    for (const t of tokens) (ACCEPT[t] || []).forEach(k => { if (!kinds.includes(k)) kinds.push(k); });
+    return { kinds, ext: tokens.find(t => t.startsWith('.')) || null };
+  }
+
+  /**
+   * File for an input, rotating through acceptable kinds on later attempts.
+   * @returns {{ path: string, name: string, contentType: string, size: number }|null}
+   */
+  forAccept(accept, attempt = 0) {
+    const { kinds, ext } = this.kindsFor(accept);
+    try {
+      if (kinds.length) return this.create(kinds[attempt % kinds.length]);
+      return this.create('txt', ext || '.txt');
+    } catch (e) {
+      this.logger.debug(`Sample file generation failed (${accept}): ${e.message}`);
+      return null;
+    }
+  }
+
+  create(kind, ext = KINDS[kind].ext) {
+    const key = `${kind}${ext}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    if (!this.dir) this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'speedcrawl-uploads-'));
+    const name = `speedcrawl-sample${ext}`;
+    const data = this[kind]();
+    const file = { path: path.join(this.dir, name), name, contentType: KINDS[kind].contentType, size: data.length };
+    fs.writeFileSync(file.path, data);
+    this.cache.set(key, file);
+    return file;
+  }
+
+  // 1x1 RGB
+  png() {
+    const chunk = (type, body) => {
+      const len = Buffer.alloc(4);
+      len.writeUInt32BE(body.length);
+      const crc = Buffer.alloc(4);
+      crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), body])));
+      return Buffer.concat([len, Buffer.from(type), body, crc]);
+    };
+    const ihdr = Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0]);
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', ihdr),
+      chunk('IDAT', zlib.deflateSync(Buffer.from([0, 0x33, 0x66, 0x99]))),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  // 8x8 mid-grey baseline JPEG: one block, DC diff 0 and EOB, each coded with a 1-bit Huffman code
+  jpeg() {
+    const seg = (marker, body) => Buffer.concat([Buffer.from([0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff]), Buffer.from(body)]);
+    const oneCodeTable = (tcth) => [tcth, 1, ...new Array(15).fill(0), 0x00];
+    return Buffer.concat([
+      Buffer.from([0xff, 0xd8]),
+      seg(0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+      seg(0xdb, [0x00, ...new Array(64).fill(1)]),
+      seg(0xc0, [8, 0, 8, 0, 8, 1, 1, 0x11, 0]),
+      seg(0xc4, oneCodeTable(0x00)),
+      seg(0xc4, oneCodeTable(0x10)),
+      seg(0xda, [1, 1, 0x00, 0, 63, 0]),
+      Buffer.from([0x3f, 0xff, 0xd9])
+    ]);
+  }
+
+  pdf() {
+    const stream = `BT /F1 12 Tf 20 50 Td (${TEXT}) Tj ET`;
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 100] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const at = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return at;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+  }
+
+  csv() {
+    return Buffer.from('id,name,email\n1,Test User,test@example.com\n2,Sample Row,sample@example.com\n');
+  }
+
+  txt() {
+    return Buffer.from(`${TEXT}\n`);
+  }
+
+  // Minimal WordprocessingML package in a stored (uncompressed) zip
+  docx() {
+    return this.zip([
+      ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'],
+      ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'],
+      ['word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>${TEXT}</w:t></w:r></w:p></w:body></w:document>`]
+    ]);
+  }
+
+  zip(entries) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, content] of entries) {
+      const nameBuf = Buffer.from(name);
+      const data = Buffer.from(content);
+      const crc = crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(0x21, 12); // 1980-01-01
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(data.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(nameBuf.length, 26);
+      locals.push(local, nameBuf, data);
+
+      const dir = Buffer.alloc(46);
+      dir.writeUInt32LE(0x02014b50, 0);
+      dir.writeUInt16LE(20, 4);
+      dir.writeUInt16LE(20, 6);
+      dir.writeUInt16LE(0x21, 14);
+      dir.writeUInt32LE(crc, 16);
+      dir.writeUInt32LE(data.length, 20);
+      dir.writeUInt32LE(data.length, 24);
+      dir.writeUInt16LE(nameBuf.length, 28);
+      dir.writeUInt32LE(offset, 42);
+      central.push(dir, nameBuf);
+
+      offset += local.length + nameBuf.length + data.length;
+    }
+    const centralBuf = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralBuf.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, centralBuf, end]);
+  }
+
+  cleanup() {
+    if (!this.dir) return;
+    try { fs.rmSync(this.dir, { recursive: true, force: true }); } catch {}
+    this.dir = null;
+    this.cache.clear();
+  }
+}
+
+module.exports = { SampleFiles };
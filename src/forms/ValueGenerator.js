@@ -0,0 +1,447 @@
+// src/forms/ValueGenerator.js
+/**
+ * SpeedCrawl Pro v22.2 - ValueGenerator (constraint-aware form values)
+ * - Built on FakerFactory.createFaker (locale, seed and refDate honoured)
+ * - Reads HTML5 constraints: type, pattern, minlength/maxlength, min/max/step, select options
+ * - Semantic hints from name/id, label, placeholder, autocomplete, aria-label/aria-describedby, title
+ * - Values are checked against `pattern` (HTML semantics: whole-value match) and regenerated from
+ *   the pattern itself when the semantic guess does not fit
+ * - attempt > 0 walks an adjustment ladder and folds the page's validation message into the hints
+ * - Sources: custom (--input), faker, pattern, constraint, default
+ */
+
+const { createFaker } = require('../utils/FakerFactory');
+const { SeededRandom } = require('../utils/SeededRandom');
+
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i));
+const DIGITS = '0123456789'.split('');
+const WORD = [...'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ', ...DIGITS, '_'];
+const SPACE = [' '];
+
+// Values used when faker is disabled (useFaker: false) or unavailable
+const STATIC = {
+  email: 'test@example.com', password: 'Passw0rd!2024', phone: '9876543210', otp: '123456',
+  firstName: 'Test', lastName: 'User', fullName: 'Test User', username: 'testuser',
+  company: 'Example Ltd', url: 'https://example.com', street: '1 Main Street', city: 'Springfield',
+  state: 'CA', country: 'US', zip: '90210', search: 'test', amount: '100', card: '4111111111111111',
+  cvv: '123', expiry: '12/30', message: 'This is a test message.', text: 'test123'
+};
+
+// Checked in order; first hit wins. autocomplete tokens are matched as whole words.
+const KINDS = [
+  ['otp', /\b(one-time-code|otp|verification code|verify code|pin)\b/],
+  ['email', /e-?mail/],
+  ['password', /pass(word)?|pwd|secret/],
+  ['card', /\b(cc-number|card ?number|credit ?card)\b/],
+  ['cvv', /\b(cvv|cvc|cc-csc|security code)\b/],
+  ['expiry', /\b(cc-exp|expir)/],
+  ['phone', /phone|mobile|\btel\b|cell|whatsapp/],
+  ['firstName', /first.?name|given.?name|fname/],
+  ['lastName', /last.?name|family.?name|surname|lname/],
+  ['username', /user.?name|login|handle|nick/],
+  ['fullName', /\bname\b|full.?name/],
+  ['company', /company|organi[sz]ation|employer/],
+  ['url', /\burl\b|website|homepage|link/],
+  ['zip', /zip|postal|post.?code|pin.?code/],
+  ['street', /street|address|addr/],
+  ['city', /city|town/],
+  ['state', /state|province|region/],
+  ['country', /country/],
+  ['age', /\bage\b/],
+  ['dob', /birth|\bdob\b|bday/],
+  ['amount', /amount|price|qty|quantity|total/],
+  ['search', /search|query|\bq\b|keyword/],
+  ['message', /message|comment|description|feedback|bio|about|note/]
+];
+
+class ValueGenerator {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.useFaker = config.get('useFaker') !== false;
+    this.faker = this.useFaker ? createFaker(config, logger) : null;
+    this.random = SeededRandom.for(config, 'values');
+    this.custom = config.get('customInputData') || {};
+  }
+
+  /**
+   * @param {object} field  discovery metadata (name, id, tag, type, pattern, min, max, ...)
+   * @param {{ attempt?: number, hint?: string }} [opts]
+   * @returns {{ value: any, source: string, pick?: number }}
+   */
+  generate(field, { attempt = 0, hint = '' } = {}) {
+    const custom = this.customValue(field);
+    if (custom != null && attempt === 0) return { value: String(custom), source: 'custom' };
+
+    const type = String(field.type || 'text').toLowerCase();
+    if (field.tag === 'select') {
+      const opts = (field.options || []).filter(o => o.value !== '');
+      const opt = opts.length ? opts[attempt % opts.length] : null;
+      return { value: opt ? opt.value : null, pick: attempt, source: 'default' };
+    }
+    if (type === 'checkbox' || type === 'radio') return { value: true, source: 'default' };
+    if (type === 'file') return { value: null, source: 'skipped' };
+    if (type === 'number' || type === 'range') return { value: this.number(field, attempt), source: 'constraint' };
+    if (['date', 'datetime-local', 'month', 'week', 'time'].includes(type)) {
+      return { value: this.date(field, type, attempt), source: 'constraint' };
+    }
+    if (type === 'color') return { value: `#${this._hex(6)}`, source: 'default' };
+
+    const kind = this.kind(field, hint, type);
+    let value = this.semantic(kind, field, attempt);
+    let source = this.faker ? 'faker' : 'default';
+
+    if (field.pattern && !this.matchesPattern(value, field.pattern)) {
+      const fromPattern = this.fromPattern(field.pattern, field);
+      if (fromPattern != null) {
+        value = fromPattern;
+        source = 'pattern';
+      }
+    }
+
+    const fitted = this.fitLength(value, field, kind);
+    if (fitted !== value) {
+      value = fitted;
+      source = source === 'pattern' ? 'pattern' : 'constraint';
+    }
+    return { value, source };
+  }
+
+  customValue(field) {
+    const key = (field.name || field.id || '').toLowerCase();
+    if (key && this.custom[key] != null) return this.custom[key];
+    if (field.name && this.custom[field.name] != null) return this.custom[field.name];
+    if (field.id && this.custom[field.id] != null) return this.custom[field.id];
+    return null;
+  }
+
+  kind(field, hint = '', type = 'text') {
+    if (type === 'email') return 'email';
+    if (type === 'password') return 'password';
+    if (type === 'tel') return 'phone';
+    if (type === 'url') return 'url';
+    if (type === 'search') return 'search';
+
+    // The page's own validation message outranks what the field is called
+    const fromHint = hint ? this._classify(String(hint).toLowerCase()) : null;
+    if (fromHint) return fromHint;
+
+    const hay = [
+      field.autocomplete, field.name, field.id, field.label, field.placeholder,
+      field.ariaLabel, field.ariaDescription, field.title
+    ].filter(Boolean).join(' ').toLowerCase();
+    const kind = this._classify(hay);
+    if (kind) return kind;
+    if (field.tag === 'textarea') return 'message';
+    if (field.inputMode === 'numeric') return 'digits';
+    return 'text';
+  }
+
+  _classify(text) {
+    if (/\b(digits?|numeric|numbers? only)\b/.test(text)) return 'digits';
+    for (const [kind, rx] of KINDS) if (rx.test(text)) return kind;
+    return null;
+  }
+
+  // attempt 0: realistic value; later attempts fall back to simpler shapes validators accept
+  semantic(kind, field, attempt = 0) {
+    const f = this.faker;
+    const pick = (fn, fallback) => {
+      if (!f) return fallback;
+      try { return String(fn()); } catch { return fallback; }
+    };
+    const maxLen = Number(field.maxLength) || 0;
+    switch (kind) {
+      case 'email': return attempt > 0 ? `qa${this._digits(4)}@example.com` : pick(() => f.internet.email(), STATIC.email);
+      case 'password': return `Aa1!${pick(() => f.string.alphanumeric(8), 'x9Kp2mQa')}`;
+      case 'otp': return this._digits(maxLen && maxLen < 6 ? maxLen : 6);
+      case 'phone': return attempt > 1 ? `+1${this._digits(10)}` : pick(() => f.string.numeric(10), STATIC.phone);
+      case 'firstName': return pick(() => f.person.firstName(), STATIC.firstName);
+      case 'lastName': return pick(() => f.person.lastName(), STATIC.lastName);
+      case 'fullName': return pick(() => f.person.fullName(), STATIC.fullName);
+      case 'username': return pick(() => f.internet.userName().replace(/[^A-Za-z0-9_]/g, ''), STATIC.username);
+      case 'company': return pick(() => f.company.name(), STATIC.company);
+      case 'url': return pick(() => f.internet.url(), STATIC.url);
+      case 'zip': return pick(() => f.location.zipCode('#####'), STATIC.zip);
+      case 'street': return pick(() => f.location.streetAddress(), STATIC.street);
+      case 'city': return pick(() => f.location.city(), STATIC.city);
+      case 'state': return pick(() => f.location.state({ abbreviated: true }), STATIC.state);
+      case 'country': return pick(() => f.location.countryCode(), STATIC.country);
+      case 'age': return String(this._int(18, 65));
+      case 'dob': return '1990-01-15';
+      case 'amount': return String(this._int(10, 500));
+      case 'card': return STATIC.card;
+      case 'cvv': return STATIC.cvv;
+      case 'expiry': return STATIC.expiry;
+      case 'search': return pick(() => f.lorem.word(), STATIC.search);
+      case 'message': return pick(() => f.lorem.sentence(), STATIC.message);
+      case 'digits': return this._digits(Math.max(Number(field.minLength) || 0, Math.min(maxLen || 6, 6)));
+      default:
+        if (attempt === 1) return pick(() => f.string.alphanumeric(8), 'test1234');
+        if (attempt >= 2) return this._digits(6);
+        return pick(() => f.lorem.words(2), STATIC.text);
+    }
+  }
+
+  number(field, attempt = 0) {
+    const min = this._num(field.min);
+    const max = this._num(field.max);
+    const step = field.step === 'any' ? null : (this._num(field.step) || 1);
+    const lo = min != null ? min : (max != null ? Math.min(1, max) : 1);
+    const hi = max != null ? max : lo + 100;
+
+    let v;
+    if (attempt === 1) v = lo;
+    else if (attempt >= 2) v = hi;
+    else v = lo + (hi - lo) / 2;
+
+    if (step) {
+      const base = min != null ? min : 0;
+      v = base + Math.round((v - base) / step) * step;
+      if (v > hi) v -= step;
+      if (v < lo) v += step;
+    }
+    const decimals = step && !Number.isInteger(step) ? String(step).split('.')[1].length : 0;
+    return decimals ? v.toFixed(decimals) : String(Math.round(v));
+  }
+
+  date(field, type, attempt = 0) {
+    const min = this._parseDate(field.min, type);
+    const max = this._parseDate(field.max, type);
+    // fakerRefDate (pinned by --seed) stands in for today so seeded runs pick the same dates
+    const ref = this.config.get('fakerRefDate');
+    const now = (ref && new Date(ref).getTime()) || Date.now();
+    let t;
+    if (min != null && max != null) t = attempt === 1 ? min : attempt >= 2 ? max : min + (max - min) / 2;
+    else if (min != null) t = min + (attempt > 0 ? 0 : 7 * 864e5);
+    else if (max != null) t = max - (attempt > 0 ? 0 : 7 * 864e5);
+    else t = /birth|dob|bday/i.test(`${field.name} ${field.id} ${field.label || ''} ${field.autocomplete || ''}`) ? Date.UTC(1990, 0, 15) : now + 7 * 864e5;
+
+    const d = new Date(t);
+    const p = n => String(n).padStart(2, '0');
+    const ymd = `${d.getUTCFullYear()}-${p(d.getUTCMonth() + 1)}-${p(d.getUTCDate())}`;
+    const hm = `${p(d.getUTCHours())}:${p(d.getUTCMinutes())}`;
+    if (type === 'time') return min == null && max == null ? '10:30' : hm;
+    if (type === 'month') return ymd.slice(0, 7);
+    if (type === 'datetime-local') return `${ymd}T${hm}`;
+    if (type === 'week') {
+      const jan4 = new Date(Date.UTC(d.getUTCFullYear(), 0, 4));
+      const week = Math.max(1, Math.min(52, Math.ceil(((d - jan4) / 864e5 + jan4.getUTCDay() + 1) / 7)));
+      return `${d.getUTCFullYear()}-W${p(week)}`;
+    }
+    return ymd;
+  }
+
+  fitLength(value, field, kind) {
+    let v = String(value ?? '');
+    const min = Number(field.minLength) || 0;
+    const max = Number(field.maxLength) || 0;
+    if (max && v.length > max) {
+      v = kind === 'email' && max >= 8 ? `a${this._digits(Math.max(1, max - 7))}@ex.io`.slice(0, max) : v.slice(0, max);
+    }
+    if (min && v.length < min) {
+      const pad = (kind === 'digits' || kind === 'phone' || kind === 'otp') ? this._digits(min - v.length) : 'x'.repeat(min - v.length);
+      v = kind === 'email' && v.includes('@') ? v.replace('@', `${pad}@`) : v + pad;
+    }
+    return v;
+  }
+
+  // HTML pattern attribute: the whole value must match (compiled with the u flag like browsers)
+  matchesPattern(value, pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'u').test(String(value ?? ''));
+    } catch {
+      return true;
+    }
+  }
+
+  // Small regex-to-string generator: literals, escapes, classes, groups, alternation, quantifiers
+  fromPattern(pattern, field = {}) {
+    let ast;
+    try {
+      ast = this._parse(String(pattern));
+    } catch (e) {
+      this.logger?.debug?.(`Pattern not generatable (${pattern}): ${e.message}`);
+      return null;
+    }
+    const min = Number(field.minLength) || 0;
+    const max = Number(field.maxLength) || 0;
+    for (let i = 0; i < 25; i++) {
+      const v = this._emit(ast);
+      if (this.matchesPattern(v, pattern) && (!min || v.length >= min) && (!max || v.length <= max)) return v;
+    }
+    // Lookahead-style password rules: a strong password of the right length usually passes
+    const strong = this.fitLength(`Aa1!${this._digits(4)}bcD`, field, 'password');
+    return this.matchesPattern(strong, pattern) ? strong : null;
+  }
+
+  _parse(src) {
+    let i = 0;
+    const peek = () => src[i];
+
+    const parseAlt = () => {
+      const branches = [parseSeq()];
+      while (peek() === '|') { i++; branches.push(parseSeq()); }
+      return { t: 'alt', branches };
+    };
+
+    const parseSeq = () => {
+      const items = [];
+      while (i < src.length && peek() !== '|' && peek() !== ')') {
+        const atom = parseAtom();
+        if (atom) items.push(parseQuant(atom));
+      }
+      return { t: 'seq', items };
+    };
+
+    const parseQuant = (atom) => {
+      let min = 1;
+      let max = 1;
+      const c = peek();
+      if (c === '*') { min = 0; max = 6; i++; }
+      else if (c === '+') { min = 1; max = 6; i++; }
+      else if (c === '?') { min = 0; max = 1; i++; }
+      else if (c === '{' && /^\{\d+(,\d*)?\}/.test(src.slice(i))) {
+        const m = src.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+        min = Number(m[1]);
+        max = m[2] ? (m[3] ? Number(m[3]) : min + 6) : min;
+        i += m[0].length;
+      } else {
+        return atom;
+      }
+      if (peek() === '?' || peek() === '+') i++; // lazy / possessive
+      return { t: 'rep', atom, min, max };
+    };
+
+    const escapeSet = (c) => {
+      if (c === 'd') return DIGITS;
+      if (c === 'w') return WORD;
+      if (c === 's') return SPACE;
+      if (c === 'D') return PRINTABLE.filter(x => !DIGITS.includes(x));
+      if (c === 'W') return PRINTABLE.filter(x => !WORD.includes(x));
+      if (c === 'S') return PRINTABLE.filter(x => x !== ' ');
+      return null;
+    };
+
+    const parseAtom = () => {
+      const c = src[i++];
+      if (c === '^' || c === '$') return null;
+      if (c === '.') return { t: 'set', chars: PRINTABLE.filter(x => x !== ' ') };
+      if (c === '(') {
+        let look = false;
+        if (peek() === '?') {
+          const m = src.slice(i).match(/^\?(:|=|!|<=|<!|<[A-Za-z_]\w*>)/);
+          if (!m) throw new Error('unsupported group');
+          look = ['=', '!', '<=', '<!'].includes(m[1]);
+          i += m[0].length;
+        }
+        const inner = parseAlt();
+        if (src[i++] !== ')') throw new Error('unbalanced group');
+        return look ? null : inner;
+      }
+      if (c === '[') return parseClass();
+      if (c === '\\') {
+        const e = src[i++];
+        if (e === 'b' || e === 'B') return null;
+        if (/\d/.test(e)) return null; // backreference
+        const set = escapeSet(e);
+        if (set) return { t: 'set', chars: set };
+        if (e === 'u' && /^[0-9a-fA-F]{4}/.test(src.slice(i))) {
+          const ch = String.fromCharCode(parseInt(src.slice(i, i + 4), 16));
+          i += 4;
+          return { t: 'lit', ch };
+        }
+        if (e === 'n' || e === 't' || e === 'r') return { t: 'lit', ch: ' ' };
+        return { t: 'lit', ch: e };
+      }
+      return { t: 'lit', ch: c };
+    };
+
+    const parseClass = () => {
+      let negate = false;
+      if (peek() === '^') { negate = true; i++; }
+      const chars = new Set();
+      let first = true;
+      while (i < src.length && (peek() !== ']' || first)) {
+        first = false;
+        let c = src[i++];
+        if (c === '\\') {
+          const e = src[i++];
+          const set = escapeSet(e);
+          if (set) { set.forEach(x => chars.add(x)); continue; }
+          c = e;
+        }
+        if (peek() === '-' && src[i + 1] && src[i + 1] !== ']') {
+          i++;
+          let end = src[i++];
+          if (end === '\\') end = src[i++];
+          for (let code = c.charCodeAt(0); code <= end.charCodeAt(0); code++) chars.add(String.fromCharCode(code));
+        } else {
+          chars.add(c);
+        }
+      }
+      if (src[i++] !== ']') throw new Error('unterminated class');
+      const list = negate ? PRINTABLE.filter(x => !chars.has(x)) : Array.from(chars);
+      return { t: 'set', chars: list.length ? list : ['x'] };
+    };
+
+    const ast = parseAlt();
+    if (i < src.length) throw new Error(`unexpected "${src[i]}"`);
+    return ast;
+  }
+
+  _emit(node) {
+    switch (node.t) {
+      case 'alt': return this._emit(node.branches[this._int(0, node.branches.length - 1)]);
+      case 'seq': return node.items.map(n => this._emit(n)).join('');
+      case 'rep': {
+        const n = this._int(node.min, Math.max(node.min, node.max));
+        let out = '';
+        for (let k = 0; k < n; k++) out += this._emit(node.atom);
+        return out;
+      }
+      case 'set': return node.chars[this._int(0, node.chars.length - 1)];
+      default: return node.ch || '';
+    }
+  }
+
+  // Faker's randomizer when available so fakerSeed reproduces the same values
+  _int(min, max) {
+    if (this.faker?.number?.int) return this.faker.number.int({ min, max });
+    return this.random.int(min, max);
+  }
+
+  _digits(n) {
+    let s = String(this._int(1, 9));
+    while (s.length < n) s += String(this._int(0, 9));
+    return s.slice(0, Math.max(1, n));
+  }
+
+  _hex(n) {
+    let s = '';
+    while (s.length < n) s += this._int(0, 15).toString(16);
+    return s;
+  }
+
+  _num(v) {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  _parseDate(v, type) {
+    if (!v) return null;
+    if (type === 'time') {
+      const m = String(v).match(/^(\d{2}):(\d{2})/);
+      return m ? Date.UTC(1970, 0, 1, Number(m[1]), Number(m[2])) : null;
+    }
+    if (type === 'week') {
+      const m = String(v).match(/^(\d{4})-W(\d{2})$/);
+      return m ? Date.UTC(Number(m[1]), 0, 4 + (Number(m[2]) - 1) * 7) : null;
+    }
+    const t = Date.parse(type === 'month' ? `${v}-01` : v);
+    return Number.isFinite(t) ? t : null;
+  }
+}
+
+module.exports = { ValueGenerator };
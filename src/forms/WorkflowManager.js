@@ -1,10 +1,25 @@
 /**
  * SpeedCrawl Pro v14.0 - Workflow Manager
  * Orchestrates multi-step form workflows and OTP handling
+ * - Driven by FormProcessor: `form` is a Locator for the form's container and
+ *   `formStructure.inputs` its discovered fields
+ * - Field values come from ValueGenerator, so they follow each input's constraints
+ * - Every step records what it filled, the requests it triggered and a screenshot
+ *   (workflows/ in the output directory)
+ * - Payment confirmation only runs with --submit-forms
+ * - OTP codes come from the workflow's OTPManager provider (static, SMTP sink, SMS drop, network)
  */
 
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ValueGenerator } = require('./ValueGenerator');
+const { OTPManager } = require('./OTPManager');
+const { SeededRandom } = require('../utils/SeededRandom');
+
+const OTP_FIELDS = ['[autocomplete="one-time-code"]', '[name*="otp"]', '[placeholder*="OTP"]', '.otp-input'];
+const PAYMENT_WORDS = ['card', 'cardnumber', 'payment', 'amount', 'cvv', 'cvc', 'ccnumber'];
 
 class WorkflowManager extends EventEmitter {
   constructor(config, logger) {
@@ -14,8 +29,13 @@ class WorkflowManager extends EventEmitter {
     
     this.activeWorkflows = new Map();
     this.completedWorkflows = [];
-    this.maxSteps = this.config.get('maxFormSteps', 4);
+    this.maxSteps = this.config.get('maxFormSteps', 5);
     this.stepDelay = this.config.get('formDelay', 1000);
+    this.values = new ValueGenerator(config, logger);
+    this.otp = new OTPManager(config, logger);
+    this.random = SeededRandom.for(config, 'workflow');
+    this.sequence = 0;
+    this.screenshotDir = path.join(this.config.get('outputDir', './speedcrawl-output'), 'workflows');
   }
 
   async processWorkflow(form, formStructure, fingerprint, page) {
@@ -39,6 +59,7 @@ class WorkflowManager extends EventEmitter {
 
       // Detect workflow type
       const workflowType = this.detectWorkflowType(formStructure);
+      workflow.type = workflowType;
       this.logger.debug(`Detected workflow type: ${workflowType}`);
 
       // Execute workflow based on type
@@ -64,7 +85,11 @@ class WorkflowManager extends EventEmitter {
       workflow.endTime = Date.now();
       workflow.duration = workflow.endTime - workflow.startTime;
       workflow.status = result.success ? 'completed' : 'failed';
-      
+      if (result.error) workflow.error = result.error;
+      if (workflow.otp) workflow.otp.disarm();
+      delete workflow.otp;
+      delete workflow.page;
+
       this.completedWorkflows.push(workflow);
       this.activeWorkflows.delete(workflowId);
 
@@ -81,39 +106,41 @@ class WorkflowManager extends EventEmitter {
   }
 
   generateWorkflowId(fingerprint) {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 8);
+    // Seeded runs number workflows instead of time-stamping them, so ids and screenshot names repeat
+    const timestamp = this.random.seeded ? String(++this.sequence).padStart(4, '0') : Date.now().toString(36);
+    const random = this.random.next().toString(36).substring(2, 8);
     const hash = fingerprint.substring(0, 8);
     return `wf_${timestamp}_${hash}_${random}`;
   }
 
   detectWorkflowType(formStructure) {
     const inputs = formStructure.inputs || [];
-    const fieldNames = inputs.map(input => (input.name || '').toLowerCase());
-    const fieldTypes = inputs.map(input => input.type);
+    const fieldNames = inputs.map(input => (input.name || input.id || '').toLowerCase());
+    const autocomplete = inputs.map(input => (input.autocomplete || '').toLowerCase());
 
     // OTP Flow Detection
-    if (fieldNames.some(name => name.includes('otp') || name.includes('verification'))) {
+    if (fieldNames.some(name => name.includes('otp') || name.includes('verification')) ||
+        autocomplete.includes('one-time-code')) {
       return 'otp_flow';
     }
 
-    // Payment Flow Detection
-    if (fieldNames.some(name => 
-      name.includes('card') || name.includes('payment') || 
-      name.includes('amount') || name.includes('cvv')
-    )) {
+    // Payment Flow Detection: whole words only ("discard" or "cardinality" is not a card field)
+    const words = inputs.map(input => (input.name || input.id || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/));
+    if (autocomplete.some(value => value.startsWith('cc-')) ||
+        words.some(parts => parts.some(word => PAYMENT_WORDS.includes(word)))) {
       return 'payment_flow';
     }
 
     // Registration Flow Detection
     if (fieldNames.some(name => 
       name.includes('password') && name.includes('confirm')
-    ) || fieldNames.length > 6) {
+    )) {
       return 'multi_step_registration';
     }
 
     // Login Flow Detection
-    if (fieldNames.some(name => name.includes('password')) && 
+    if ((fieldNames.some(name => name.includes('password')) || inputs.some(input => input.type === 'password')) &&
         fieldNames.some(name => name.includes('email') || name.includes('username'))) {
       return 'login_flow';
     }
@@ -141,14 +168,7 @@ class WorkflowManager extends EventEmitter {
 
         const stepResult = await this.executeWorkflowStep(workflow, step, form);
         
-        workflow.steps.push({
-          stepNumber: workflow.currentStep,
-          stepName: step.name,
-          action: step.action,
-          success: stepResult.success,
-          duration: stepResult.duration,
-          timestamp: Date.now()
-        });
+        this.recordStep(workflow, step, stepResult);
 
         if (!stepResult.success) {
           this.logger.warn(`Step ${step.name} failed: ${stepResult.error}`);
@@ -198,14 +218,7 @@ class WorkflowManager extends EventEmitter {
         
         const stepResult = await this.executeWorkflowStep(workflow, step, form);
         
-        workflow.steps.push({
-          stepNumber: workflow.currentStep,
-          stepName: step.name,
-          action: step.action,
-          success: stepResult.success,
-          duration: stepResult.duration,
-          timestamp: Date.now()
-        });
+        this.recordStep(workflow, step, stepResult);
 
         if (!stepResult.success && step.name !== 'accept_terms') {
           return { success: false, error: stepResult.error };
@@ -240,25 +253,20 @@ class WorkflowManager extends EventEmitter {
 
       for (const [index, step] of steps.entries()) {
         workflow.currentStep = index + 1;
-        
-        const stepResult = await this.executeWorkflowStep(workflow, step, form);
-        
-        workflow.steps.push({
-          stepNumber: workflow.currentStep,
-          stepName: step.name,
-          action: step.action,
-          success: stepResult.success,
-          duration: stepResult.duration,
-          timestamp: Date.now()
-        });
-
-        // Stop before actual payment submission for safety
-        if (step.name === 'confirm_payment' && this.config.get('submitForms')) {
-          this.logger.warn('⚠️ Stopping before payment submission for safety');
+
+        // Never confirm a payment unless form submission was explicitly enabled
+        if (step.name === 'confirm_payment' && !this.config.get('submitForms')) {
+          this.logger.warn('⚠️ Stopping before payment submission (enable with --submit-forms)');
+          this.recordStep(workflow, step, { success: true, duration: 0, message: 'Payment confirmation skipped' });
           break;
         }
 
-        if (!stepResult.success) {
+        const stepResult = await this.executeWorkflowStep(workflow, step, form);
+        
+        this.recordStep(workflow, step, stepResult);
+
+        // Amount and method pickers are not on every checkout form
+        if (!stepResult.success && !['fill_amount', 'select_payment_method'].includes(step.name)) {
           return { success: false, error: stepResult.error };
         }
 
@@ -284,7 +292,8 @@ class WorkflowManager extends EventEmitter {
         { name: 'fill_username', action: 'enter_username' },
         { name: 'fill_password', action: 'enter_password' },
         { name: 'handle_captcha', action: 'solve_captcha' },
-        { name: 'submit_login', action: 'click_login' }
+        { name: 'submit_login', action: 'click_login' },
+        { name: 'second_factor', action: 'enter_second_factor' }
       ];
 
       workflow.totalSteps = steps.length;
@@ -294,14 +303,7 @@ class WorkflowManager extends EventEmitter {
         
         const stepResult = await this.executeWorkflowStep(workflow, step, form);
         
-        workflow.steps.push({
-          stepNumber: workflow.currentStep,
-          stepName: step.name,
-          action: step.action,
-          success: stepResult.success,
-          duration: stepResult.duration,
-          timestamp: Date.now()
-        });
+        this.recordStep(workflow, step, stepResult);
 
         // CAPTCHA step is optional
         if (!stepResult.success && step.name !== 'handle_captcha') {
@@ -339,14 +341,7 @@ class WorkflowManager extends EventEmitter {
         
         const stepResult = await this.executeWorkflowStep(workflow, step, form);
         
-        workflow.steps.push({
-          stepNumber: workflow.currentStep,
-          stepName: step.name,
-          action: step.action,
-          success: stepResult.success,
-          duration: stepResult.duration,
-          timestamp: Date.now()
-        });
+        this.recordStep(workflow, step, stepResult);
 
         if (!stepResult.success && step.name === 'fill_form') {
           return { success: false, error: stepResult.error };
@@ -366,76 +361,167 @@ class WorkflowManager extends EventEmitter {
     }
   }
 
+  recordStep(workflow, step, stepResult) {
+    workflow.steps.push({
+      stepNumber: workflow.currentStep,
+      stepName: step.name,
+      action: step.action,
+      success: stepResult.success,
+      duration: stepResult.duration,
+      timestamp: Date.now(),
+      message: stepResult.message || stepResult.error || null,
+      filled: stepResult.filled || [],
+      submitted: !!stepResult.submitted,
+      requests: stepResult.requests || [],
+      screenshot: stepResult.screenshot || null
+    });
+  }
+
   async executeWorkflowStep(workflow, step, form) {
     const startTime = Date.now();
-    
+    const page = workflow.page;
+    const requests = [];
+    const byRequest = new Map();
+    const onRequest = (req) => {
+      if (!['xhr', 'fetch', 'document', 'other'].includes(req.resourceType())) return;
+      const rec = { method: req.method(), url: req.url(), resourceType: req.resourceType(), status: null };
+      byRequest.set(req, rec);
+      requests.push(rec);
+    };
+    const onResponse = (res) => {
+      const rec = byRequest.get(res.request());
+      if (rec) rec.status = res.status();
+    };
+    page.on('request', onRequest);
+    page.on('response', onResponse);
+
     try {
-      let result;
-      switch (step.action) {
-        case 'fill_phone_number':
-          result = await this.fillPhoneNumber(form);
-          break;
-        case 'click_get_otp':
-          result = await this.clickGetOTP(form);
-          break;
-        case 'wait_for_otp_field':
-          result = await this.waitForOTPField(workflow.page);
-          break;
-        case 'fill_otp':
-          result = await this.fillOTP(form);
-          break;
-        case 'submit_otp':
-          result = await this.submitOTP(form);
-          break;
-        case 'fill_basic_fields':
-          result = await this.fillBasicFields(form);
-          break;
-        case 'fill_contact_fields':
-          result = await this.fillContactFields(form);
-          break;
-        case 'fill_password_fields':
-          result = await this.fillPasswordFields(form);
-          break;
-        case 'check_agreements':
-          result = await this.checkAgreements(form);
-          break;
-        case 'submit_form':
-          result = await this.submitForm(form, workflow.page);
-          break;
-        default:
-          result = { success: true, message: 'Step skipped' };
-      }
-      
-      const duration = Date.now() - startTime;
-      return { ...result, duration };
-      
+      const result = await this.runStepAction(workflow, step, form);
+      return { ...result, duration: Date.now() - startTime, requests, screenshot: await this.screenshot(workflow, step) };
     } catch (error) {
-      return { 
-        success: false, 
+      return {
+        success: false,
         error: error.message,
-        duration: Date.now() - startTime
+        duration: Date.now() - startTime,
+        requests,
+        screenshot: await this.screenshot(workflow, step)
       };
+    } finally {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
     }
   }
 
-  async fillPhoneNumber(form) {
-    const phoneSelectors = ['[name*="phone"]', '[name*="mobile"]', '[type="tel"]'];
-    
-    for (const selector of phoneSelectors) {
+  async screenshot(workflow, step) {
+    try {
+      fs.mkdirSync(this.screenshotDir, { recursive: true });
+      const file = `${workflow.id}-${workflow.currentStep}-${step.name}.png`;
+      await workflow.page.screenshot({ path: path.join(this.screenshotDir, file) });
+      return `workflows/${file}`;
+    } catch (error) {
+      this.logger.debug(`Workflow screenshot failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async runStepAction(workflow, step, form) {
+    switch (step.action) {
+      case 'fill_phone_number':
+        return this.fillPhoneNumber(form);
+      case 'click_get_otp':
+        await this.armOTP(workflow);
+        return this.clickGetOTP(form);
+      case 'wait_for_otp_field':
+        return this.waitForOTPField(workflow.page);
+      case 'fill_otp':
+        return this.fillOTP(form, workflow);
+      case 'submit_otp':
+        return this.submitOTP(form);
+      case 'fill_basic_fields':
+        return this.fillBasicFields(form);
+      case 'fill_contact_fields':
+        return this.fillContactFields(form);
+      case 'fill_password_fields':
+        return this.fillPasswordFields(form);
+      case 'check_agreements':
+        return this.checkAgreements(form);
+      case 'submit_form':
+      case 'click_login':
+        await this.armOTP(workflow);
+        return this.submitForm(form, workflow.page);
+      case 'enter_second_factor':
+        return this.fillSecondFactor(workflow);
+      case 'confirm_transaction':
+      case 'submit_if_enabled':
+        return this.submitForm(form, workflow.page);
+      case 'enter_username':
+        return this.fillFirst(form, ['[autocomplete="username"]', '[type="email"]', '[name*="email"]', '[name*="user"]', '[name*="login"]', 'input[type="text"]']);
+      case 'enter_password':
+        return this.fillFirst(form, ['[type="password"]']);
+      case 'solve_captcha':
+        return this.detectCaptcha(workflow.page);
+      case 'enter_amount':
+        return this.fillFirst(form, ['[name*="amount"]', '[autocomplete="transaction-amount"]']);
+      case 'choose_payment':
+        return this.choosePaymentMethod(form);
+      case 'enter_card_info':
+        return this.fillCardDetails(form);
+      case 'fill_all_fields':
+        return this.fillAllFields(form);
+      case 'check_validation':
+        return this.checkValidation(form);
+      default:
+        return { success: true, message: 'Step skipped' };
+    }
+  }
+
+  // Constraint metadata in the shape ValueGenerator expects
+  async fieldMeta(field) {
+    return field.evaluate(el => ({
+      tag: el.tagName.toLowerCase(),
+      type: el.type || 'text',
+      name: el.name || '',
+      id: el.id || '',
+      pattern: el.getAttribute('pattern'),
+      min: el.getAttribute('min'),
+      max: el.getAttribute('max'),
+      minLength: el.minLength > 0 ? el.minLength : null,
+      maxLength: el.maxLength > 0 ? el.maxLength : null,
+      autocomplete: el.getAttribute('autocomplete'),
+      placeholder: el.getAttribute('placeholder'),
+      label: el.labels && el.labels[0] ? el.labels[0].textContent.trim() : null,
+      ariaLabel: el.getAttribute('aria-label')
+    }));
+  }
+
+  async fillField(field, value) {
+    const meta = await this.fieldMeta(field);
+    const v = value != null ? value : this.values.generate(meta).value;
+    await field.fill(String(v));
+    return { name: meta.name, id: meta.id, value: String(v) };
+  }
+
+  // Fill the first visible match; the value is generated unless one is given
+  async fillFirst(form, selectors, value = null) {
+    for (const selector of selectors) {
       try {
         const field = form.locator(selector).first();
         const isVisible = await field.isVisible().catch(() => false);
-        
+
         if (isVisible) {
-          await field.fill('9876543210');
-          return { success: true };
+          return { success: true, filled: [await this.fillField(field, value)] };
         }
       } catch (error) {
         continue;
       }
     }
-    
-    return { success: false, error: 'Phone field not found' };
+
+    return { success: false, error: `No field for ${selectors[0]}` };
+  }
+
+  async fillPhoneNumber(form) {
+    const result = await this.fillFirst(form, ['[name*="phone"]', '[name*="mobile"]', '[type="tel"]']);
+    return result.success ? result : { success: false, error: 'Phone field not found' };
   }
 
   async clickGetOTP(form) {
@@ -464,31 +550,50 @@ class WorkflowManager extends EventEmitter {
 
   async waitForOTPField(page) {
     try {
-      await page.waitForSelector('[name*="otp"], [placeholder*="OTP"]', { timeout: 10000 });
+      await page.waitForSelector(OTP_FIELDS.join(', '), { timeout: 10000 });
       return { success: true };
     } catch (error) {
       return { success: false, error: 'OTP field did not appear' };
     }
   }
 
-  async fillOTP(form) {
-    const otpSelectors = ['[name*="otp"]', '[placeholder*="OTP"]', '.otp-input'];
-    
-    for (const selector of otpSelectors) {
-      try {
-        const field = form.locator(selector).first();
-        const isVisible = await field.isVisible().catch(() => false);
-        
-        if (isVisible) {
-          await field.fill('123456');
-          return { success: true };
-        }
-      } catch (error) {
-        continue;
-      }
+  // Arm the workflow's own OTP session right before the site is asked to send a code
+  async armOTP(workflow) {
+    workflow.otp = workflow.otp || await this.otp.session(workflow.type);
+    if (!workflow.otp) return;
+    const sentTo = workflow.steps.flatMap(s => s.filled).map(f => f.value).reverse()
+      .find(v => /@/.test(v) || /^\+?[\d\s()-]{7,}$/.test(v));
+    await workflow.otp.arm({ page: workflow.page, recipient: sentTo || null });
+    workflow.otpProvider = workflow.otp.type;
+  }
+
+  // The OTP field may replace the original form, so the page is searched too
+  async fillOTP(form, workflow) {
+    const session = workflow.otp || (workflow.otp = await this.otp.session(workflow.type));
+    const code = session ? await session.waitForCode() : null;
+    if (!code) return { success: false, error: `No OTP received (${session ? session.type : 'provider unavailable'})` };
+
+    let result = await this.fillFirst(form, OTP_FIELDS, code);
+    if (!result.success) result = await this.fillFirst(workflow.page, OTP_FIELDS, code);
+    return result.success
+      ? { ...result, message: `OTP from ${session.type}` }
+      : { success: false, error: 'OTP field not found' };
+  }
+
+  // Login that lands on a verification-code prompt
+  async fillSecondFactor(workflow) {
+    const page = workflow.page;
+    const appeared = await page.locator(OTP_FIELDS.join(', ')).first()
+      .waitFor({ state: 'visible', timeout: 3000 }).then(() => true).catch(() => false);
+    if (!appeared) {
+      if (workflow.otp) workflow.otp.disarm();
+      return { success: true, message: 'No second factor' };
     }
-    
-    return { success: false, error: 'OTP field not found' };
+
+    const filled = await this.fillOTP(page, workflow);
+    if (!filled.success) return filled;
+    const submit = await this.submitOTP(page);
+    return { ...filled, submitted: !!submit.submitted };
   }
 
   async submitOTP(form) {
@@ -504,7 +609,7 @@ class WorkflowManager extends EventEmitter {
         
         if (isVisible && this.config.get('submitForms')) {
           await button.click();
-          return { success: true };
+          return { success: true, submitted: true };
         }
       } catch (error) {
         continue;
@@ -515,69 +620,41 @@ class WorkflowManager extends EventEmitter {
   }
 
   async fillBasicFields(form) {
-    const basicFields = {
-      '[name*="name"]': 'John Doe',
-      '[name*="email"]': 'test@example.com',
-      '[name*="age"]': '25'
-    };
-
-    let filled = 0;
-    for (const [selector, value] of Object.entries(basicFields)) {
-      try {
-        const field = form.locator(selector).first();
-        const isVisible = await field.isVisible().catch(() => false);
-        
-        if (isVisible) {
-          await field.fill(value);
-          filled++;
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-
-    return { success: filled > 0, message: `Filled ${filled} basic fields` };
+    return this.fillEach(form, ['[name*="name"]', '[name*="email"]', '[name*="age"]'], 'basic');
   }
 
   async fillContactFields(form) {
-    const contactFields = {
-      '[name*="phone"]': '9876543210',
-      '[name*="address"]': '123 Test Street',
-      '[name*="city"]': 'Mumbai'
-    };
+    return this.fillEach(form, ['[name*="phone"]', '[name*="address"]', '[name*="city"]'], 'contact');
+  }
 
-    let filled = 0;
-    for (const [selector, value] of Object.entries(contactFields)) {
-      try {
-        const field = form.locator(selector).first();
-        const isVisible = await field.isVisible().catch(() => false);
-        
-        if (isVisible) {
-          await field.fill(value);
-          filled++;
-        }
-      } catch (error) {
-        continue;
-      }
+  async fillEach(form, selectors, label) {
+    const filled = [];
+    for (const selector of selectors) {
+      const result = await this.fillFirst(form, [selector]);
+      if (result.success) filled.push(...result.filled);
     }
 
-    return { success: filled > 0, message: `Filled ${filled} contact fields` };
+    return { success: filled.length > 0, filled, message: `Filled ${filled.length} ${label} fields` };
   }
 
+  // Same value in every password box so "confirm password" matches
   async fillPasswordFields(form) {
     const passwordFields = form.locator('[type="password"]');
     const count = await passwordFields.count();
-    
+    const filled = [];
+    let value = null;
+
     for (let i = 0; i < count; i++) {
       try {
-        const field = passwordFields.nth(i);
-        await field.fill('SecurePass123!');
+        const entry = await this.fillField(passwordFields.nth(i), value);
+        value = entry.value;
+        filled.push(entry);
       } catch (error) {
         continue;
       }
     }
 
-    return { success: count > 0, message: `Filled ${count} password fields` };
+    return { success: count > 0, filled, message: `Filled ${count} password fields` };
   }
 
   async checkAgreements(form) {
@@ -602,6 +679,74 @@ class WorkflowManager extends EventEmitter {
     return { success: checked > 0, message: `Checked ${checked} agreements` };
   }
 
+  // CAPTCHAs are not solved; the step only reports whether one blocks the flow
+  async detectCaptcha(page) {
+    const found = await page.locator('iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="turnstile"], .g-recaptcha, .h-captcha, .cf-turnstile, [name*="captcha"]')
+      .count().catch(() => 0);
+    return found > 0
+      ? { success: false, error: 'CAPTCHA present, not solved' }
+      : { success: true, message: 'No CAPTCHA' };
+  }
+
+  async choosePaymentMethod(form) {
+    try {
+      const select = form.locator('select[name*="pay"], select[name*="method"]').first();
+      if (await select.isVisible().catch(() => false)) {
+        const value = await select.evaluate(el => (Array.from(el.options).find(o => o.value) || {}).value || null);
+        if (value) {
+          await select.selectOption(value);
+          return { success: true, filled: [{ name: await select.getAttribute('name'), id: null, value }] };
+        }
+      }
+
+      const radio = form.locator('[type="radio"][name*="pay"], [type="radio"][name*="method"]').first();
+      if (await radio.isVisible().catch(() => false)) {
+        await radio.check();
+        return { success: true, filled: [{ name: await radio.getAttribute('name'), id: null, value: await radio.getAttribute('value') }] };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    return { success: false, error: 'No payment method selector' };
+  }
+
+  async fillCardDetails(form) {
+    const card = await this.fillFirst(form, ['[autocomplete="cc-number"]', '[name*="card"][name*="num"]', '[name*="cardnumber"]', '[name*="card"]']);
+    if (!card.success) return { success: false, error: 'Card number field not found' };
+
+    const rest = await this.fillEach(form, [
+      '[autocomplete="cc-exp"], [name*="exp"]',
+      '[autocomplete="cc-csc"], [name*="cvv"], [name*="cvc"]',
+      '[autocomplete="cc-name"], [name*="holder"]'
+    ], 'card');
+    return { success: true, filled: [...card.filled, ...rest.filled] };
+  }
+
+  async fillAllFields(form) {
+    const fields = form.locator('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="checkbox"]):not([type="radio"]):not([type="file"]), textarea');
+    const count = await fields.count();
+    const filled = [];
+
+    for (let i = 0; i < count; i++) {
+      try {
+        const field = fields.nth(i);
+        if (await field.isVisible().catch(() => false) && await field.isEditable().catch(() => false)) {
+          filled.push(await this.fillField(field));
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return { success: filled.length > 0, filled, message: `Filled ${filled.length} fields` };
+  }
+
+  async checkValidation(form) {
+    const valid = await form.evaluate(el => (el.checkValidity ? el.checkValidity() : true)).catch(() => true);
+    return { success: true, message: valid ? 'Form valid' : 'Form has invalid fields' };
+  }
+
   async submitForm(form, page) {
     if (!this.config.get('submitForms')) {
       return { success: true, message: 'Form submission disabled' };
@@ -621,17 +766,21 @@ class WorkflowManager extends EventEmitter {
           // No navigation occurred
         }
         
-        return { success: true };
+        return { success: true, submitted: true };
       } else {
         // Try form submit
         await form.evaluate(f => f.submit());
-        return { success: true };
+        return { success: true, submitted: true };
       }
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  async cleanup() {
+    await this.otp.stop();
+  }
+
   getActiveWorkflows() {
     return Array.from(this.activeWorkflows.values());
   }
@@ -1,4 +1,12 @@
 // src/network/NetworkCapture.js
+const fs = require('fs');
+const path = require('path');
+const { ScopeManager } = require('../core/ScopeManager');
+const { RealtimeCapture } = require('./RealtimeCapture');
+
+// Formats built from captured entries that include response bodies
+const BODY_FORMATS = ['har', 'burp', 'postman', 'openapi', 'nuclei'];
+
 class NetworkCapture {
   constructor(config, logger, streamWriter, httpFormatter) {
     this.config = config;
@@ -7,11 +15,28 @@ class NetworkCapture {
     this.httpFormatter = httpFormatter;
     this.reqMap = new Map();
     this.pairs = [];
+    // Linked entries are appended to disk as they complete; resumed crawls keep the earlier ones
+    this.entriesFile = path.join(this.config.get('outputDir') || './speedcrawl-output', 'captured-entries.jsonl');
+    this.prepareEntries();
     this.formats = this.config.get('formats') || [];
     this.assetExt = new Set(['.js', '.css', '.map']);
+    this.maxBodySize = Number(this.config.get('maxBodySize', 1048576));
+    this.bodyMimeTypes = (this.config.get('bodyMimeTypes') || []).map(m => this._mimePattern(m));
+    this.scope = new ScopeManager(config, logger);
+    this.realtime = new RealtimeCapture(config, logger);
+    // Bodies are only kept for the whole crawl when an export needs them
+    this.keepBodies = BODY_FORMATS.some(f => this.formats.includes(f));
+    this.observers = [];
+  }
+
+  // Called with every entry while its body is still attached (e.g. for reflection checks)
+  onEntry(fn) {
+    this.observers.push(fn);
   }
 
   attach(context) {
+    this.realtime.attach(context);
+
     context.on('request', (req) => {
       try {
         const r = {
@@ -22,6 +47,9 @@ class NetworkCapture {
           ts: Date.now()
         };
 
+        // Out-of-scope traffic is dropped here or tagged for every writer downstream
+        if (!this.scope.filterRecord(r)) return;
+
         // Always append to generic stream for counts
         this.streamWriter.appendRequest({ ...r, timestamp: r.ts });
 
@@ -49,17 +77,45 @@ class NetworkCapture {
           postData: req.postData() || '',
           ts: Date.now()
         };
+        if (!this.scope.filterRecord(base)) return;
+        // headers() leaves out cookies; HAR cookies and the parameter inventory need them
+        base.headers = await req.allHeaders().catch(() => base.headers);
+        const asset = this._isAsset(base.url);
 
         // Keep only non-asset for best selection
-        if (!this._isAsset(base.url)) {
-          this.pairs.push({ method: base.method, url: base.url, headers: base.headers, postData: base.postData });
+        if (!asset) {
+          this.pairs.push({ method: base.method, url: base.url, headers: base.headers, postData: base.postData, outOfScope: base.outOfScope });
+        }
+
+        const headers = await res.allHeaders().catch(() => res.headers());
+        const wantBody = this.keepBodies || this.observers.length > 0 || this.formats.includes('jsonl');
+        const content = asset ? await this._skipBody(res, headers)
+          : wantBody ? await this._readBody(res, headers)
+          : await this._skipBody(res, headers, 'unused');
+        const entry = {
+          startedDateTime: new Date(base.ts || Date.now()).toISOString(),
+          request: base,
+          response: {
+            status: res.status(),
+            statusText: res.statusText(),
+            httpVersion: 'HTTP/1.1',
+            headers,
+            redirectURL: headers.location || '',
+            ...content
+          },
+          timings: this._timings(req.timing())
+        };
+        this.reqMap.delete(req);
+        for (const fn of this.observers) {
+          try { fn(entry); } catch (e) { this.logger?.debug?.(`entry observer error: ${e.message}`); }
         }
 
         // Append JSONL line only for non-assets and only if enabled
-        if (this.formats.includes('jsonl') && !this._isAsset(base.url)) {
+        if (this.formats.includes('jsonl') && !asset) {
           try {
             this.streamWriter.appendScanLine({
-              timestamp: new Date(base.ts || Date.now()).toISOString(),
+              timestamp: entry.startedDateTime,
+              ...(base.outOfScope ? { out_of_scope: true } : {}),
               request: {
                 method: base.method,
                 endpoint: base.url,
@@ -70,26 +126,85 @@ class NetworkCapture {
               },
               response: {
                 status_code: res.status(),
-                headers: this._headersSnake(await res.allHeaders().catch(() => res.headers())),
-                body: '',
+                headers: this._headersSnake(headers),
+                body: content.encoding === 'base64' ? '' : content.text,
                 technologies: [],
-                raw: ''
+                raw: this.httpFormatter.formatHTTPResponse(entry.response)
               }
             });
           } catch {}
         }
+
+        if (!this.keepBodies && entry.response.text) {
+          entry.response = { ...entry.response, text: '', encoding: null, skipped: 'unused' };
+        }
+        this._appendEntry(entry);
       } catch (e) {
         this.logger?.debug?.(`response capture error: ${e.message}`);
       }
     });
+
+    context.on('requestfailed', (req) => {
+      try {
+        const base = this.reqMap.get(req);
+        if (!base) return;
+        this.reqMap.delete(req);
+        this._appendEntry({
+          startedDateTime: new Date(base.ts || Date.now()).toISOString(),
+          request: base,
+          response: null,
+          error: req.failure()?.errorText || 'failed',
+          timings: this._timings(req.timing())
+        });
+      } catch {}
+    });
+  }
+
+  prepareEntries() {
+    try {
+      fs.mkdirSync(path.dirname(this.entriesFile), { recursive: true });
+      if (!this.config.get('resume') || !fs.existsSync(this.entriesFile)) fs.writeFileSync(this.entriesFile, '', 'utf8');
+    } catch (e) {
+      this.logger?.debug?.(`entries file error: ${e.message}`);
+    }
+  }
+
+  _appendEntry(entry) {
+    try {
+      fs.appendFileSync(this.entriesFile, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (e) {
+      this.logger?.debug?.(`entry append error: ${e.message}`);
+    }
+  }
+
+  // Linked request/response records in capture order (HAR source), including those from before a resume
+  getEntries() {
+    try {
+      return fs.readFileSync(this.entriesFile, 'utf8').split('\n').filter(Boolean).map(l => {
+        try { return JSON.parse(l); } catch { return null; }
+      }).filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  // HAR only: WebSocket connections and EventSource messages on top of the HTTP entries
+  harEntries(entries) {
+    return this.realtime.merge(entries);
   }
 
   async flush() {
     try {
       // Choose best non-asset request for http.raw
       const candidates = this.pairs.filter(r => !this._isAsset(r.url));
-      if (candidates.length > 0) {
-        const best = candidates
+      // Seeded runs: content order, so equal scores and the batch file do not follow event timing
+      if (this.config.get('seed') != null) {
+        const key = r => `${r.method} ${r.url} ${r.postData || ''}`;
+        candidates.sort((a, b) => key(a).localeCompare(key(b)));
+      }
+      const inScope = candidates.filter(r => !r.outOfScope);
+      if (inScope.length > 0) {
+        const best = inScope
           .map(r => ({ r, score: this._score(r) }))
           .sort((a, b) => b.score - a.score)[0].r;
         await this.streamWriter.writeHTTPRawSingle(best);
@@ -98,6 +213,8 @@ class NetworkCapture {
       if (this.formats.includes('http') && this.pairs.length > 0) {
         await this.streamWriter.writeHTTP({ requests: candidates });
       }
+      const realtime = this.realtime.write(this.config.get('outputDir'));
+      if (realtime) this.logger?.info?.(`🔌 Real-time traffic: ${realtime}`);
     } catch (e) {
       this.logger?.debug?.(`flush error: ${e.message}`);
     }
@@ -128,6 +245,67 @@ class NetworkCapture {
     return s;
   }
 
+  async _readBody(res, headers) {
+    const mimeType = String(this._contentType(headers) || '').split(';')[0].trim().toLowerCase();
+    const content = { mimeType, size: -1, text: '', encoding: null, skipped: null };
+    // Streams stay open as long as the page does; their messages come from RealtimeCapture
+    if (mimeType === 'text/event-stream') return { ...content, skipped: 'stream' };
+    if (!this.bodyMimeTypes.some(re => re.test(mimeType))) return this._skipBody(res, headers, 'mime');
+
+    const declared = Number(headers['content-length']);
+    if (Number.isFinite(declared) && declared > this.maxBodySize) return this._skipBody(res, headers, 'size');
+
+    // Redirects and aborted responses have no body
+    const buf = await res.body().catch(() => null);
+    if (!buf) return content;
+    content.size = buf.length;
+    if (buf.length > this.maxBodySize) {
+      content.skipped = 'size';
+      return content;
+    }
+    if (this._isTextual(mimeType)) {
+      content.text = buf.toString('utf8');
+    } else {
+      content.text = buf.toString('base64');
+      content.encoding = 'base64';
+    }
+    return content;
+  }
+
+  // Wait for the body to finish so timing() is complete, without buffering it
+  async _skipBody(res, headers, reason = 'asset') {
+    await res.finished().catch(() => null);
+    const mimeType = String(this._contentType(headers) || '').split(';')[0].trim().toLowerCase();
+    const declared = Number(headers['content-length']);
+    return { mimeType, size: Number.isFinite(declared) ? declared : -1, text: '', encoding: null, skipped: reason };
+  }
+
+  // Playwright timing() is relative to startTime with -1 for unknown phases
+  _timings(t) {
+    const span = (a, b) => (t && a >= 0 && b >= 0 && b >= a ? b - a : -1);
+    if (!t) return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+    const wait = span(t.requestStart, t.responseStart);
+    const receive = span(t.responseStart, t.responseEnd);
+    return {
+      blocked: t.domainLookupStart > 0 ? t.domainLookupStart : -1,
+      dns: span(t.domainLookupStart, t.domainLookupEnd),
+      connect: span(t.connectStart, t.connectEnd),
+      ssl: span(t.secureConnectionStart, t.connectEnd),
+      send: 0,
+      wait: Math.max(0, wait),
+      receive: Math.max(0, receive)
+    };
+  }
+
+  _mimePattern(m) {
+    const esc = String(m).trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${esc}$`);
+  }
+
+  _isTextual(mimeType) {
+    return /^text\//.test(mimeType) || /(json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql)/.test(mimeType);
+  }
+
   _headersSnake(headers) {
     const out = {};
     for (const [k, v] of Object.entries(headers || {})) out[String(k).toLowerCase().replace(/-/g, '_')] = v;
@@ -0,0 +1,263 @@
+// src/network/RealtimeCapture.js
+/**
+ * SpeedCrawl Pro v22.2 - RealtimeCapture (WebSocket and EventSource traffic)
+ * - WebSocket: Playwright page 'websocket' events; frames in both directions, text as-is and
+ *   binary as base64 (opcode 2)
+ * - Chromium: a CDP session per page adds the WebSocket handshake (request/response headers, status)
+ *   and EventSource streams (request/response headers and every message with its event name and id)
+ * - Connections are scope-filtered like HTTP traffic; messages are capped per connection
+ * - Output: websockets.jsonl (one line per connection) and HAR entries with _webSocketMessages
+ * - Checkpointed via toJSON()/restore(): connections from before a --resume stay in both outputs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ScopeManager } = require('../core/ScopeManager');
+
+// Per connection; long-lived sockets (tickers, presence) would otherwise grow without bound
+const MAX_MESSAGES = 1000;
+
+class RealtimeCapture {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.scope = new ScopeManager(config, logger);
+    this.maxBodySize = Number(this.config.get('maxBodySize', 1048576));
+    this.sessions = [];
+    this.restored = [];
+    this.pages = new WeakSet();
+  }
+
+  attach(context) {
+    context.on('page', (page) => this.attachPage(page));
+    for (const page of context.pages()) this.attachPage(page);
+  }
+
+  async attachPage(page) {
+    if (this.pages.has(page)) return;
+    this.pages.add(page);
+    const state = { sockets: [], handshakes: [], sse: new Map() };
+    page.on('websocket', (ws) => this.onWebSocket(ws, state));
+
+    try {
+      const cdp = await page.context().newCDPSession(page);
+      await cdp.send('Network.enable');
+      this.listenCDP(cdp, state);
+    } catch (e) {
+      this.logger?.debug?.(`realtime CDP unavailable: ${e.message}`);
+    }
+  }
+
+  onWebSocket(ws, state) {
+    const session = this.open('websocket', ws.url());
+    if (!session) return;
+    state.sockets.push(session);
+    this.link(state);
+
+    const frame = (direction) => ({ payload }) => {
+      const binary = Buffer.isBuffer(payload);
+      this.push(session, { direction, opcode: binary ? 2 : 1, data: binary ? payload.toString('base64') : String(payload), binary });
+    };
+    ws.on('framesent', frame('sent'));
+    ws.on('framereceived', frame('received'));
+    ws.on('socketerror', (error) => { session.error = String(error); });
+    ws.on('close', () => { session.closed = Date.now(); });
+  }
+
+  // Handshakes are matched to Playwright sockets by URL, in creation order
+  listenCDP(cdp, state) {
+    const handshake = (requestId) => state.handshakes.find(h => h.requestId === requestId);
+    cdp.on('Network.webSocketCreated', ({ requestId, url }) => {
+      state.handshakes.push({ requestId, url, request: null, response: null, session: null });
+      this.link(state);
+    });
+    cdp.on('Network.webSocketWillSendHandshakeRequest', ({ requestId, request }) => {
+      const h = handshake(requestId);
+      if (h) h.request = { headers: request?.headers || {} };
+    });
+    cdp.on('Network.webSocketHandshakeResponseReceived', ({ requestId, response }) => {
+      const h = handshake(requestId);
+      if (!h) return;
+      h.response = { status: response?.status, statusText: response?.statusText || '', headers: response?.headers || {} };
+      // Chromium reports the headers actually sent (cookies included) with the response
+      if (response?.requestHeaders) h.request = { headers: response.requestHeaders };
+    });
+
+    cdp.on('Network.requestWillBeSent', ({ requestId, request, type }) => {
+      if (type !== 'EventSource') return;
+      const session = this.open('eventsource', request.url, request.method);
+      if (!session) return;
+      session.request.headers = request.headers || {};
+      state.sse.set(requestId, session);
+    });
+    cdp.on('Network.requestWillBeSentExtraInfo', ({ requestId, headers }) => {
+      const session = state.sse.get(requestId);
+      if (session && headers) session.request.headers = headers;
+    });
+    cdp.on('Network.responseReceived', ({ requestId, response }) => {
+      const session = state.sse.get(requestId);
+      if (!session) return;
+      session.response = { status: response.status, statusText: response.statusText || '', headers: response.headers || {} };
+    });
+    cdp.on('Network.eventSourceMessageReceived', ({ requestId, eventName, eventId, data }) => {
+      const session = state.sse.get(requestId);
+      if (!session) return;
+      this.push(session, { direction: 'received', opcode: 1, data: String(data ?? ''), event: eventName || 'message', ...(eventId ? { id: eventId } : {}) });
+    });
+    const done = ({ requestId, errorText }) => {
+      const session = state.sse.get(requestId);
+      if (!session) return;
+      session.closed = Date.now();
+      if (errorText) session.error = errorText;
+      state.sse.delete(requestId);
+    };
+    cdp.on('Network.loadingFinished', done);
+    cdp.on('Network.loadingFailed', done);
+  }
+
+  link(state) {
+    for (const h of state.handshakes) {
+      if (h.session) continue;
+      const session = state.sockets.find(s => !s.handshake && s.url === h.url);
+      if (!session) continue;
+      h.session = session;
+      session.handshake = h;
+    }
+  }
+
+  open(type, url, method = 'GET') {
+    const record = { url, method };
+    if (!this.scope.filterRecord(record)) return null;
+    const session = {
+      type,
+      url,
+      started: Date.now(),
+      closed: null,
+      request: { method, headers: {} },
+      response: null,
+      messages: [],
+      dropped: 0,
+      error: null,
+      outOfScope: !!record.outOfScope,
+      handshake: null
+    };
+    this.sessions.push(session);
+    this.logger?.debug?.(`🔌 ${type === 'websocket' ? 'WebSocket' : 'EventSource'}: ${url}`);
+    return session;
+  }
+
+  push(session, message) {
+    if (session.messages.length >= MAX_MESSAGES) {
+      session.dropped++;
+      return;
+    }
+    const { binary, ...rest } = message;
+    const size = Buffer.byteLength(rest.data, binary ? 'base64' : 'utf8');
+    session.messages.push({
+      ...rest,
+      time: Date.now(),
+      ...(binary ? { encoding: 'base64' } : {}),
+      ...(size > this.maxBodySize ? { data: '', skipped: 'size' } : {}),
+      size
+    });
+  }
+
+  // Handshake data is filled in lazily by CDP, so records are built on read
+  getSessions() {
+    return [...this.restored, ...this.sessions.map(s => {
+      const h = s.handshake;
+      return {
+        type: s.type,
+        url: s.url,
+        startedDateTime: new Date(s.started).toISOString(),
+        closedDateTime: s.closed ? new Date(s.closed).toISOString() : null,
+        ...(s.outOfScope ? { out_of_scope: true } : {}),
+        request: { method: s.request.method, headers: h?.request?.headers || s.request.headers },
+        response: h?.response || s.response || null,
+        messages: s.messages.map(m => ({ ...m, time: new Date(m.time).toISOString() })),
+        ...(s.dropped ? { droppedMessages: s.dropped } : {}),
+        ...(s.error ? { error: s.error } : {})
+      };
+    })];
+  }
+
+  // Checkpoint state: the records as written, since their sockets are gone after a resume
+  toJSON() {
+    return this.getSessions();
+  }
+
+  restore(records) {
+    if (Array.isArray(records)) this.restored = records;
+  }
+
+  /**
+   * HAR entries: EventSource responses already captured as HTTP get their messages,
+   * WebSocket connections are appended as 101 entries
+   */
+  merge(entries) {
+    const sessions = this.getSessions();
+    const sse = sessions.filter(s => s.type === 'eventsource');
+    const used = new Set();
+    const har = (s) => s.messages.map(m => ({
+      type: m.direction === 'sent' ? 'send' : 'receive',
+      time: Date.parse(m.time) / 1000,
+      opcode: m.opcode,
+      data: m.data,
+      ...(m.event ? { event: m.event } : {}),
+      ...(m.id ? { id: m.id } : {})
+    }));
+
+    const out = entries.map(e => {
+      if (!/event-stream/i.test(e.response?.mimeType || '')) return e;
+      const s = sse.find(x => !used.has(x) && x.url === e.request?.url);
+      if (!s) return e;
+      used.add(s);
+      return { ...e, resourceType: 'eventsource', messages: har(s) };
+    });
+
+    for (const s of sessions) {
+      if (s.type === 'eventsource' && used.has(s)) continue;
+      out.push({
+        startedDateTime: s.startedDateTime,
+        resourceType: s.type,
+        request: { method: s.request.method, url: s.url, headers: s.request.headers, postData: '', ...(s.out_of_scope ? { outOfScope: true } : {}) },
+        response: {
+          status: s.response?.status || (s.type === 'websocket' ? 101 : 0),
+          statusText: s.response?.statusText || (s.type === 'websocket' ? 'Switching Protocols' : ''),
+          httpVersion: 'HTTP/1.1',
+          headers: s.response?.headers || {},
+          mimeType: s.type === 'eventsource' ? 'text/event-stream' : 'x-unknown',
+          size: -1,
+          text: ''
+        },
+        ...(s.error ? { error: s.error } : {}),
+        messages: har(s)
+      });
+    }
+    return out;
+  }
+
+  write(outputDir) {
+    const sessions = this.getSessions();
+    if (sessions.length === 0) return null;
+    try {
+      const file = path.join(outputDir, 'websockets.jsonl');
+      fs.writeFileSync(file, sessions.map(s => JSON.stringify(s)).join('\n') + '\n', 'utf8');
+      return file;
+    } catch (e) {
+      this.logger?.debug?.(`websockets.jsonl write error: ${e.message}`);
+      return null;
+    }
+  }
+
+  getStats() {
+    const all = [...this.restored, ...this.sessions];
+    return {
+      websockets: all.filter(s => s.type === 'websocket').length,
+      eventSources: all.filter(s => s.type === 'eventsource').length,
+      realtimeMessages: all.reduce((n, s) => n + s.messages.length + (s.dropped || s.droppedMessages || 0), 0)
+    };
+  }
+}
+
+module.exports = { RealtimeCapture };
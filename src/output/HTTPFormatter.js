@@ -1,11 +1,27 @@
 // src/output/HTTPFormatter.js
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { SeededRandom } = require('../utils/SeededRandom');
+
+// Headers exported to Postman as collection variables instead of literal values
+const AUTH_HEADERS = new Set([
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'api-key', 'apikey',
+  'x-auth-token', 'x-access-token', 'x-csrf-token', 'x-xsrf-token'
+]);
 
 class HTTPFormatter {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    this.random = SeededRandom.for(config, 'postman');
+  }
+
+  // `<prefix>_<timestamp><ext>`; seeded runs drop the timestamp so they write the same paths
+  stampedName(prefix, ext) {
+    if (this.random.seeded) return `${prefix}${ext}`;
+    const ts = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${prefix}_${ts}${ext}`;
   }
 
   formatHTTPRequest(requestData) {
@@ -19,11 +35,11 @@ class HTTPFormatter {
         : '';
       const bodyLen = hasBody ? Buffer.byteLength(bodyStr, 'utf8') : 0;
 
-      // Normalize headers: remove host/content-length; add Connection if missing
+      // Normalize headers: remove host/content-length and HTTP/2 pseudo-headers; add Connection if missing
       const hdrs = {};
       for (const [k, v] of Object.entries(origHeaders)) {
         const lk = String(k).toLowerCase();
-        if (lk === 'host' || lk === 'content-length') continue;
+        if (lk === 'host' || lk === 'content-length' || lk.startsWith(':')) continue;
         hdrs[k] = v;
       }
       if (hasBody) {
@@ -56,8 +72,7 @@ class HTTPFormatter {
     try {
       const dir = path.join(outputDir, 'jsonl');
       if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      const file = path.join(dir, `crawl_${ts}.jsonl`);
+      const file = path.join(dir, this.stampedName('crawl', '.jsonl'));
       fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
       this.logger?.success?.(`JSONL written: ${file}`);
       return file;
@@ -67,39 +82,34 @@ class HTTPFormatter {
     }
   }
 
-  async writeHARFile(requests, outputDir) {
+  formatHTTPResponse(response) {
+    try {
+      if (!response) return '';
+      let http = `${response.httpVersion || 'HTTP/1.1'} ${response.status} ${response.statusText || ''}`.trimEnd() + '\r\n';
+      for (const [k, v] of Object.entries(response.headers || {})) {
+        String(v).split('\n').forEach(line => { http += `${k}: ${line}\r\n`; });
+      }
+      http += '\r\n';
+      if (response.text && response.encoding !== 'base64') http += response.text;
+      return http;
+    } catch (e) {
+      this.logger?.debug?.(`res fmt error: ${e.message}`);
+      return '';
+    }
+  }
+
+  // Accepts linked capture entries ({ request, response, timings }) or bare request records
+  async writeHARFile(entries, outputDir) {
     try {
       const dir = path.join(outputDir, 'har');
       if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      const file = path.join(dir, `requests_${ts}.har`);
+      const file = path.join(dir, this.stampedName('requests', '.har'));
       const log = {
         log: {
           version: '1.2',
           creator: { name: 'SpeedCrawl', version: '22.2' },
-          entries: (requests || []).map(r => ({
-            startedDateTime: new Date(r.timestamp || Date.now()).toISOString(),
-            request: {
-              method: r.method || 'GET',
-              url: r.url,
-              httpVersion: 'HTTP/1.1',
-              headers: Object.entries(r.headers || {}).map(([name, value]) => ({ name, value })),
-              queryString: [],
-              headersSize: -1,
-              bodySize: (r.postData && String(r.postData).length) || 0,
-              postData: r.postData ? { mimeType: this._contentType(r.headers), text: String(r.postData) } : undefined
-            },
-            response: {
-              status: (r.response && r.response.status) || 0,
-              statusText: (r.response && r.response.statusText) || '',
-              httpVersion: 'HTTP/1.1',
-              headers: Object.entries((r.response && r.response.headers) || {}).map(([name, value]) => ({ name, value })),
-              headersSize: -1,
-              bodySize: ((r.response && r.response.body) && String(r.response.body).length) || -1
-            },
-            cache: {},
-            timings: { send: 0, wait: 0, receive: 0 }
-          }))
+          pages: [],
+          entries: (entries || []).map(e => this.toHAREntry(e))
         }
       };
       fs.writeFileSync(file, JSON.stringify(log, null, 2), 'utf8');
@@ -111,12 +121,290 @@ class HTTPFormatter {
     }
   }
 
+  toHAREntry(entry) {
+    const linked = entry && entry.request && typeof entry.request === 'object';
+    const req = linked ? entry.request : entry;
+    const res = linked ? entry.response : entry.response;
+    const timings = { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0, ...(entry.timings || {}) };
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((sum, k) => sum + (timings[k] > 0 ? timings[k] : 0), 0);
+
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(req.url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch {}
+
+    const body = req.postData != null && req.postData !== '' ? String(req.postData) : '';
+    const reqHeaders = this._harHeaders(req.headers);
+    const request = {
+      method: req.method || 'GET',
+      url: req.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: this._harCookies(req.headers, 'cookie'),
+      headers: reqHeaders,
+      queryString,
+      headersSize: -1,
+      bodySize: body ? Buffer.byteLength(body, 'utf8') : 0
+    };
+    if (body) {
+      const mimeType = this._contentType(req.headers);
+      request.postData = { mimeType, text: body };
+      if (/x-www-form-urlencoded/i.test(mimeType)) {
+        request.postData.params = Array.from(new URLSearchParams(body).entries()).map(([name, value]) => ({ name, value }));
+      }
+    }
+
+    const content = {
+      size: res && res.size >= 0 ? res.size : 0,
+      mimeType: (res && res.mimeType) || 'x-unknown'
+    };
+    if (res && res.text) content.text = res.text;
+    if (res && res.encoding) content.encoding = res.encoding;
+    if (res && res.skipped) content.comment = `body not captured (${res.skipped})`;
+
+    const response = {
+      status: (res && res.status) || 0,
+      statusText: (res && res.statusText) || '',
+      httpVersion: (res && res.httpVersion) || 'HTTP/1.1',
+      cookies: this._harCookies(res && res.headers, 'set-cookie'),
+      headers: this._harHeaders(res && res.headers),
+      content,
+      redirectURL: (res && res.redirectURL) || '',
+      headersSize: -1,
+      bodySize: res && res.size >= 0 ? res.size : -1
+    };
+
+    const har = {
+      startedDateTime: entry.startedDateTime || new Date(req.ts || req.timestamp || Date.now()).toISOString(),
+      time,
+      request,
+      response,
+      cache: {},
+      timings
+    };
+    if (entry.error) har.comment = entry.error;
+    if (req.outOfScope) har._outOfScope = true;
+    // Chrome DevTools extensions for real-time traffic
+    if (entry.resourceType) har._resourceType = entry.resourceType;
+    if (Array.isArray(entry.messages)) har._webSocketMessages = entry.messages;
+    return har;
+  }
+
+  _harHeaders(headers) {
+    const out = [];
+    for (const [name, value] of Object.entries(headers || {})) {
+      // allHeaders() joins repeated headers with newlines
+      String(value).split('\n').forEach(v => out.push({ name, value: v }));
+    }
+    return out;
+  }
+
+  _harCookies(headers, headerName) {
+    const cookies = [];
+    for (const [k, v] of Object.entries(headers || {})) {
+      if (k.toLowerCase() !== headerName) continue;
+      const parts = headerName === 'set-cookie' ? String(v).split('\n') : String(v).split(';');
+      for (const part of parts) {
+        const pair = headerName === 'set-cookie' ? part.split(';')[0] : part;
+        const idx = pair.indexOf('=');
+        if (idx <= 0) continue;
+        cookies.push({ name: pair.slice(0, idx).trim(), value: pair.slice(idx + 1).trim() });
+      }
+    }
+    return cookies;
+  }
+
+  // Burp Suite "Save items" XML (Proxy history > Save items), base64 request/response
+  async writeBurpFile(entries, outputDir) {
+    try {
+      const dir = path.join(outputDir, 'burp');
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, this.stampedName('items', '.xml'));
+      const cdata = v => `<![CDATA[${String(v ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+      const items = [];
+      for (const e of entries || []) {
+        const linked = e && e.request && typeof e.request === 'object';
+        const req = linked ? e.request : e;
+        const res = linked ? e.response : null;
+        let url;
+        try { url = new URL(req.url); } catch { continue; }
+        const protocol = url.protocol.replace(':', '');
+        const port = url.port || (protocol === 'https' ? '443' : '80');
+        const ext = (url.pathname.match(/\.([a-z0-9]+)$/i) || [])[1] || 'null';
+        const rawReq = Buffer.from(this.formatHTTPRequest(req), 'utf8');
+        const rawRes = res ? this._rawResponseBuffer(res) : Buffer.alloc(0);
+        const started = new Date(e.startedDateTime || req.ts || req.timestamp || Date.now());
+
+        items.push([
+          '  <item>',
+          `    <time>${started.toString()}</time>`,
+          `    <url>${cdata(url.href)}</url>`,
+          `    <host ip="">${url.hostname}</host>`,
+          `    <port>${port}</port>`,
+          `    <protocol>${protocol}</protocol>`,
+          `    <method>${cdata(req.method || 'GET')}</method>`,
+          `    <path>${cdata(url.pathname + url.search)}</path>`,
+          `    <extension>${ext}</extension>`,
+          `    <request base64="true">${cdata(rawReq.toString('base64'))}</request>`,
+          `    <status>${res && res.status ? res.status : ''}</status>`,
+          `    <responselength>${rawRes.length}</responselength>`,
+          `    <mimetype>${this._burpMimeType(res && res.mimeType)}</mimetype>`,
+          `    <response base64="true">${cdata(rawRes.toString('base64'))}</response>`,
+          '    <comment></comment>',
+          '  </item>'
+        ].join('\n'));
+      }
+
+      const xml = [
+        '<?xml version="1.0"?>',
+        '<!DOCTYPE items [',
+        '<!ELEMENT items (item*)>',
+        '<!ATTLIST items burpVersion CDATA "">',
+        '<!ATTLIST items exportTime CDATA "">',
+        '<!ELEMENT item (time, url, host, port, protocol, method, path, extension, request, status, responselength, mimetype, response, comment)>',
+        '<!ELEMENT time (#PCDATA)>',
+        '<!ELEMENT url (#PCDATA)>',
+        '<!ELEMENT host (#PCDATA)>',
+        '<!ATTLIST host ip CDATA "">',
+        '<!ELEMENT port (#PCDATA)>',
+        '<!ELEMENT protocol (#PCDATA)>',
+        '<!ELEMENT method (#PCDATA)>',
+        '<!ELEMENT path (#PCDATA)>',
+        '<!ELEMENT extension (#PCDATA)>',
+        '<!ELEMENT request (#PCDATA)>',
+        '<!ATTLIST request base64 (true|false) "false">',
+        '<!ELEMENT status (#PCDATA)>',
+        '<!ELEMENT responselength (#PCDATA)>',
+        '<!ELEMENT mimetype (#PCDATA)>',
+        '<!ELEMENT response (#PCDATA)>',
+        '<!ATTLIST response base64 (true|false) "false">',
+        '<!ELEMENT comment (#PCDATA)>',
+        ']>',
+        `<items burpVersion="SpeedCrawl 22.2" exportTime="${new Date().toString()}">`,
+        ...items,
+        '</items>',
+        ''
+      ].join('\n');
+
+      fs.writeFileSync(file, xml, 'utf8');
+      this.logger?.success?.(`Burp items written: ${file} (${items.length} items)`);
+      return file;
+    } catch (e) {
+      this.logger?.error?.(`Burp write error: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Postman v2.1 collection: host folder > first path segment folder > requests
+  async writePostmanFile(entries, outputDir) {
+    try {
+      const dir = path.join(outputDir, 'postman');
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, 'collection.postman_collection.json');
+
+      const variables = new Map(); // var name -> last seen value
+      const hosts = new Map();     // host -> Map(prefix -> items[])
+      const seen = new Set();
+
+      for (const e of entries || []) {
+        const req = e && e.request && typeof e.request === 'object' ? e.request : e;
+        let url;
+        try { url = new URL(req.url); } catch { continue; }
+        const method = String(req.method || 'GET').toUpperCase();
+        const body = req.postData != null && req.postData !== '' ? String(req.postData) : '';
+        const key = `${method} ${url.href} ${body}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const header = [];
+        for (const [k, v] of Object.entries(req.headers || {})) {
+          const lk = k.toLowerCase();
+          if (lk === 'host' || lk === 'content-length' || lk.startsWith(':')) continue;
+          if (AUTH_HEADERS.has(lk)) {
+            const varName = lk.replace(/[^a-z0-9]+/g, '_');
+            variables.set(varName, String(v));
+            header.push({ key: k, value: `{{${varName}}}`, type: 'text' });
+          } else {
+            header.push({ key: k, value: String(v), type: 'text' });
+          }
+        }
+
+        const request = {
+          method,
+          header,
+          url: {
+            raw: url.href,
+            protocol: url.protocol.replace(':', ''),
+            host: url.hostname.split('.'),
+            ...(url.port ? { port: url.port } : {}),
+            path: url.pathname.split('/').filter(Boolean),
+            ...(url.search ? { query: Array.from(url.searchParams.entries()).map(([k, v]) => ({ key: k, value: v })) } : {})
+          }
+        };
+        if (body) {
+          const ct = this._contentType(req.headers);
+          if (/x-www-form-urlencoded/i.test(ct)) {
+            request.body = { mode: 'urlencoded', urlencoded: Array.from(new URLSearchParams(body).entries()).map(([k, v]) => ({ key: k, value: v, type: 'text' })) };
+          } else {
+            request.body = { mode: 'raw', raw: body, ...(/json/i.test(ct) ? { options: { raw: { language: 'json' } } } : {}) };
+          }
+        }
+
+        const prefix = `/${url.pathname.split('/').filter(Boolean)[0] || ''}`;
+        if (!hosts.has(url.host)) hosts.set(url.host, new Map());
+        const folders = hosts.get(url.host);
+        if (!folders.has(prefix)) folders.set(prefix, []);
+        folders.get(prefix).push({ name: `${method} ${url.pathname}`, request, response: [] });
+      }
+
+      const collection = {
+        info: {
+          _postman_id: this.random.uuid(),
+          name: `SpeedCrawl - ${Array.from(hosts.keys())[0] || 'crawl'}`,
+          schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+        },
+        item: Array.from(hosts).map(([host, folders]) => ({
+          name: host,
+          item: Array.from(folders).map(([prefix, item]) => ({ name: prefix, item }))
+        })),
+        variable: Array.from(variables).map(([key, value]) => ({ key, value, type: 'string' }))
+      };
+
+      fs.writeFileSync(file, JSON.stringify(collection, null, 2), 'utf8');
+      this.logger?.success?.(`Postman collection written: ${file} (${seen.size} requests)`);
+      return file;
+    } catch (e) {
+      this.logger?.error?.(`Postman write error: ${e.message}`);
+      return null;
+    }
+  }
+
+  _rawResponseBuffer(res) {
+    const head = this.formatHTTPResponse({ ...res, text: '' });
+    const body = !res.text ? Buffer.alloc(0)
+      : (res.encoding === 'base64' ? Buffer.from(res.text, 'base64') : Buffer.from(res.text, 'utf8'));
+    return Buffer.concat([Buffer.from(head, 'utf8'), body]);
+  }
+
+  _burpMimeType(mime) {
+    const m = String(mime || '').toLowerCase();
+    if (!m) return '';
+    if (m.includes('html')) return 'HTML';
+    if (m.includes('json')) return 'JSON';
+    if (m.includes('javascript') || m.includes('ecmascript')) return 'script';
+    if (m.includes('xml')) return 'XML';
+    if (m.includes('css')) return 'CSS';
+    if (m.startsWith('image/')) return 'image';
+    if (m.startsWith('text/')) return 'text';
+    return 'app';
+  }
+
   async writeHTTPFile(data, outputDir) {
     try {
       const dir = path.join(outputDir, 'http-requests');
       if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      const file = path.join(dir, `requests_${ts}.http`);
+      const file = path.join(dir, this.stampedName('requests', '.http'));
       let content = '';
       for (const req of data.requests || []) {
         content += this.formatHTTPRequest(req);
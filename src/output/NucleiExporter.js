@@ -0,0 +1,204 @@
+// src/output/NucleiExporter.js
+/**
+ * SpeedCrawl Pro v22.2 - NucleiExporter (formats: nuclei)
+ * - nuclei/targets.txt: deduped parameterised URLs (nuclei -l / -dast)
+ * - nuclei/requests/*.yaml: one raw-request template per unique request shape
+ *   - Request line uses {{BaseURL}}, Host uses {{Hostname}}
+ *   - Multi-valued headers are joined onto one line (", ", cookies "; ") with CR/LF stripped
+ *   - Every query and body parameter becomes a {{inj_<name>}} payload marker,
+ *     defaulting to the observed value so the template replays as captured
+ *   - Payload values are stored as they go on the wire: percent-encoded for query and form
+ *     parameters, JSON-escaped inside JSON strings, JSON literals (42, true, null) otherwise
+ * Usage: nuclei -t nuclei/requests/ -u https://target  (swap payload lists to fuzz)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ScopeManager } = require('../core/ScopeManager');
+
+const STATIC_EXT = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|mp3|webm)$/i;
+const SKIP_HEADERS = new Set(['host', 'content-length', 'connection']);
+
+class NucleiExporter {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.outputDir = this.config.get('outputDir') || './speedcrawl-output';
+    this.scope = new ScopeManager(config, logger);
+  }
+
+  async write({ entries = [] }) {
+    try {
+      const dir = path.join(this.outputDir, 'nuclei');
+      const reqDir = path.join(dir, 'requests');
+      if (!fs.existsSync(reqDir)) fs.mkdirSync(reqDir, { recursive: true });
+
+      const { targets, requests } = this.collect(entries);
+      fs.writeFileSync(path.join(dir, 'targets.txt'), targets.join('\n') + (targets.length ? '\n' : ''), 'utf8');
+
+      requests.forEach((r, i) => {
+        const id = `speedcrawl-${String(i + 1).padStart(4, '0')}-${r.method.toLowerCase()}-${this._slug(r.url.pathname)}`;
+        fs.writeFileSync(path.join(reqDir, `${id}.yaml`), this.buildTemplate(id, r), 'utf8');
+      });
+
+      this.logger?.success?.(`Nuclei output: ${dir} (${targets.length} targets, ${requests.length} request templates)`);
+      this.logger?.info?.(`💡 Usage: nuclei -l ${path.join(dir, 'targets.txt')} -dast  |  nuclei -t ${reqDir} -u <base-url>`);
+      return dir;
+    } catch (e) {
+      this.logger?.error?.(`Nuclei write error: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Dedupe by method + origin + path + parameter names (values do not make a new shape)
+  collect(entries) {
+    const targets = new Map();
+    const requests = new Map();
+
+    for (const e of entries) {
+      const req = e && e.request && typeof e.request === 'object' ? e.request : e;
+      let url;
+      try { url = new URL(req.url); } catch { continue; }
+      if (!/^https?:$/.test(url.protocol) || STATIC_EXT.test(url.pathname)) continue;
+
+      const method = String(req.method || 'GET').toUpperCase();
+      if (req.outOfScope || !this.scope.matches(url.href, method)) continue;
+      const body = req.postData != null && req.postData !== '' ? String(req.postData) : '';
+      const queryKeys = Array.from(new Set(url.searchParams.keys())).sort();
+      const bodyParams = this._bodyParams(body, this._contentType(req.headers));
+      if (queryKeys.length === 0 && bodyParams.length === 0) continue;
+
+      if (queryKeys.length && method === 'GET') {
+        const tKey = `${url.origin}${url.pathname}?${queryKeys.join('&')}`;
+        if (!targets.has(tKey)) targets.set(tKey, url.href);
+      }
+
+      const shape = `${method} ${url.origin}${url.pathname} ${queryKeys.join(',')} ${bodyParams.map(p => p.name).sort().join(',')}`;
+      if (!requests.has(shape)) requests.set(shape, { method, url, headers: req.headers || {}, body, bodyParams });
+    }
+
+    return {
+      targets: Array.from(targets.values()).sort(),
+      requests: Array.from(requests.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([, r]) => r)
+    };
+  }
+
+  buildTemplate(id, r) {
+    const payloads = new Map(); // marker -> original value, encoded for where the marker sits
+    const marker = (name, value) => {
+      let key = `inj_${String(name).replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'param'}`;
+      while (payloads.has(key)) key += '_';
+      payloads.set(key, value);
+      return `{{${key}}}`;
+    };
+
+    // Query string with markers (keep key order and encoding as captured)
+    const query = this._encodedPairs(r.url.search.slice(1))
+      .map(([k, v, name]) => `${k}=${marker(name, v)}`).join('&');
+    const target = `{{BaseURL}}${r.url.pathname}${query ? `?${query}` : ''}`;
+
+    const body = this._markBody(r.body, this._contentType(r.headers), marker);
+    const lines = [`${r.method} ${target} HTTP/1.1`, 'Host: {{Hostname}}'];
+    for (const [k, v] of Object.entries(r.headers)) {
+      const lk = k.toLowerCase();
+      if (SKIP_HEADERS.has(lk) || lk.startsWith(':')) continue;
+      lines.push(`${k}: ${this._headerValue(lk, v)}`);
+    }
+    lines.push('');
+    if (body) lines.push(...body.split('\n'));
+
+    const yaml = [
+      `id: ${id}`,
+      '',
+      'info:',
+      `  name: ${JSON.stringify(`${r.method} ${r.url.pathname} (SpeedCrawl)`)}`,
+      '  author: speedcrawl',
+      '  severity: info',
+      `  description: ${JSON.stringify(`Captured ${r.method} ${r.url.origin}${r.url.pathname} with ${payloads.size} injection point(s)`)}`,
+      '  tags: speedcrawl,fuzz,crawl',
+      '',
+      'http:',
+      '  - raw:',
+      '      - |',
+      ...lines.map(l => `        ${l}`),
+      ''
+    ];
+    if (payloads.size) {
+      yaml.push('    attack: pitchfork', '    payloads:');
+      for (const [k, v] of payloads) yaml.push(`      ${k}:`, `        - ${JSON.stringify(v)}`);
+    }
+    return yaml.join('\n') + '\n';
+  }
+
+  _bodyParams(body, ct) {
+    if (!body) return [];
+    if (/json/i.test(ct)) {
+      try { return this._flatten(JSON.parse(body)); } catch { return []; }
+    }
+    if (/x-www-form-urlencoded/i.test(ct) || (!ct && /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(body))) {
+      return Array.from(new URLSearchParams(body).entries()).map(([name, value]) => ({ name, value }));
+    }
+    return [];
+  }
+
+  _markBody(body, ct, marker) {
+    if (!body) return '';
+    if (/json/i.test(ct)) {
+      try {
+        const walk = (v, p) => {
+          if (Array.isArray(v)) return v.map((x, i) => walk(x, `${p}_${i}`));
+          if (v && typeof v === 'object') {
+            return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x, p ? `${p}_${k}` : k)]));
+          }
+          // Non-string leaves stay unquoted so numeric/boolean/null payloads keep their JSON type
+          if (typeof v === 'string') return marker(p, JSON.stringify(v).slice(1, -1));
+          return `\u0000${marker(p, JSON.stringify(v))}\u0000`;
+        };
+        return JSON.stringify(walk(JSON.parse(body), '')).replace(/"\\u0000(\{\{[^}]+\}\})\\u0000"/g, '$1');
+      } catch { return body; }
+    }
+    if (this._bodyParams(body, ct).length) {
+      return this._encodedPairs(body).map(([k, v, name]) => `${k}=${marker(name, v)}`).join('&');
+    }
+    return body;
+  }
+
+  // [raw key, raw value, decoded key] per pair of a query string or form body, encoding untouched
+  _encodedPairs(str) {
+    return String(str || '').split('&').filter(Boolean).map(pair => {
+      const eq = pair.indexOf('=');
+      const key = eq === -1 ? pair : pair.slice(0, eq);
+      let name = key;
+      try { name = decodeURIComponent(key.replace(/\+/g, ' ')); } catch {}
+      return [key, eq === -1 ? '' : pair.slice(eq + 1), name];
+    });
+  }
+
+  _flatten(v, prefix = '') {
+    if (Array.isArray(v)) return v.flatMap((x, i) => this._flatten(x, `${prefix}_${i}`));
+    if (v && typeof v === 'object') {
+      return Object.entries(v).flatMap(([k, x]) => this._flatten(x, prefix ? `${prefix}_${k}` : k));
+    }
+    return [{ name: prefix, value: v }];
+  }
+
+  // One line per header: allHeaders() folds repeated headers with newlines, which would end the raw block
+  _headerValue(name, value) {
+    const parts = (Array.isArray(value) ? value : [value])
+      .flatMap(v => String(v ?? '').split(/[\r\n]+/))
+      .map(v => v.trim())
+      .filter(Boolean);
+    return parts.join(name === 'cookie' ? '; ' : ', ');
+  }
+
+  _contentType(headers) {
+    for (const k of Object.keys(headers || {})) if (k.toLowerCase() === 'content-type') return String(headers[k]);
+    return '';
+  }
+
+  _slug(pathname) {
+    return (pathname.split('/').filter(Boolean).join('-').replace(/[^A-Za-z0-9-]+/g, '_').slice(0, 60)) || 'root';
+  }
+}
+
+module.exports = { NucleiExporter };
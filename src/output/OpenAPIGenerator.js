@@ -0,0 +1,390 @@
+// src/output/OpenAPIGenerator.js
+/**
+ * SpeedCrawl Pro v22.2 - OpenAPIGenerator (formats: openapi)
+ * - Builds an OpenAPI 3.1 document from captured traffic and JS-discovered endpoints
+ * - Groups requests by templated path: numeric/UUID/hash segments collapse into {id} params
+ * - Infers query, header, JSON-body and JSON-response schemas from observed samples
+ * - JS-only endpoints are included with their guessed method and x-speedcrawl-observed: false;
+ *   AST-resolved ones also bring {name} path params, query keys and JSON body keys
+ * - operationIds are method + path slug, with _2, _3, ... appended when two paths slug the same
+ * - Templates that differ only in parameter names (/users/{id} vs /users/{userId}) share one path
+ *   item, under the first name seen; OpenAPI treats them as the same path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ScopeManager } = require('../core/ScopeManager');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Browser-generated headers that say nothing about the API contract
+const SKIP_HEADERS = new Set([
+  'host', 'connection', 'content-length', 'content-type', 'cookie', 'user-agent', 'accept',
+  'accept-encoding', 'accept-language', 'referer', 'origin', 'pragma', 'cache-control',
+  'upgrade-insecure-requests', 'dnt', 'priority', 'te', 'if-none-match', 'if-modified-since'
+]);
+
+const STATIC_EXT = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|mp3|webm)$/i;
+
+class OpenAPIGenerator {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.outputDir = this.config.get('outputDir') || './speedcrawl-output';
+    this.scope = new ScopeManager(config, logger);
+  }
+
+  async writeSpec(data) {
+    try {
+      const doc = this.generate(data);
+      const file = path.join(this.outputDir, 'openapi.json');
+      fs.writeFileSync(file, JSON.stringify(doc, null, 2), 'utf8');
+      this.logger?.success?.(`OpenAPI written: ${file} (${Object.keys(doc.paths).length} paths)`);
+      return file;
+    } catch (e) {
+      this.logger?.error?.(`OpenAPI write error: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {{ entries?: Array, jsEndpoints?: Array, baseUrl: string }} data
+   *   entries: linked capture entries ({ request, response }) or bare request records
+   */
+  generate({ entries = [], jsEndpoints = [], baseUrl }) {
+    const base = new URL(baseUrl);
+    const servers = new Set();
+    const ops = new Map(); // "METHOD template" -> aggregated samples
+
+    for (const entry of entries) {
+      const req = entry && entry.request && typeof entry.request === 'object' ? entry.request : entry;
+      const res = entry && entry.request && typeof entry.request === 'object' ? entry.response : null;
+      let url;
+      try { url = new URL(req.url); } catch { continue; }
+      const method = String(req.method || 'GET').toLowerCase();
+      if (!HTTP_METHODS.includes(method)) continue;
+      if (req.outOfScope || !this.scope.matches(url.href, method) || STATIC_EXT.test(url.pathname)) continue;
+      if (res && /^(image|font|audio|video)\/|^text\/css|javascript/i.test(res.mimeType || '')) continue;
+
+      servers.add(url.origin);
+
+      const { template, params } = this.templatePath(url.pathname);
+      const key = `${method} ${template}`;
+      if (!ops.has(key)) ops.set(key, { method, template, samples: [] });
+      ops.get(key).samples.push({ url, req, res, pathParams: params });
+    }
+
+    const doc = {
+      openapi: '3.1.0',
+      info: {
+        title: `${base.hostname} (SpeedCrawl)`,
+        version: '1.0.0',
+        description: `Generated by SpeedCrawl from traffic observed while crawling ${base.origin}.`
+      },
+      servers: (servers.size ? Array.from(servers) : [base.origin]).sort().map(url => ({ url })),
+      paths: {},
+      components: { securitySchemes: {} }
+    };
+
+    for (const op of ops.values()) {
+      doc.paths[op.template] = doc.paths[op.template] || {};
+      doc.paths[op.template][op.method] = this.buildOperation(op, doc.components.securitySchemes);
+    }
+
+    const byShape = new Map(Object.keys(doc.paths).map(t => [this._shape(t), t]));
+
+    // Endpoints only seen in JS bundles
+    for (const ep of jsEndpoints) {
+      const raw = typeof ep === 'string' ? ep : ep && ep.endpoint;
+      if (!raw || !raw.startsWith('/') || (ep && ep.outOfScope)) continue;
+      const [pathname] = raw.split(/[?#]/);
+      const parsed = this.templatePath(pathname);
+      const existing = byShape.get(this._shape(parsed.template));
+      const template = existing || parsed.template;
+      if (!existing) byShape.set(this._shape(template), template);
+      // Path params take the names the matching path item already uses
+      const names = (template.match(/\{[^}]+\}/g) || []).map(n => n.slice(1, -1));
+      const params = parsed.params.map((p, i) => ({ ...p, name: names[i] || p.name }));
+      const guessed = String((ep && ep.method) || 'GET').toLowerCase();
+      const method = HTTP_METHODS.includes(guessed) ? guessed : 'get';
+      if (!this.scope.matches(new URL(pathname, base).href, method)) continue;
+      if (doc.paths[template] && (doc.paths[template][method] || !HTTP_METHODS.includes(guessed))) continue;
+
+      doc.paths[template] = doc.paths[template] || {};
+      doc.paths[template][method] = {
+        operationId: this._operationId(method, template),
+        summary: `${method.toUpperCase()} ${template} (from JavaScript)`,
+        parameters: [
+          ...params.map(p => ({ name: p.name, in: 'path', required: true, schema: { type: 'string' } })),
+          ...((ep && ep.query) || []).map(name => ({ name, in: 'query', required: false, schema: { type: 'string' } }))
+        ],
+        ...(ep && Array.isArray(ep.body) && ep.body.length ? {
+          requestBody: {
+            content: {
+              'application/json': { schema: { type: 'object', properties: Object.fromEntries(ep.body.map(k => [k, {}])) } }
+            }
+          }
+        } : {}),
+        responses: { default: { description: 'Not observed' } },
+        'x-speedcrawl-observed': false,
+        'x-speedcrawl-guessed-method': guessed.toUpperCase(),
+        ...(ep && ep.source ? { 'x-speedcrawl-source': ep.source } : {}),
+        ...(ep && Array.isArray(ep.params) && ep.params.length ? { 'x-speedcrawl-params': ep.params } : {})
+      };
+    }
+
+    doc.paths = Object.fromEntries(Object.entries(doc.paths).sort(([a], [b]) => a.localeCompare(b)));
+    this._uniqueOperationIds(doc.paths);
+    if (Object.keys(doc.components.securitySchemes).length === 0) delete doc.components;
+    return doc;
+  }
+
+  // /users/42/orders/5f0c...  ->  /users/{id}/orders/{id2}; JS templates arrive as /users/{userId} already
+  templatePath(pathname) {
+    const params = [];
+    const segments = String(pathname || '/').split('/').map(seg => {
+      const named = seg.match(/^\{([A-Za-z_$][\w$]*)\}$/);
+      if (named && !params.some(p => p.name === named[1])) {
+        params.push({ name: named[1], sample: null });
+        return seg;
+      }
+      if (!seg || !this._isIdSegment(seg)) return seg;
+      const name = params.length === 0 ? 'id' : `id${params.length + 1}`;
+      params.push({ name, sample: decodeURIComponent(seg) });
+      return `{${name}}`;
+    });
+    return { template: segments.join('/') || '/', params };
+  }
+
+  _isIdSegment(seg) {
+    return /^\d+$/.test(seg) ||
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(seg) ||
+      /^[0-9a-f]{16,}$/i.test(seg) ||
+      (/^[A-Za-z0-9_-]{20,}$/.test(seg) && /\d/.test(seg) && /[A-Za-z]/.test(seg));
+  }
+
+  buildOperation(op, securitySchemes) {
+    const { method, template, samples } = op;
+    const parameters = [];
+    const total = samples.length;
+
+    // Path params
+    const pathNames = (samples[0].pathParams || []).map(p => p.name);
+    pathNames.forEach((name, i) => {
+      const values = samples.map(s => s.pathParams[i] && s.pathParams[i].sample).filter(v => v != null);
+      const schema = this.inferFromStrings(values);
+      parameters.push({ name, in: 'path', required: true, schema, example: this._example(values[0], schema) });
+    });
+
+    // Query params
+    const query = new Map();
+    for (const s of samples) {
+      const seen = new Set();
+      for (const [k, v] of s.url.searchParams.entries()) {
+        if (!query.has(k)) query.set(k, { values: [], count: 0 });
+        query.get(k).values.push(v);
+        if (!seen.has(k)) { query.get(k).count++; seen.add(k); }
+      }
+    }
+    for (const [name, q] of query) {
+      const schema = this.inferFromStrings(q.values);
+      parameters.push({ name, in: 'query', required: q.count === total, schema, example: this._example(q.values[0], schema) });
+    }
+
+    // Header params (+ security schemes)
+    const headers = new Map();
+    const security = [];
+    for (const s of samples) {
+      for (const [k, v] of Object.entries(s.req.headers || {})) {
+        const lk = k.toLowerCase();
+        if (lk === 'authorization') {
+          const scheme = /^bearer\s/i.test(v) ? 'bearerAuth' : (/^basic\s/i.test(v) ? 'basicAuth' : 'apiKeyAuth');
+          if (!securitySchemes[scheme]) {
+            securitySchemes[scheme] = scheme === 'bearerAuth' ? { type: 'http', scheme: 'bearer' }
+              : scheme === 'basicAuth' ? { type: 'http', scheme: 'basic' }
+              : { type: 'apiKey', in: 'header', name: 'Authorization' };
+          }
+          if (!security.includes(scheme)) security.push(scheme);
+          continue;
+        }
+        if (SKIP_HEADERS.has(lk) || lk.startsWith('sec-') || lk.startsWith(':')) continue;
+        if (!headers.has(lk)) headers.set(lk, []);
+        headers.get(lk).push(v);
+      }
+    }
+    for (const [name, values] of headers) {
+      const schema = this.inferFromStrings(values);
+      parameters.push({ name, in: 'header', required: values.length === total, schema, example: this._example(values[0], schema) });
+    }
+
+    const operation = {
+      operationId: this._operationId(method, template),
+      summary: `${method.toUpperCase()} ${template}`,
+      parameters,
+      responses: {},
+      'x-speedcrawl-observed': true,
+      'x-speedcrawl-samples': total
+    };
+    if (security.length) operation.security = security.map(s => ({ [s]: [] }));
+
+    // Request body
+    const bodies = new Map(); // mime -> { schema, example }
+    for (const s of samples) {
+      const body = s.req.postData;
+      if (body == null || body === '') continue;
+      const mime = this._mime(s.req.headers) || 'application/octet-stream';
+      const parsed = this._parseBody(body, mime);
+      const cur = bodies.get(mime) || { schema: null, example: parsed };
+      cur.schema = this.mergeSchemas(cur.schema, parsed === undefined ? { type: 'string' } : this.inferSchema(parsed));
+      bodies.set(mime, cur);
+    }
+    if (bodies.size) {
+      operation.requestBody = {
+        content: Object.fromEntries(Array.from(bodies).map(([mime, b]) => [mime, { schema: b.schema, ...(b.example !== undefined ? { example: b.example } : {}) }]))
+      };
+    }
+
+    // Responses
+    for (const s of samples) {
+      if (!s.res || !s.res.status) continue;
+      const code = String(s.res.status);
+      const resp = operation.responses[code] || (operation.responses[code] = { description: s.res.statusText || `HTTP ${code}` });
+      const mime = (s.res.mimeType || '').trim();
+      if (!mime) continue;
+      resp.content = resp.content || {};
+      const cur = resp.content[mime] || (resp.content[mime] = {});
+      if (/json/i.test(mime) && s.res.text && s.res.encoding !== 'base64') {
+        try {
+          const parsed = JSON.parse(s.res.text);
+          cur.schema = this.mergeSchemas(cur.schema, this.inferSchema(parsed));
+        } catch {}
+      }
+    }
+    if (Object.keys(operation.responses).length === 0) operation.responses.default = { description: 'No response captured' };
+    if (parameters.length === 0) delete operation.parameters;
+    return operation;
+  }
+
+  _parseBody(body, mime) {
+    const text = String(body);
+    if (/json/i.test(mime)) {
+      try { return JSON.parse(text); } catch { return undefined; }
+    }
+    if (/x-www-form-urlencoded/i.test(mime)) {
+      return Object.fromEntries(new URLSearchParams(text).entries());
+    }
+    return undefined;
+  }
+
+  inferSchema(value) {
+    if (value === null) return { type: 'null' };
+    if (Array.isArray(value)) {
+      const items = value.slice(0, 20).reduce((acc, v) => this.mergeSchemas(acc, this.inferSchema(v)), null);
+      return { type: 'array', items: items || {} };
+    }
+    switch (typeof value) {
+      case 'boolean': return { type: 'boolean' };
+      case 'number': return { type: Number.isInteger(value) ? 'integer' : 'number' };
+      case 'string': return this._stringSchema(value);
+      case 'object': {
+        const properties = {};
+        for (const [k, v] of Object.entries(value)) properties[k] = this.inferSchema(v);
+        return { type: 'object', properties, required: Object.keys(properties) };
+      }
+      default: return {};
+    }
+  }
+
+  // Query/header/path values arrive as strings; detect what they encode
+  inferFromStrings(values) {
+    const list = (values || []).filter(v => v != null).map(String);
+    if (list.length && list.every(v => /^-?\d+$/.test(v))) return { type: 'integer' };
+    if (list.length && list.every(v => /^-?\d*\.\d+$/.test(v))) return { type: 'number' };
+    if (list.length && list.every(v => /^(true|false)$/i.test(v))) return { type: 'boolean' };
+    return list.reduce((acc, v) => this.mergeSchemas(acc, this._stringSchema(v)), null) || { type: 'string' };
+  }
+
+  // Examples must match their schema: "42" under type integer becomes 42
+  _example(value, schema) {
+    if (value == null) return value;
+    if (schema.type === 'integer' || schema.type === 'number') return Number(value);
+    if (schema.type === 'boolean') return /^true$/i.test(value);
+    return value;
+  }
+
+  // /users/{id} and /users/{userId} are the same path to OpenAPI
+  _shape(template) {
+    return template.replace(/\{[^}]*\}/g, '{}');
+  }
+
+  _stringSchema(v) {
+    const schema = { type: 'string' };
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v)) schema.format = 'uuid';
+    else if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) schema.format = 'email';
+    else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(v)) schema.format = 'date-time';
+    else if (/^\d{4}-\d{2}-\d{2}$/.test(v)) schema.format = 'date';
+    else if (/^https?:\/\//i.test(v)) schema.format = 'uri';
+    return schema;
+  }
+
+  mergeSchemas(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    const ta = [].concat(a.type || []);
+    const tb = [].concat(b.type || []);
+    if (ta.length === 1 && tb.length === 1 && ta[0] === tb[0]) {
+      const merged = { ...a };
+      if (a.format !== b.format) delete merged.format;
+      if (ta[0] === 'object') {
+        merged.properties = { ...(a.properties || {}) };
+        for (const [k, v] of Object.entries(b.properties || {})) merged.properties[k] = this.mergeSchemas(merged.properties[k], v);
+        const req = new Set(b.required || []);
+        merged.required = (a.required || []).filter(k => req.has(k));
+      } else if (ta[0] === 'array') {
+        merged.items = this.mergeSchemas(a.items, b.items);
+      }
+      return merged;
+    }
+    // integer widens into number
+    const types = Array.from(new Set([...ta, ...tb]));
+    if (types.length === 2 && types.includes('integer') && types.includes('number')) return { type: 'number' };
+    const merged = { type: types };
+    const obj = [a, b].find(s => [].concat(s.type).includes('object') && s.properties);
+    if (obj) merged.properties = obj.properties;
+    const arr = [a, b].find(s => [].concat(s.type).includes('array') && s.items);
+    if (arr) merged.items = arr.items;
+    return merged;
+  }
+
+  _mime(headers) {
+    for (const k of Object.keys(headers || {})) {
+      if (k.toLowerCase() === 'content-type') return String(headers[k]).split(';')[0].trim().toLowerCase();
+    }
+    return '';
+  }
+
+  _operationId(method, template) {
+    const slug = template.replace(/[{}]/g, '').split('/').filter(Boolean).join('_').replace(/[^A-Za-z0-9_]/g, '_');
+    return `${method}_${slug || 'root'}`;
+  }
+
+  // /users/{id} and /users-{id} slug the same; OpenAPI requires operationIds to be unique
+  _uniqueOperationIds(paths) {
+    const seen = new Map();
+    for (const item of Object.values(paths)) {
+      for (const op of Object.values(item)) {
+        const id = op.operationId;
+        const n = (seen.get(id) || 0) + 1;
+        seen.set(id, n);
+        if (n === 1) continue;
+        let next = n;
+        while (seen.has(`${id}_${next}`)) next++;
+        op.operationId = `${id}_${next}`;
+        seen.set(id, next);
+        seen.set(op.operationId, 1);
+      }
+    }
+  }
+}
+
+module.exports = { OpenAPIGenerator };
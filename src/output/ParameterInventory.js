@@ -0,0 +1,292 @@
+// src/output/ParameterInventory.js
+/**
+ * SpeedCrawl Pro v22.2 - ParameterInventory (parameters.json + parameters-wordlist.txt)
+ * - Every parameter seen per endpoint (METHOD origin+path): query, urlencoded/multipart body,
+ *   JSON body (flattened: user.address.city, items[].id), cookie and non-standard header
+ * - Sources: captured traffic (with responses, so reflected values are spotted), the request
+ *   stream (requests-stream.jsonl), JS analysis (JSChunkAnalyzer.extractParameters and AST
+ *   query/body keys) and form fields from forms.json
+ * - Per parameter: up to MAX_SAMPLES sample values, an inferred type, and flags:
+ *   reflective (value echoed in the response, or a search/message-style name), id, redirect,
+ *   url, file (from the name, or a uuid / URL / path value)
+ * - The wordlist holds every query/body/JSON/form name (JSON leaves and top-level keys), for
+ *   fuzzers like arjun or ffuf
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ScopeManager } = require('../core/ScopeManager');
+
+const STATIC_EXT = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|mp3|webm)$/i;
+// Browser-generated headers are not parameters of the application
+const STANDARD_HEADERS = new Set([
+  'accept', 'accept-encoding', 'accept-language', 'user-agent', 'referer', 'origin', 'host', 'connection',
+  'content-length', 'content-type', 'cache-control', 'pragma', 'upgrade-insecure-requests', 'dnt', 'cookie',
+  'if-none-match', 'if-modified-since', 'range', 'priority', 'te', 'purpose', 'x-requested-with'
+]);
+const MAX_SAMPLES = 5;
+const MAX_SAMPLE_LENGTH = 200;
+
+// Flags are name-based on the leaf name split into words (returnUrl -> return, url)
+const FLAG_NAMES = {
+  reflective: { exact: ['q', 's', 'query', 'search', 'keyword', 'keywords', 'term', 'text', 'message', 'msg', 'comment', 'title', 'callback', 'jsonp', 'error'] },
+  id: { last: ['id', 'uid', 'uuid', 'guid', 'pk'] },
+  redirect: { exact: ['next', 'back', 'target', 'continue', 'rurl'], any: ['redirect', 'redir', 'return', 'returnto', 'dest', 'destination', 'goto', 'forward'] },
+  url: { last: ['url', 'uri', 'link', 'href', 'src', 'site', 'domain', 'host', 'webhook', 'feed', 'endpoint'] },
+  file: { exact: ['doc', 'img', 'image', 'include', 'template'], any: ['file', 'filename', 'filepath', 'path', 'dir', 'folder', 'document', 'attachment', 'download'] }
+};
+
+class ParameterInventory {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.outputDir = this.config.get('outputDir') || './speedcrawl-output';
+    this.scope = new ScopeManager(config, logger);
+    this.endpoints = new Map();
+    this.seen = new Set();
+  }
+
+  // Captured entries are observed as they arrive, while the response body is still attached
+  observe(e) {
+    const req = e && e.request && typeof e.request === 'object' ? e.request : e;
+    if (!req?.url) return;
+    const key = `${req.method} ${req.url} ${req.postData || ''}`;
+    if (this.seen.has(key)) return;
+    this.seen.add(key);
+    const body = e.response && !e.response.encoding ? e.response.text || '' : '';
+    this.fromRequest(this.endpoints, req, body);
+  }
+
+  /**
+   * @param {{ entries?: object[], requests?: object[], jsEndpoints?: object[], forms?: object[], baseUrl?: string }} data
+   * @returns {{ endpoints: number, parameters: number, words: number }|null}
+   */
+  write({ entries = [], requests = [], jsEndpoints = [], forms = [], baseUrl } = {}) {
+    try {
+      const inventory = this.collect({ entries, requests, jsEndpoints, forms, baseUrl });
+      const words = this.wordlist(inventory);
+      fs.writeFileSync(path.join(this.outputDir, 'parameters.json'), JSON.stringify(inventory, null, 2), 'utf8');
+      fs.writeFileSync(path.join(this.outputDir, 'parameters-wordlist.txt'), words.join('\n') + (words.length ? '\n' : ''), 'utf8');
+      const parameters = inventory.reduce((n, e) => n + e.parameters.length, 0);
+      this.logger?.info?.(`🧾 Parameters: ${parameters} across ${inventory.length} endpoints (${words.length} wordlist entries)`);
+      return { endpoints: inventory.length, parameters, words: words.length };
+    } catch (e) {
+      this.logger?.error?.(`Parameter inventory error: ${e.message}`);
+      return null;
+    }
+  }
+
+  collect({ entries, requests, jsEndpoints, forms, baseUrl }) {
+    const endpoints = this.endpoints;
+
+    // Captured entries first: they carry full headers (and, if not observed live, the response)
+    for (const e of [...entries, ...requests]) this.observe(e);
+
+    for (const ep of jsEndpoints) {
+      const method = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)$/i.test(ep.method || '') ? ep.method.toUpperCase() : 'GET';
+      // `url` is resolved against the page the endpoint was found on
+      const target = this.target(endpoints, method, ep.url || ep.endpoint, baseUrl);
+      if (!target || ep.outOfScope) continue;
+      const located = new Set([...(ep.query || []), ...(ep.body || [])]);
+      (ep.query || []).forEach(name => this.add(target, name, 'query', undefined, 'javascript'));
+      // Body keys from code cannot tell JSON from urlencoded; traffic can
+      const body = (name) => target.params.has(`json ${name}`) ? 'json' : 'body';
+      (ep.body || []).forEach(name => this.add(target, name, body(name), undefined, 'javascript'));
+      (ep.params || []).filter(name => !located.has(name))
+        .forEach(name => this.add(target, name, method === 'GET' ? 'query' : body(name), undefined, 'javascript'));
+    }
+
+    for (const form of forms) {
+      const method = String(form.method || 'GET').toUpperCase();
+      const target = this.target(endpoints, method, form.action || form.page, form.page || baseUrl);
+      if (!target) continue;
+      for (const field of form.fields || []) {
+        if (!field.name || /^(submit|button|reset|image)$/i.test(field.type || '')) continue;
+        const value = field.file ? field.file.name || field.file : field.value;
+        this.add(target, field.name, method === 'GET' ? 'query' : 'body', value ?? undefined, 'form');
+      }
+    }
+
+    return [...endpoints.values()]
+      .sort((a, b) => a.endpoint < b.endpoint ? -1 : a.endpoint > b.endpoint ? 1 : 0)
+      .map(ep => ({
+        endpoint: ep.endpoint,
+        method: ep.method,
+        url: ep.url,
+        parameters: [...ep.params.values()]
+          .sort((a, b) => `${a.location} ${a.name}` < `${b.location} ${b.name}` ? -1 : 1)
+          .map(p => this.describe(p))
+      }))
+      .filter(ep => ep.parameters.length > 0);
+  }
+
+  fromRequest(endpoints, req, responseBody) {
+    const method = String(req.method || 'GET').toUpperCase();
+    const target = this.target(endpoints, method, req.url);
+    if (!target || req.outOfScope) return;
+    const add = (name, location, value) => this.add(target, name, location, value, 'traffic', responseBody);
+
+    const url = new URL(req.url);
+    for (const [name, value] of url.searchParams) add(name, 'query', value);
+
+    for (const [name, value] of Object.entries(req.headers || {})) {
+      const lower = name.toLowerCase();
+      if (lower === 'cookie') {
+        String(value).split(';').forEach(pair => {
+          const i = pair.indexOf('=');
+          if (i > 0) add(pair.slice(0, i).trim(), 'cookie', pair.slice(i + 1).trim());
+        });
+      } else if (!STANDARD_HEADERS.has(lower) && !lower.startsWith('sec-') && !lower.startsWith(':')) {
+        add(lower, 'header', value);
+      }
+    }
+
+    const body = req.postData ? String(req.postData) : '';
+    if (!body) return;
+    const type = Object.entries(req.headers || {}).find(([k]) => k.toLowerCase() === 'content-type')?.[1] || '';
+    if (/multipart\/form-data/i.test(type)) {
+      for (const m of body.matchAll(/name="([^"]+)"(?:;\s*filename="([^"]*)")?[^\r\n]*\r?\n(?:[^\r\n]+\r?\n)*\r?\n([\s\S]*?)\r?\n--/g)) {
+        add(m[1], 'body', m[2] != null ? m[2] : m[3]);
+      }
+      return;
+    }
+    let json;
+    try { json = JSON.parse(body); } catch {}
+    if (json && typeof json === 'object') {
+      this.flatten(json, '', (name, value) => add(name, 'json', value));
+      return;
+    }
+    if (/^[^=&\s]+=/.test(body)) {
+      for (const [name, value] of new URLSearchParams(body)) add(name, 'body', value);
+    }
+  }
+
+  // { user: { tags: ["a"] } } -> user.tags[]; arrays contribute the keys of their first few items
+  flatten(value, prefix, emit) {
+    if (Array.isArray(value)) {
+      if (value.length === 0) return prefix && emit(prefix, value);
+      value.slice(0, 3).forEach(item => this.flatten(item, `${prefix}[]`, emit));
+      return;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return prefix && emit(prefix, value);
+      keys.forEach(k => this.flatten(value[k], prefix ? `${prefix}.${k}` : k, emit));
+      return;
+    }
+    if (prefix) emit(prefix, value);
+  }
+
+  // Endpoint record for method + absolute URL; null for static files and out-of-scope URLs
+  target(endpoints, method, raw, base) {
+    let url;
+    try { url = new URL(raw, base); } catch { return null; }
+    if (!/^https?:$/.test(url.protocol) || STATIC_EXT.test(url.pathname)) return null;
+    if (!this.scope.matches(url.href, method)) return null;
+    let pathname = url.pathname;
+    try { pathname = decodeURI(pathname); } catch {}
+    const endpoint = `${method} ${url.origin}${pathname}`;
+    if (!endpoints.has(endpoint)) {
+      endpoints.set(endpoint, { endpoint, method, url: `${url.origin}${pathname}`, params: new Map() });
+    }
+    return endpoints.get(endpoint);
+  }
+
+  add(target, name, location, value, source, responseBody = '') {
+    if (!name) return;
+    const key = `${location} ${name}`;
+    let p = target.params.get(key);
+    if (!p) {
+      p = { name, location, samples: [], types: new Set(), sources: new Set(), seen: 0, reflected: 0 };
+      target.params.set(key, p);
+    }
+    p.sources.add(source);
+    if (source === 'traffic') p.seen++;
+    if (value === undefined) return;
+
+    p.types.add(this.typeOf(value));
+    const sample = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    const text = typeof sample === 'string' ? sample.slice(0, MAX_SAMPLE_LENGTH) : sample;
+    if (p.samples.length < MAX_SAMPLES && !p.samples.includes(text)) p.samples.push(text);
+    if (responseBody && this.reflects(String(value), responseBody)) p.reflected++;
+  }
+
+  // Short or generic values (1, true, en) show up in every page by accident
+  reflects(value, body) {
+    if (value.length < 4 || /^(true|false|null|undefined)$/i.test(value) || /^\d{1,5}$/.test(value)) return false;
+    if (body.includes(value)) return true;
+    const encoded = encodeURIComponent(value);
+    return encoded !== value && body.includes(encoded);
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'object') return 'object';
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    const v = String(value);
+    if (/^-?\d+$/.test(v)) return 'integer';
+    if (/^-?\d*\.\d+$/.test(v)) return 'number';
+    if (/^(true|false)$/i.test(v)) return 'boolean';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v)) return 'uuid';
+    if (/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(v)) return 'email';
+    if (/^eyJ[\w-]+\.[\w-]+\.[\w-]*$/.test(v)) return 'jwt';
+    if (/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(v)) return 'date';
+    if (/^[0-9a-f]{16,}$/i.test(v)) return 'hex';
+    // Files: traversal, drive letters, or a document-like extension; other /paths are URLs
+    if (/(^|[\/\\])\.\.[\/\\]|^[a-z]:\\|^[^\s?#]+\.(pdf|docx?|xlsx?|csv|txt|log|ini|conf|png|jpe?g|gif|zip|xml|json|html?|php|aspx?|jsp)$/i.test(v) &&
+      !/^(https?:)?\/\//i.test(v)) return 'path';
+    if (/^((https?:)?\/\/|\/)[^\s]*$/i.test(v)) return 'url';
+    return 'string';
+  }
+
+  describe(p) {
+    const types = [...p.types];
+    let type = 'string';
+    if (types.length === 0) type = 'unknown';
+    else if (types.length === 1) type = types[0];
+    else if (types.every(t => t === 'integer' || t === 'number')) type = 'number';
+    else if (types.every(t => t === 'null' || t === types.find(x => x !== 'null'))) type = types.find(x => x !== 'null');
+
+    // user.profile.avatarUrl -> avatarUrl -> [avatar, url]
+    const leaf = p.name.split('.').pop().replace(/\[\]$/, '').toLowerCase();
+    const words = p.name.split('.').pop().replace(/\[\]$/, '').replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase().split(/[_\-\s]+/).filter(Boolean);
+    const named = ({ exact = [], last = [], any = [] }) =>
+      exact.includes(leaf) || last.includes(words[words.length - 1]) || words.some(w => any.includes(w));
+    const flags = [];
+    if (p.reflected > 0 || named(FLAG_NAMES.reflective)) flags.push('reflective');
+    if (named(FLAG_NAMES.id) || type === 'uuid') flags.push('id');
+    if (named(FLAG_NAMES.redirect)) flags.push('redirect');
+    if (named(FLAG_NAMES.url) || type === 'url') flags.push('url');
+    if (named(FLAG_NAMES.file) || type === 'path') flags.push('file');
+
+    return {
+      name: p.name,
+      location: p.location,
+      type,
+      samples: p.samples,
+      flags,
+      ...(p.reflected ? { reflected: p.reflected } : {}),
+      seen: p.seen,
+      sources: [...p.sources].sort()
+    };
+  }
+
+  // Names a fuzzer can send: query/body/JSON/form parameters, JSON leaves plus their top-level key
+  wordlist(inventory) {
+    const words = new Set();
+    for (const ep of inventory) {
+      for (const p of ep.parameters) {
+        if (p.location === 'header' || p.location === 'cookie') continue;
+        const parts = p.name.split('.').map(s => s.replace(/\[\]$/, '')).filter(Boolean);
+        if (parts.length === 0) continue;
+        words.add(parts[0]);
+        words.add(parts[parts.length - 1]);
+      }
+    }
+    return [...words].sort();
+  }
+}
+
+module.exports = { ParameterInventory };
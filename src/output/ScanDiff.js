@@ -0,0 +1,265 @@
+// src/output/ScanDiff.js
+/**
+ * SpeedCrawl Pro v22.2 - ScanDiff (speedcrawl diff <old> <new>)
+ * - Compares two output directories: all-urls.txt, endpoints.txt, parameters per endpoint
+ *   (from requests-stream.jsonl and forms.json), technologies.txt, secrets.txt, forms.json
+ *   and response status codes (captured-entries.jsonl, then HAR and jsonl/network_*.jsonl for
+ *   older runs, form submit requests)
+ * - Every section reports { added, removed, changed }; status codes only have `changed`
+ * - New endpoints and new secrets are repeated under `highlights`: that is where regressions show up
+ * - Writes diff.json and diff.md; secret values are masked in both
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Placeholders CrawlEngine writes into empty text outputs
+const EMPTY = new Set(['No endpoints', 'None', 'No secrets found']);
+// Markdown lists are cut here; diff.json always has everything
+const MD_LIMIT = 200;
+
+class ScanDiff {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Read one run's output directory.
+   * @returns {{ dir, startTime, urls: Set, endpoints: Set, technologies: Set,
+   *   secrets: Map, parameters: Map, forms: Map, statuses: Map }}
+   */
+  load(dir) {
+    const file = (name) => path.join(dir, name);
+    if (!fs.existsSync(file('all-urls.txt')) && !fs.existsSync(file('summary.json'))) {
+      throw new Error(`${dir} is not a SpeedCrawl output directory (no all-urls.txt or summary.json)`);
+    }
+
+    const summary = this._json(file('summary.json')) || {};
+    const run = {
+      dir,
+      startTime: summary.crawl?.startTime || null,
+      urls: new Set(this._lines(file('all-urls.txt'))),
+      endpoints: new Set(this._lines(file('endpoints.txt'))),
+      technologies: new Set(this._lines(file('technologies.txt'))),
+      secrets: this._secrets(file('secrets.txt')),
+      parameters: new Map(),
+      forms: new Map(),
+      statuses: new Map()
+    };
+
+    for (const req of this._jsonl(file('requests-stream.jsonl'))) {
+      this._addParams(run.parameters, req.method, req.url, this._bodyParams(req.postData, req.headers));
+    }
+
+    for (const form of this._json(file('forms.json')) || []) {
+      const method = (form.method || 'POST').toUpperCase();
+      const target = form.action || form.page;
+      const fields = (form.fields || []).map(f => f.name || f.id).filter(Boolean);
+      if (target) this._addParams(run.parameters, method, target, fields);
+      run.forms.set(`${form.page} ${method} ${target}`, { page: form.page, method, action: target, fields: [...new Set(fields)].sort() });
+      for (const r of form.requests || []) {
+        if (r.status != null) this._setStatus(run.statuses, r.method, r.url, r.status);
+      }
+    }
+
+    // The first status seen for a request wins: form submits, then the capture log every run writes
+    // (latest response first), then the newest HAR and JSONL network log for runs that predate it
+    for (const e of this._jsonl(file('captured-entries.jsonl')).reverse()) {
+      if (e.response?.status) this._setStatus(run.statuses, e.request?.method, e.request?.url, e.response.status, true);
+    }
+    for (const har of this._newest(path.join(dir, 'har'), /\.har$/)) {
+      for (const e of this._json(har)?.log?.entries || []) {
+        if (e.response?.status) this._setStatus(run.statuses, e.request?.method, e.request?.url, e.response.status, true);
+      }
+    }
+    for (const log of this._newest(path.join(dir, 'jsonl'), /^network.*\.jsonl$/)) {
+      for (const line of this._jsonl(log)) {
+        if (line.response?.status_code) this._setStatus(run.statuses, line.request?.method, line.request?.endpoint, line.response.status_code, true);
+      }
+    }
+    return run;
+  }
+
+  compare(oldRun, newRun) {
+    const sets = (a, b) => ({
+      added: [...b].filter(x => !a.has(x)).sort(),
+      removed: [...a].filter(x => !b.has(x)).sort(),
+      changed: []
+    });
+    const maps = (a, b, changed) => ({
+      added: [...b.keys()].filter(k => !a.has(k)).sort().map(k => b.get(k)),
+      removed: [...a.keys()].filter(k => !b.has(k)).sort().map(k => a.get(k)),
+      changed: [...b.keys()].filter(k => a.has(k)).sort().map(k => changed(a.get(k), b.get(k))).filter(Boolean)
+    });
+    const fieldDelta = (before, after) => ({
+      added: after.filter(x => !before.includes(x)),
+      removed: before.filter(x => !after.includes(x))
+    });
+
+    const parameters = maps(oldRun.parameters, newRun.parameters, (a, b) => {
+      const d = fieldDelta(a.params, b.params);
+      return d.added.length || d.removed.length ? { endpoint: b.endpoint, ...d } : null;
+    });
+    const forms = maps(oldRun.forms, newRun.forms, (a, b) => {
+      const d = fieldDelta(a.fields, b.fields);
+      return d.added.length || d.removed.length ? { page: b.page, method: b.method, action: b.action, fields: d } : null;
+    });
+    const statusCodes = {
+      changed: [...newRun.statuses.keys()].filter(k => oldRun.statuses.has(k) && oldRun.statuses.get(k) !== newRun.statuses.get(k)).sort()
+        .map(k => ({ request: k, old: oldRun.statuses.get(k), new: newRun.statuses.get(k) }))
+    };
+    const secrets = maps(oldRun.secrets, newRun.secrets, () => null);
+
+    const diff = {
+      old: { dir: oldRun.dir, startTime: oldRun.startTime },
+      new: { dir: newRun.dir, startTime: newRun.startTime },
+      urls: sets(oldRun.urls, newRun.urls),
+      endpoints: sets(oldRun.endpoints, newRun.endpoints),
+      parameters,
+      technologies: sets(oldRun.technologies, newRun.technologies),
+      secrets,
+      forms,
+      statusCodes
+    };
+    diff.highlights = { newEndpoints: diff.endpoints.added, newSecrets: secrets.added };
+    diff.summary = Object.fromEntries(['urls', 'endpoints', 'parameters', 'technologies', 'secrets', 'forms', 'statusCodes']
+      .map(k => [k, { added: diff[k].added?.length || 0, removed: diff[k].removed?.length || 0, changed: diff[k].changed.length }]));
+    return diff;
+  }
+
+  /** @returns {{ json: string, markdown: string }} paths written */
+  write(diff, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const json = path.join(outDir, 'diff.json');
+    const markdown = path.join(outDir, 'diff.md');
+    fs.writeFileSync(json, JSON.stringify(diff, null, 2));
+    fs.writeFileSync(markdown, this.toMarkdown(diff));
+    return { json, markdown };
+  }
+
+  toMarkdown(diff) {
+    const out = ['# SpeedCrawl Diff', ''];
+    out.push(`- Old: \`${diff.old.dir}\`${diff.old.startTime ? ` (${diff.old.startTime})` : ''}`);
+    out.push(`- New: \`${diff.new.dir}\`${diff.new.startTime ? ` (${diff.new.startTime})` : ''}`);
+    out.push('');
+
+    const list = (items, fmt) => {
+      const lines = items.slice(0, MD_LIMIT).map(x => `- ${fmt(x)}`);
+      if (items.length > MD_LIMIT) lines.push(`- … ${items.length - MD_LIMIT} more in diff.json`);
+      return lines;
+    };
+    const secret = s => `**[${s.type}]** \`${s.value}\` — ${s.source}`;
+
+    const { newEndpoints, newSecrets } = diff.highlights;
+    out.push('## ⚠️ Highlights', '');
+    if (!newEndpoints.length && !newSecrets.length) out.push('No new endpoints or secrets.', '');
+    if (newEndpoints.length) out.push(`### 🆕 New endpoints (${newEndpoints.length})`, '', ...list(newEndpoints, e => `\`${e}\``), '');
+    if (newSecrets.length) out.push(`### 🔐 New secrets (${newSecrets.length})`, '', ...list(newSecrets, secret), '');
+
+    out.push('## Summary', '', '| Section | Added | Removed | Changed |', '|---------|-------|---------|---------|');
+    for (const [k, s] of Object.entries(diff.summary)) out.push(`| ${k} | ${s.added} | ${s.removed} | ${s.changed} |`);
+    out.push('');
+
+    const section = (title, d, fmt, fmtChanged) => {
+      if (!d.added?.length && !d.removed?.length && !d.changed.length) return;
+      out.push(`## ${title}`, '');
+      if (d.added?.length) out.push(`### Added (${d.added.length})`, '', ...list(d.added, fmt), '');
+      if (d.removed?.length) out.push(`### Removed (${d.removed.length})`, '', ...list(d.removed, fmt), '');
+      if (d.changed.length) out.push(`### Changed (${d.changed.length})`, '', ...list(d.changed, fmtChanged), '');
+    };
+    const delta = d => [...d.added.map(x => `+${x}`), ...d.removed.map(x => `-${x}`)].join(' ');
+
+    section('URLs', diff.urls, u => u);
+    section('Endpoints', diff.endpoints, e => `\`${e}\``);
+    section('Parameters', diff.parameters, p => `\`${p.endpoint}\` ${p.params.join(', ')}`, p => `\`${p.endpoint}\` ${delta(p)}`);
+    section('Technologies', diff.technologies, t => t);
+    section('Secrets', diff.secrets, secret);
+    section('Forms', diff.forms, f => `${f.method} ${f.action} on ${f.page} (${f.fields.join(', ')})`, f => `${f.method} ${f.action} on ${f.page}: ${delta(f.fields)}`);
+    section('Status codes', diff.statusCodes, null, s => `\`${s.request}\` ${s.old} → ${s.new}`);
+    return out.join('\n');
+  }
+
+  // Endpoint key: method + URL without query or fragment
+  _addParams(map, method, url, names) {
+    let u;
+    try { u = new URL(url); } catch { return; }
+    const endpoint = `${(method || 'GET').toUpperCase()} ${u.origin}${u.pathname}`;
+    const entry = map.get(endpoint) || { endpoint, params: [] };
+    for (const name of [...u.searchParams.keys(), ...names]) if (!entry.params.includes(name)) entry.params.push(name);
+    entry.params.sort();
+    map.set(endpoint, entry);
+  }
+
+  _bodyParams(body, headers = {}) {
+    if (!body) return [];
+    const text = String(body);
+    const type = Object.entries(headers || {}).find(([k]) => k.toLowerCase() === 'content-type')?.[1] || '';
+    if (/multipart\/form-data/i.test(type)) return [...text.matchAll(/name="([^"]+)"/g)].map(m => m[1]);
+    try {
+      const data = JSON.parse(text);
+      if (data && typeof data === 'object' && !Array.isArray(data)) return Object.keys(data);
+    } catch {}
+    if (/^[^=&\s]+=/.test(text)) return [...new URLSearchParams(text).keys()];
+    return [];
+  }
+
+  _setStatus(map, method, url, status, keepFirst = false) {
+    if (!url) return;
+    const key = `${(method || 'GET').toUpperCase()} ${url}`;
+    if (keepFirst && map.has(key)) return;
+    map.set(key, Number(status));
+  }
+
+  // secrets.txt blocks: "[type] value\n  Source: source"; keyed by type + value
+  _secrets(file) {
+    const map = new Map();
+    let text = '';
+    try { text = fs.readFileSync(file, 'utf8'); } catch { return map; }
+    for (const m of text.matchAll(/^\[([^\]\n]+)\] (.*)\n {2}Source: (.*)$/gm)) {
+      const key = `${m[1]} ${m[2]}`;
+      if (!map.has(key)) map.set(key, { type: m[1], value: this._mask(m[2]), source: m[3] });
+    }
+    return map;
+  }
+
+  _mask(value) {
+    const v = String(value);
+    return v.length <= 8 ? `${v.slice(0, 2)}…` : `${v.slice(0, 4)}…${v.slice(-4)}`;
+  }
+
+  _lines(file) {
+    try {
+      return fs.readFileSync(file, 'utf8').split('\n').map(l => l.trim()).filter(l => l && !EMPTY.has(l));
+    } catch {
+      return [];
+    }
+  }
+
+  _json(file) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; }
+  }
+
+  _jsonl(file) {
+    let text = '';
+    try { text = fs.readFileSync(file, 'utf8'); } catch { return []; }
+    const out = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch {}
+    }
+    return out;
+  }
+
+  // Matching files in a directory, newest first
+  _newest(dir, pattern) {
+    try {
+      return fs.readdirSync(dir).filter(f => pattern.test(f)).map(f => path.join(dir, f))
+        .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    } catch {
+      return [];
+    }
+  }
+}
+
+module.exports = { ScanDiff };
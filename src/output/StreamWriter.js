@@ -1,4 +1,5 @@
 // src/output/StreamWriter.js
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { HTTPFormatter } = require('./HTTPFormatter');
@@ -14,6 +15,25 @@ class StreamWriter {
     this.streamFile = path.join(this.outputDir, 'requests-stream.jsonl');
     this.eventJsonlFile = null; // created only if jsonl is enabled
     this.seq = 1;
+    this.prepareStream();
+  }
+
+  // Fresh crawls start a new stream; resumed crawls keep appending and keep numbering
+  prepareStream() {
+    try {
+      if (!this.config.get('resume')) {
+        if (fs.existsSync(this.streamFile)) fs.truncateSync(this.streamFile, 0);
+        return;
+      }
+      const eachDir = path.join(this.outputDir, 'http-requests', 'each');
+      const last = fs.readdirSync(eachDir)
+        .map(f => parseInt(f, 10))
+        .filter(n => Number.isFinite(n))
+        .reduce((a, b) => Math.max(a, b), 0);
+      this.seq = last + 1;
+    } catch (e) {
+      this.logger?.debug?.(`Stream prepare error: ${e.message}`);
+    }
   }
 
   ensureDirectories() {
@@ -48,8 +68,7 @@ class StreamWriter {
     if (!this.formats.includes('jsonl')) return;
     try {
       if (!this.eventJsonlFile) {
-        const ts = new Date().toISOString().replace(/[:.]/g, '-');
-        this.eventJsonlFile = path.join(this.outputDir, 'jsonl', `network_${ts}.jsonl`);
+        this.eventJsonlFile = path.join(this.outputDir, 'jsonl', this.httpFormatter.stampedName('network', '.jsonl'));
       }
       fs.appendFileSync(this.eventJsonlFile, JSON.stringify(entry) + '\n', 'utf8');
     } catch (e) {
@@ -66,9 +85,19 @@ class StreamWriter {
     return this.httpFormatter.writeJSONLFile(entries, this.outputDir);
   }
 
-  async writeHAR({ requests }) {
+  async writeHAR({ entries, requests }) {
     if (!this.formats.includes('har')) return null;
-    return this.httpFormatter.writeHARFile(requests || [], this.outputDir);
+    return this.httpFormatter.writeHARFile(entries || requests || [], this.outputDir);
+  }
+
+  async writeBurp({ entries }) {
+    if (!this.formats.includes('burp')) return null;
+    return this.httpFormatter.writeBurpFile(entries || [], this.outputDir);
+  }
+
+  async writePostman({ entries }) {
+    if (!this.formats.includes('postman')) return null;
+    return this.httpFormatter.writePostmanFile(entries || [], this.outputDir);
   }
 
   async writeHTTP({ requests }) {
@@ -90,12 +119,15 @@ class StreamWriter {
     }
   }
 
-  // One request per file with numeric sequence only
+  // One request per file with numeric sequence only; seeded runs name files by content instead,
+  // so the names do not depend on the order requests happened to fire in
   async writeHTTPSingle(requestRecord) {
     try {
       const raw = this.httpFormatter.formatHTTPRequest(requestRecord);
-      const seq = String(this.seq++).padStart(6, '0');
-      const file = path.join(this.outputDir, 'http-requests', 'each', `${seq}.http`);
+      const name = this.config.get('seed') != null
+        ? `req-${crypto.createHash('sha1').update(raw).digest('hex').slice(0, 12)}`
+        : String(this.seq++).padStart(6, '0');
+      const file = path.join(this.outputDir, 'http-requests', 'each', `${name}.http`);
       fs.writeFileSync(file, raw, 'utf8');
       return file;
     } catch (e) {
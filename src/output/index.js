@@ -1,9 +1,15 @@
 const { HTTPFormatter } = require('./HTTPFormatter');
+const { NucleiExporter } = require('./NucleiExporter');
+const { OpenAPIGenerator } = require('./OpenAPIGenerator');
 const { ReportGenerator } = require('./ReportGenerator');
+const { ScanDiff } = require('./ScanDiff');
 const { StreamWriter } = require('./StreamWriter');
 
 module.exports = {
   HTTPFormatter,
+  NucleiExporter,
+  OpenAPIGenerator,
   ReportGenerator,
+  ScanDiff,
   StreamWriter
 };
@@ -11,6 +11,7 @@ class SecretDetector extends EventEmitter {
     this.config = config;
     this.logger = logger;
     this.secrets = new Set();
+    this.details = new Map(); // secret key -> { type, value, source, line }; sources contain ':'
     this.scannedContent = new Set();
     
     // Detection patterns - HIGH ACCURACY
@@ -73,11 +74,12 @@ class SecretDetector extends EventEmitter {
     ];
   }
 
-  async scanContent(content, source = 'unknown') {
+  // lines: record the 1-based line of each match (recovered source files, not minified bundles)
+  async scanContent(content, source = 'unknown', { lines = false } = {}) {
     if (!content || typeof content !== 'string') return;
     
-    // Avoid scanning same content twice
-    const contentHash = this.hashContent(content.substring(0, 1000));
+    // Avoid scanning same content twice; source files often share their first 1000 chars (imports)
+    const contentHash = this.hashContent(lines ? content : content.substring(0, 1000));
     if (this.scannedContent.has(contentHash)) {
       return;
     }
@@ -98,10 +100,9 @@ class SecretDetector extends EventEmitter {
               source: source,
               position: match.index
             };
+            if (lines) secret.line = content.slice(0, match.index).split('\n').length;
             
-            const secretKey = `${secret.type}:${secret.value}:${secret.source}`;
-            if (!this.secrets.has(secretKey)) {
-              this.secrets.add(secretKey);
+            if (this.remember(secret)) {
               this.emit('secret-found', secret);
             }
           }
@@ -147,17 +148,34 @@ class SecretDetector extends EventEmitter {
     return hash.toString(36);
   }
 
+  // Also used to restore secrets from a checkpoint; false when already known
+  remember(secret) {
+    const secretKey = `${secret.type}:${secret.value}:${secret.source}`;
+    if (this.secrets.has(secretKey)) return false;
+    this.secrets.add(secretKey);
+    this.details.set(secretKey, {
+      type: secret.type,
+      value: secret.value,
+      source: secret.source,
+      ...(secret.line ? { line: secret.line } : {})
+    });
+    return true;
+  }
+
   getAllSecrets() {
     const secretsArray = [];
     this.secrets.forEach(secretKey => {
-      const [type, value, source] = secretKey.split(':');
-      secretsArray.push({ type, value, source });
+      const known = this.details.get(secretKey);
+      if (known) return secretsArray.push({ ...known });
+      const [type, value, ...source] = secretKey.split(':');
+      secretsArray.push({ type, value, source: source.join(':') });
     });
     return secretsArray;
   }
 
   cleanup() {
     this.secrets.clear();
+    this.details.clear();
     this.scannedContent.clear();
   }
 }
@@ -0,0 +1,178 @@
+// src/session/LoginManager.js
+/**
+ * SpeedCrawl Pro v22.2 - LoginManager (scripted login recipes)
+ * - Recipe file (YAML or JSON) passed with --login <file>
+ * - Steps: goto, fill (value or env var), click, wait (url glob / selector / ms), assert
+ * - Runs once per browser context; the resulting state is persisted via SessionManager.saveSession
+ * - Re-runs automatically when the recipe's "loggedOut" signal shows up mid-crawl
+ * - Concurrent workers share a single in-flight login
+ *
+ * Example recipe:
+ *   steps:
+ *     - goto: /login
+ *     - fill: '#email'
+ *       value: qa@example.com
+ *     - fill: '#password'
+ *       env: APP_PASSWORD
+ *     - click: 'button[type=submit]'
+ *     - wait: { selector: '#dashboard' }   # or { url: <playwright url glob> } / { ms: 2000 }
+ *     - assert: { selector: '[data-test=logout]' }
+ *   loggedOut:
+ *     url: /login            # regex tested against the page URL after navigation
+ *     selector: 'form#login'
+ *     text: Please sign in
+ *     status: [401, 403]
+ *   avoid: [logout, signout] # regexes for links the crawler must never follow
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const STEP_TYPES = ['goto', 'fill', 'click', 'wait', 'assert'];
+const DEFAULT_AVOID = ['log-?out', 'sign-?out', 'log-?off'];
+
+class LoginManager {
+  constructor(config, logger, sessionManager) {
+    this.config = config;
+    this.logger = logger;
+    this.sessionManager = sessionManager;
+    this.recipe = config.get('login') || null;
+    this.pending = null;
+    this.logins = 0;
+    this.failures = 0;
+    this.maxAttempts = Number(this.recipe?.maxAttempts ?? 3);
+    this.avoid = (this.recipe?.avoid || DEFAULT_AVOID).map(p => new RegExp(p, 'i'));
+  }
+
+  // Parse and validate a recipe file; throws with a readable message on bad input
+  static loadRecipe(file) {
+    const raw = fs.readFileSync(path.resolve(file), 'utf8');
+    const recipe = /\.json$/i.test(file) ? JSON.parse(raw) : YAML.parse(raw);
+    const steps = Array.isArray(recipe) ? recipe : recipe?.steps;
+    if (!Array.isArray(steps) || steps.length === 0) throw new Error('login recipe has no steps');
+
+    steps.forEach((step, i) => {
+      const type = STEP_TYPES.find(t => step && step[t] != null);
+      if (!type) throw new Error(`login step ${i + 1}: expected one of ${STEP_TYPES.join(', ')}`);
+      if (type === 'fill' && step.value == null && !step.env) {
+        throw new Error(`login step ${i + 1}: fill needs "value" or "env"`);
+      }
+      if (type === 'fill' && step.env && process.env[step.env] == null) {
+        throw new Error(`login step ${i + 1}: environment variable ${step.env} is not set`);
+      }
+    });
+
+    return Array.isArray(recipe) ? { steps } : recipe;
+  }
+
+  get enabled() {
+    return !!(this.recipe && Array.isArray(this.recipe.steps));
+  }
+
+  // Links matching the avoid list (logout and friends) would end the session
+  shouldAvoid(url) {
+    return this.enabled && this.avoid.some(rx => rx.test(url));
+  }
+
+  // Single-flight: workers hitting the logged-out signal together trigger one login
+  async login(context) {
+    if (!this.enabled) return true;
+    if (this.failures >= this.maxAttempts) return false;
+    if (!this.pending) {
+      this.pending = this._login(context).finally(() => { this.pending = null; });
+    }
+    return this.pending;
+  }
+
+  async _login(context) {
+    const page = await context.newPage();
+    try {
+      this.logger.info(`🔑 Running login recipe (${this.recipe.steps.length} steps)...`);
+      for (const step of this.recipe.steps) await this.runStep(page, step);
+
+      if (await this.isLoggedOut(page)) throw new Error('still logged out after running the recipe');
+
+      this.logins++;
+      this.failures = 0;
+      if (this.sessionManager) await this.sessionManager.saveSession(page);
+      this.logger.success(`✅ Logged in (${page.url()})`);
+      return true;
+    } catch (e) {
+      this.failures++;
+      this.logger.warn(`⚠️ Login failed (${this.failures}/${this.maxAttempts}): ${e.message}`);
+      return false;
+    } finally {
+      try { await page.close(); } catch {}
+    }
+  }
+
+  async runStep(page, step) {
+    const timeout = Number(step.timeout || this.config.get('timeout') || 30000);
+
+    if (step.goto != null) {
+      await page.goto(this.resolve(step.goto), { waitUntil: 'domcontentloaded', timeout });
+    } else if (step.fill != null) {
+      const value = step.env ? process.env[step.env] : step.value;
+      this.logger.debug(`Login: fill ${step.fill}${step.env ? ` from $${step.env}` : ''}`);
+      await page.fill(step.fill, String(value ?? ''), { timeout });
+    } else if (step.click != null) {
+      await page.click(step.click, { timeout });
+    } else if (step.wait != null) {
+      const w = step.wait;
+      if (typeof w === 'number') await page.waitForTimeout(w);
+      else if (w.url) await page.waitForURL(w.url, { timeout });
+      else if (w.selector) await page.waitForSelector(w.selector, { timeout });
+      else if (w.ms) await page.waitForTimeout(Number(w.ms));
+    } else if (step.assert != null) {
+      const a = step.assert;
+      if (a.selector) {
+        await page.waitForSelector(a.selector, { timeout }).catch(() => {
+          throw new Error(`assert failed: selector ${a.selector} not found`);
+        });
+      }
+      if (a.url && !new RegExp(a.url).test(page.url())) {
+        throw new Error(`assert failed: ${page.url()} does not match ${a.url}`);
+      }
+      if (a.text) {
+        const body = await page.innerText('body').catch(() => '');
+        if (!body.includes(a.text)) throw new Error(`assert failed: text "${a.text}" not on page`);
+      }
+    }
+  }
+
+  // The recipe's loggedOut block decides; any single signal is enough
+  async isLoggedOut(page, response = null) {
+    const sig = this.recipe?.loggedOut;
+    if (!this.enabled || !sig) return false;
+    try {
+      if (sig.url && new RegExp(sig.url).test(page.url())) return true;
+      if (sig.status && response) {
+        const codes = [].concat(sig.status).map(Number);
+        if (codes.includes(response.status())) return true;
+      }
+      if (sig.selector && await page.$(sig.selector)) return true;
+      if (sig.text) {
+        const body = await page.innerText('body').catch(() => '');
+        if (body.includes(sig.text)) return true;
+      }
+    } catch (e) {
+      this.logger.debug(`Logged-out check error: ${e.message}`);
+    }
+    return false;
+  }
+
+  resolve(target) {
+    try {
+      return new URL(String(target), this.recipe.url || this.config.get('url')).href;
+    } catch {
+      return String(target);
+    }
+  }
+
+  getStats() {
+    return { enabled: this.enabled, logins: this.logins, failures: this.failures };
+  }
+}
+
+module.exports = { LoginManager };
@@ -8,6 +8,19 @@
  *   - pages/depth → maxPages/maxDepth
  *   - input/customInputData aliases
  *   - includeSubdomains passthrough
+ *   - threads → worker pool size (min 1)
+ *   - maxBodySize/bodyMimeTypes → response body capture limits
+ *   - login → parsed login recipe (see session/LoginManager)
+ *   - scope → parsed include/exclude rules (see core/ScopeManager)
+ *   - linkStrategies → subset of LinkExtractor strategies (default: all registered)
+ *   - explore/exploreMaxClicks/exploreSkipKeywords → click-driven SPA exploration
+ *   - formRetries → refill/resubmit rounds after validation errors (min 0)
+ *   - otp → parsed OTP provider settings per workflow type (see forms/OTPManager)
+ *   - multiForm/maxFormSteps → wizard form processing and its step limit (min 1)
+ *   - maxLazyChunks → lazily loaded JS chunks analyzed per crawl (min 0)
+ *   - graphqlIntrospection → active GraphQL probing (introspection, then field suggestions)
+ *   - seed → deterministic run (see utils/SeededRandom); also the default fakerSeed,
+ *     with fakerRefDate pinned to 2024-01-01 unless given
  * - Adds faker options:
  *   - fakerLocale (string), fakerFallbackLocales (array of strings)
  *   - fakerSeed (number), fakerRefDate (string | Date)
@@ -43,6 +56,11 @@ class ConfigManager {
     const wantHeadless = (typeof normalized.headless === 'boolean') ? normalized.headless : true;
     const headless = normalized.headful ? false : wantHeadless;
 
+    // Seeded runs: faker follows the seed and dates stop depending on today
+    const seed = normalized.seed != null && normalized.seed !== '' && Number.isFinite(Number(normalized.seed))
+      ? Number(normalized.seed)
+      : null;
+
     // Build final config
     this.config = {
       // Core
@@ -61,7 +79,13 @@ class ConfigManager {
       // Feature toggles
       submitForms: !!normalized.submitForms,
       useFaker: normalized.useFaker !== false,
+      formRetries: Math.max(0, Number(normalized.formRetries ?? 2) || 0),
+      otp: normalized.otp || null,
+      multiForm: !!normalized.multiForm,
+      maxFormSteps: Math.max(1, Number(normalized.maxFormSteps ?? 5) || 5),
       deepJSAnalysis: !!normalized.deepJSAnalysis,
+      maxLazyChunks: Math.max(0, Number(normalized.maxLazyChunks ?? 200) || 0),
+      graphqlIntrospection: !!normalized.graphqlIntrospection,
       extractSecrets: normalized.extractSecrets !== false,
 
       // Browser/session
@@ -72,12 +96,28 @@ class ConfigManager {
       userAgent: normalized.userAgent || null,
       proxy: normalized.proxy || null,
       requestDelay: Number(normalized.requestDelay ?? 1000),
+      threads: Math.max(1, Number(normalized.threads ?? 1) || 1),
+      resume: !!normalized.resume,
+      login: normalized.login || null,
+
+      // Response capture (HAR / JSONL bodies)
+      maxBodySize: Number(normalized.maxBodySize ?? 1048576),
+      bodyMimeTypes: this.parseList(normalized.bodyMimeTypes, [
+        'text/*', 'application/json', 'application/*+json', 'application/javascript',
+        'application/xml', 'application/*+xml', 'application/x-www-form-urlencoded'
+      ]),
 
       // Scope/evasion
       blockedExtensions: this.normalizeBlocked(normalized.blockedExtensions),
       sameOrigin: !!normalized.sameOrigin,
       includeSubdomains: normalized.includeSubdomains || false,
+      scope: normalized.scope || null,
+      linkStrategies: this.parseList(normalized.linkStrategies, null),
+      explore: !!normalized.explore,
+      exploreMaxClicks: Math.max(1, Number(normalized.exploreMaxClicks ?? 15) || 15),
+      exploreSkipKeywords: this.parseList(normalized.exploreSkip, null),
       evasionMode: !!normalized.evasionMode,
+      seed,
 
       // Faker options (v10)
       fakerLocale: normalized.fakerLocale || null,
@@ -86,8 +126,8 @@ class ConfigManager {
         : (typeof normalized.fakerFallbackLocales === 'string'
             ? normalized.fakerFallbackLocales.split(',').map(s => s.trim()).filter(Boolean)
             : []),
-      fakerSeed: normalized.fakerSeed != null ? Number(normalized.fakerSeed) : null,
-      fakerRefDate: normalized.fakerRefDate || null,
+      fakerSeed: normalized.fakerSeed != null ? Number(normalized.fakerSeed) : seed,
+      fakerRefDate: normalized.fakerRefDate || (seed != null ? '2024-01-01T00:00:00.000Z' : null),
       fakerUnique: normalized.fakerUnique === true
     };
   }
@@ -98,6 +138,12 @@ class ConfigManager {
     return String(formats).split(',').map(s => s.trim()).filter(Boolean);
   }
 
+  parseList(value, fallback = []) {
+    if (!value) return fallback;
+    if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+    return String(value).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
   normalizeBlocked(value) {
     if (!value) return ['jpg','png','gif','css','woff','woff2','svg'];
     if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
@@ -5,6 +5,7 @@
  *   - Primary locale (fakerLocale) and fallback locales (fakerFallbackLocales)
  *   - Seed (fakerSeed) and default reference date (fakerRefDate)
  *   - Optional uniqueness wrapper (fakerUnique)
+ * - The minimal fallback generator draws from SeededRandom, so --seed covers it too
  * - Usage (CJS):
  *   const { createFaker } = require('./FakerFactory');
  *   const faker = createFaker(config, logger);
@@ -16,6 +17,8 @@
  * - Frameworks note: https://v10.fakerjs.dev/guide/frameworks.html
  * - Unique helper: https://v10.fakerjs.dev/guide/unique.html
  */
+const { SeededRandom } = require('./SeededRandom');
+
 function createFaker(config, logger) {
     try {
       // Prefer CJS require
@@ -86,18 +89,19 @@ function createFaker(config, logger) {
     } catch (err) {
       logger?.warn?.(`Faker initialization failed: ${err.message}, falling back to simple generator`);
       // Minimal fallback to keep flows alive
+      const random = SeededRandom.for(config, 'faker');
       return {
-        string: { uuid: () => `uuid-${Math.random().toString(16).slice(2)}-${Date.now()}` },
-        internet: { email: () => `user_${Math.random().toString(16).slice(2)}@example.com` },
+        string: { uuid: () => random.uuid() },
+        internet: { email: () => `user_${random.next().toString(16).slice(2)}@example.com` },
         person: {
           firstName: () => 'Alex',
           lastName: () => 'Doe',
           fullName: () => 'Alex Doe',
-          sexType: () => (Math.random() < 0.5 ? 'male' : 'female')
+          sexType: () => (random.next() < 0.5 ? 'male' : 'female')
         },
-        phone: { number: () => `9${Math.floor(100000000 + Math.random()*900000000)}` },
-        location: { zipCode: () => String(100000 + Math.floor(Math.random()*900000)) },
-        helpers: { arrayElement: (arr) => arr[Math.floor(Math.random()*arr.length)] }
+        phone: { number: () => `9${random.int(100000000, 999999999)}` },
+        location: { zipCode: () => String(random.int(100000, 999999)) },
+        helpers: { arrayElement: (arr) => random.pick(arr) }
       };
     }
   }
@@ -0,0 +1,75 @@
+// src/utils/SeededRandom.js
+/**
+ * SpeedCrawl Pro v22.2 - SeededRandom (reproducible random choices for --seed)
+ * - mulberry32 generator; one independent stream per component ('ua', 'fingerprint', 'frontier', ...)
+ *   so extra draws in one component never shift another component's sequence
+ * - Without a seed every method falls back to Math.random / crypto.randomUUID
+ * - Usage (CJS):
+ *   const { SeededRandom } = require('../utils/SeededRandom');
+ *   const random = SeededRandom.for(config, 'ua');
+ *   random.pick(list);
+ */
+
+const crypto = require('crypto');
+
+// FNV-1a, 32-bit
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+class SeededRandom {
+  /**
+   * @param {number|null} seed - null for non-deterministic output
+   * @param {string} [stream] - component name mixed into the seed
+   */
+  constructor(seed, stream = '') {
+    this.seeded = typeof seed === 'number' && Number.isFinite(seed);
+    this.base = this.seeded ? hash32(`${seed}:${stream}`) : 0;
+    this.state = this.base;
+  }
+
+  static for(config, stream) {
+    return new SeededRandom(config?.get?.('seed') ?? null, stream);
+  }
+
+  // [0, 1)
+  next() {
+    if (!this.seeded) return Math.random();
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Inclusive on both ends
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  pick(list) {
+    return list.length ? list[Math.floor(this.next() * list.length)] : undefined;
+  }
+
+  // RFC 4122 v4 layout
+  uuid() {
+    if (!this.seeded) return crypto.randomUUID();
+    const bytes = Array.from({ length: 16 }, () => this.int(0, 255));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // Stable per-seed rank for a key (queue tie-breaks); independent of how many draws came before
+  rank(key) {
+    return hash32(`${this.base}:${key}`);
+  }
+}
+
+module.exports = { SeededRandom, hash32 };